@@ -1,12 +1,14 @@
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 
 // Single JSON DB file holding all app data. We keep the arrays you specified
 // and add a few app-specific collections needed by the dashboard (auth users,
-// servers hosting metadata, console logs, and process state).
+// servers hosting metadata and process state).
 
-const DATA_DIR = path.resolve(process.cwd(), 'data');
+export const DATA_DIR = path.resolve(process.cwd(), 'data');
 const DB_PATH = path.join(DATA_DIR, 'dexster.db');
+const VAULT_KEY_PATH = path.join(DATA_DIR, 'vault.key');
 
 function ensureDbFile() {
     if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
@@ -32,10 +34,15 @@ function ensureDbFile() {
             weeklyGiftsProgress: [],
             // Dashboard specific
             appUsers: [], // { userId, username, password, isAdmin }
-            appServers: [], // { id, name, ownerId, isSuspended, users_obj, files_obj, startup_obj }
+            appServers: [], // { id, name, ownerId, isSuspended, users_obj, files_obj, startup_obj, env_obj, limits_obj }
             appEventLogs: [], // { id, timestamp, event, details }
-            appConsoleLogs: [], // { userId, serverId, timestamp, content }
-            appProcessState: [] // { userId, serverId, isRunning, startTime }
+            appProcessState: [], // { userId, serverId, isRunning, startTime, status, pid }
+            appSchedules: [], // { id, serverId, name, cron, action, payload, enabled, createdBy, lastRunAt, lastResult, lastError }
+            appSettings: [], // { key, value } panel-wide settings managed by admins
+            appHealthChecks: [], // legacy; history now lives in data/health/<userId>_<serverId>.jsonl
+            appHealthIncidents: [], // { id, userId, serverId, startedAt, endedAt, reason, resolution }
+            appAlertRules: [], // { id, serverId, name, type, pattern, threshold, windowMinutes, silenceMinutes, channel, webhookUrl, cooldownMinutes, enabled, createdBy, lastFiredAt, lastError }
+            appNotifications: [] // { id, userId, serverId, title, message, createdAt, seen }
         };
         fs.writeFileSync(DB_PATH, JSON.stringify(empty, null, 2));
     } else {
@@ -43,7 +50,9 @@ function ensureDbFile() {
             const db = JSON.parse(fs.readFileSync(DB_PATH, 'utf-8'));
             let updated = false;
             const ensureArray = (key) => { if (!Array.isArray(db[key])) { db[key] = []; updated = true; } };
-            ['servers','users','guildUsers','primes','promos','promoUsages','languages','logs','guildCommandSettings','guildPrefixes','reminders','shareWarnings','roomWarnings','serverEmojis','joinRewards','pendingRoles','weeklyGifts','weeklyGiftsProgress','appUsers','appServers','appEventLogs','appConsoleLogs','appProcessState'].forEach(ensureArray);
+            ['servers','users','guildUsers','primes','promos','promoUsages','languages','logs','guildCommandSettings','guildPrefixes','reminders','shareWarnings','roomWarnings','serverEmojis','joinRewards','pendingRoles','weeklyGifts','weeklyGiftsProgress','appUsers','appServers','appEventLogs','appProcessState','appSchedules','appSettings','appHealthChecks','appHealthIncidents','appAlertRules','appNotifications'].forEach(ensureArray);
+            // Console output now lives in per-server log files
+            if (db.appConsoleLogs) { delete db.appConsoleLogs; updated = true; }
             if (updated) fs.writeFileSync(DB_PATH, JSON.stringify(db, null, 2));
         } catch (e) { /* ignore */ }
     }
@@ -104,6 +113,8 @@ export class JsonServerModel {
         this.users = data.users instanceof Map ? data.users : new Map(Object.entries(data.users || {}));
         this.files = data.files instanceof Map ? data.files : new Map(Object.entries(data.files || {}));
         this.startupSettings = data.startupSettings instanceof Map ? data.startupSettings : new Map(Object.entries(data.startupSettings || {}));
+        this.environment = data.environment instanceof Map ? data.environment : new Map(Object.entries(data.environment || {}));
+        this.limits = { ...(data.limits || {}) }; // admin-managed: memoryMb, cpuPercent, maxProcesses, diskMb
     }
     static async findOne(query) {
         const db = loadDb();
@@ -117,7 +128,9 @@ export class JsonServerModel {
             isSuspended: !!row.isSuspended,
             users: row.users_obj || {},
             files: row.files_obj || {},
-            startupSettings: row.startup_obj || {}
+            startupSettings: row.startup_obj || {},
+            environment: row.env_obj || {},
+            limits: row.limits_obj || {}
         });
     }
     static find(query) {
@@ -136,7 +149,8 @@ export class JsonServerModel {
             isSuspended: !!r.isSuspended,
             users: r.users_obj || {},
             files: r.files_obj || {},
-            startupSettings: r.startup_obj || {}
+            startupSettings: r.startup_obj || {},
+            limits: r.limits_obj || {}
         }));
         return { lean: async () => result };
     }
@@ -151,6 +165,7 @@ export class JsonServerModel {
         const usersObj = Object.fromEntries(this.users);
         const filesObj = Object.fromEntries(this.files);
         const startupObj = Object.fromEntries(this.startupSettings);
+        const envObj = Object.fromEntries(this.environment || new Map());
         upsert(db.appServers, s => s.id === this.id, {
             id: this.id,
             name: this.name,
@@ -158,7 +173,101 @@ export class JsonServerModel {
             isSuspended: !!this.isSuspended,
             users_obj: usersObj,
             files_obj: filesObj,
-            startup_obj: startupObj
+            startup_obj: startupObj,
+            env_obj: envObj,
+            limits_obj: { ...(this.limits || {}) }
+        });
+        saveDb(db);
+        return this;
+    }
+}
+
+// Scheduled tasks (cron) per server
+export class JsonScheduleModel {
+    constructor(data) { Object.assign(this, data); }
+    static find(query = {}) {
+        let rows = loadDb().appSchedules.slice();
+        if (query.serverId) rows = rows.filter(r => r.serverId === query.serverId);
+        if (query.enabled !== undefined) rows = rows.filter(r => !!r.enabled === !!query.enabled);
+        return { lean: async () => rows };
+    }
+    static async findOne(query) {
+        if (!query.id) return null;
+        const row = loadDb().appSchedules.find(r => r.id === query.id && (!query.serverId || r.serverId === query.serverId));
+        return row ? new JsonScheduleModel(row) : null;
+    }
+    static async deleteOne(query) {
+        const db = loadDb();
+        db.appSchedules = db.appSchedules.filter(r => r.id !== query.id);
+        saveDb(db);
+    }
+    static async deleteMany(query) {
+        const db = loadDb();
+        db.appSchedules = db.appSchedules.filter(r => r.serverId !== query.serverId);
+        saveDb(db);
+    }
+    async save() {
+        const db = loadDb();
+        upsert(db.appSchedules, r => r.id === this.id, {
+            id: this.id,
+            serverId: this.serverId,
+            name: this.name,
+            cron: this.cron,
+            action: this.action,
+            payload: this.payload || '',
+            enabled: !!this.enabled,
+            createdBy: this.createdBy,
+            lastRunAt: this.lastRunAt || null,
+            lastResult: this.lastResult || null,
+            lastError: this.lastError || null
+        });
+        saveDb(db);
+        return this;
+    }
+}
+
+// Alert rules on server output
+export class JsonAlertRuleModel {
+    constructor(data) { Object.assign(this, data); }
+    static find(query = {}) {
+        let rows = loadDb().appAlertRules.slice();
+        if (query.serverId) rows = rows.filter(r => r.serverId === query.serverId);
+        if (query.enabled !== undefined) rows = rows.filter(r => !!r.enabled === !!query.enabled);
+        return { lean: async () => rows };
+    }
+    static async findOne(query) {
+        if (!query.id) return null;
+        const row = loadDb().appAlertRules.find(r => r.id === query.id && (!query.serverId || r.serverId === query.serverId));
+        return row ? new JsonAlertRuleModel(row) : null;
+    }
+    static async deleteOne(query) {
+        const db = loadDb();
+        db.appAlertRules = db.appAlertRules.filter(r => r.id !== query.id);
+        saveDb(db);
+    }
+    static async deleteMany(query) {
+        const db = loadDb();
+        db.appAlertRules = db.appAlertRules.filter(r => r.serverId !== query.serverId);
+        saveDb(db);
+    }
+    async save() {
+        const db = loadDb();
+        upsert(db.appAlertRules, r => r.id === this.id, {
+            id: this.id,
+            serverId: this.serverId,
+            name: this.name,
+            type: this.type,
+            pattern: this.pattern || '',
+            threshold: this.threshold ?? null,
+            windowMinutes: this.windowMinutes ?? null,
+            silenceMinutes: this.silenceMinutes ?? null,
+            channel: this.channel,
+            webhookUrl: this.webhookUrl || '',
+            cooldownMinutes: this.cooldownMinutes ?? 0,
+            enabled: !!this.enabled,
+            createdBy: this.createdBy,
+            lastFiredAt: this.lastFiredAt || null,
+            lastError: this.lastError || null
         });
         saveDb(db);
         return this;
@@ -212,48 +321,237 @@ export class JsonEventLogModel {
     }
 }
 
-// Console logs helpers
-export function saveConsoleLog(userId, serverId, content) {
+// Process state helpers
+// status: 'running' | 'stopping' | 'stopped' | 'restarting' | 'crash-looping'
+export function setProcessState(userId, serverId, running, startTime, status, pid) {
     const db = loadDb();
-    db.appConsoleLogs.push({ userId, serverId, timestamp: Date.now(), content });
-    const MAX = 5000;
-    if (db.appConsoleLogs.length > MAX) db.appConsoleLogs.splice(0, db.appConsoleLogs.length - MAX);
+    upsert(db.appProcessState, r => r.userId === userId && r.serverId === serverId, { userId, serverId, isRunning: !!running, startTime: startTime ?? null, status: status || (running ? 'running' : 'stopped'), pid: pid ?? null });
     saveDb(db);
 }
 
-export function getRecentConsoleLogs(userId, serverId, limit = 100) {
+export function clearProcessState(userId, serverId) {
     const db = loadDb();
-    const rows = db.appConsoleLogs
-        .filter(r => r.userId === userId && r.serverId === serverId)
-        .sort((a,b) => a.timestamp - b.timestamp)
-        .slice(-limit)
-        .map(r => r.content);
-    return rows;
+    db.appProcessState = db.appProcessState.filter(r => !(r.userId === userId && r.serverId === serverId));
+    saveDb(db);
 }
 
-export function clearConsoleLogs(userId, serverId) {
+export function getAllProcessStates() {
+    return loadDb().appProcessState.map(r => ({ ...r }));
+}
+
+export function getProcessState(userId, serverId) {
     const db = loadDb();
-    db.appConsoleLogs = db.appConsoleLogs.filter(r => !(r.userId === userId && r.serverId === serverId));
+    const row = db.appProcessState.find(r => r.userId === userId && r.serverId === serverId);
+    return row
+        ? { isRunning: !!row.isRunning, startTime: row.startTime || null, status: row.status || (row.isRunning ? 'running' : 'stopped'), pid: row.pid || null }
+        : { isRunning: false, startTime: null, status: 'stopped', pid: null };
+}
+
+// Panel-wide settings
+export function getAppSetting(key, fallback = null) {
+    const row = loadDb().appSettings.find(r => r.key === key);
+    return row ? row.value : fallback;
+}
+
+export function setAppSetting(key, value) {
+    const db = loadDb();
+    upsert(db.appSettings, r => r.key === key, { key, value });
     saveDb(db);
 }
 
-// Process state helpers
-export function setProcessState(userId, serverId, running, startTime) {
+// Health check history
+// Probes run every few seconds per server, so results go to a per-server
+// append-only file (kept in memory once read) instead of the main DB.
+const HEALTH_DIR = path.join(DATA_DIR, 'health');
+// Keep a day of results at the default 30s interval for each server
+const MAX_HEALTH_CHECKS_PER_SERVER = 2880;
+const healthCheckCache = new Map(); // `${userId}:${serverId}` -> { rows, fileRows }
+
+function healthChecksPath(userId, serverId) {
+    return path.join(HEALTH_DIR, `${userId}_${serverId}.jsonl`);
+}
+
+function writeHealthChecksFile(userId, serverId, rows) {
+    if (!fs.existsSync(HEALTH_DIR)) fs.mkdirSync(HEALTH_DIR, { recursive: true });
+    fs.writeFileSync(healthChecksPath(userId, serverId), rows.map(r => JSON.stringify(r) + '\n').join(''));
+}
+
+function loadHealthChecks(userId, serverId) {
+    const key = `${userId}:${serverId}`;
+    if (healthCheckCache.has(key)) return healthCheckCache.get(key);
+
+    let rows = [];
+    const file = healthChecksPath(userId, serverId);
+    if (fs.existsSync(file)) {
+        for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+            if (!line) continue;
+            try { rows.push(JSON.parse(line)); } catch { /* torn last line after a crash */ }
+        }
+    } else {
+        // One-time move of history recorded in the main DB by older versions
+        const db = loadDb();
+        const legacy = db.appHealthChecks.filter(r => r.userId === userId && r.serverId === serverId);
+        if (legacy.length) {
+            rows = legacy.map(({ timestamp, ok, latencyMs, message }) => ({ timestamp, ok, latencyMs, message }));
+            writeHealthChecksFile(userId, serverId, rows);
+            db.appHealthChecks = db.appHealthChecks.filter(r => !(r.userId === userId && r.serverId === serverId));
+            saveDb(db);
+        }
+    }
+    const entry = { rows: rows.slice(-MAX_HEALTH_CHECKS_PER_SERVER), fileRows: rows.length };
+    healthCheckCache.set(key, entry);
+    return entry;
+}
+
+export function saveHealthCheck(userId, serverId, result) {
+    const entry = loadHealthChecks(userId, serverId);
+    const row = { timestamp: Date.now(), ok: !!result.ok, latencyMs: result.latencyMs ?? null, message: result.message || '' };
+    entry.rows.push(row);
+    if (entry.rows.length > MAX_HEALTH_CHECKS_PER_SERVER) entry.rows.shift();
+    // Compact the file once it holds twice what we keep
+    if (entry.fileRows >= MAX_HEALTH_CHECKS_PER_SERVER * 2) {
+        writeHealthChecksFile(userId, serverId, entry.rows);
+        entry.fileRows = entry.rows.length;
+        return;
+    }
+    if (!fs.existsSync(HEALTH_DIR)) fs.mkdirSync(HEALTH_DIR, { recursive: true });
+    fs.appendFileSync(healthChecksPath(userId, serverId), JSON.stringify(row) + '\n');
+    entry.fileRows++;
+}
+
+export function getHealthChecks(userId, serverId, since = 0) {
+    return loadHealthChecks(userId, serverId).rows
+        .filter(r => r.timestamp >= since)
+        .map(r => ({ userId, serverId, ...r }));
+}
+
+// Opens an incident unless one is already open; returns the open incident
+export function openHealthIncident(userId, serverId, reason) {
     const db = loadDb();
-    upsert(db.appProcessState, r => r.userId === userId && r.serverId === serverId, { userId, serverId, isRunning: !!running, startTime: startTime ?? null });
+    const open = db.appHealthIncidents.find(r => r.userId === userId && r.serverId === serverId && !r.endedAt);
+    if (open) return open;
+    const incident = { id: crypto.randomUUID(), userId, serverId, startedAt: Date.now(), endedAt: null, reason: reason || '', resolution: null };
+    db.appHealthIncidents.push(incident);
+    const MAX_PER_SERVER = 100;
+    const own = db.appHealthIncidents.filter(r => r.userId === userId && r.serverId === serverId);
+    if (own.length > MAX_PER_SERVER) {
+        const dropped = new Set(own.slice(0, own.length - MAX_PER_SERVER));
+        db.appHealthIncidents = db.appHealthIncidents.filter(r => !dropped.has(r));
+    }
     saveDb(db);
+    return incident;
 }
 
-export function clearProcessState(userId, serverId) {
+export function closeHealthIncident(userId, serverId, resolution) {
     const db = loadDb();
-    db.appProcessState = db.appProcessState.filter(r => !(r.userId === userId && r.serverId === serverId));
+    const open = db.appHealthIncidents.find(r => r.userId === userId && r.serverId === serverId && !r.endedAt);
+    if (!open) return null;
+    open.endedAt = Date.now();
+    open.resolution = resolution || '';
     saveDb(db);
+    return open;
 }
 
-export function getProcessState(userId, serverId) {
+export function getHealthIncidents(userId, serverId, limit = 20) {
+    return loadDb().appHealthIncidents
+        .filter(r => r.userId === userId && r.serverId === serverId)
+        .sort((a, b) => b.startedAt - a.startedAt)
+        .slice(0, limit);
+}
+
+export function clearHealthHistory(userId, serverId) {
+    healthCheckCache.delete(`${userId}:${serverId}`);
+    fs.rmSync(healthChecksPath(userId, serverId), { force: true });
     const db = loadDb();
-    const row = db.appProcessState.find(r => r.userId === userId && r.serverId === serverId);
-    return row ? { isRunning: !!row.isRunning, startTime: row.startTime || null } : { isRunning: false, startTime: null };
+    db.appHealthChecks = db.appHealthChecks.filter(r => !(r.userId === userId && r.serverId === serverId));
+    db.appHealthIncidents = db.appHealthIncidents.filter(r => !(r.userId === userId && r.serverId === serverId));
+    saveDb(db);
+}
+
+// In-panel notifications, shown to the user once and kept as history.
+// Every page polls for unseen ones, so the unseen count per user is kept in memory
+// and a poll with nothing new never reads the DB file.
+let unseenNotificationCounts = null; // userId -> count, built on first use
+
+function getUnseenNotificationCounts(db) {
+    if (!unseenNotificationCounts) {
+        unseenNotificationCounts = new Map();
+        for (const r of db.appNotifications) {
+            if (!r.seen) unseenNotificationCounts.set(r.userId, (unseenNotificationCounts.get(r.userId) || 0) + 1);
+        }
+    }
+    return unseenNotificationCounts;
+}
+
+export function addNotification(userId, { serverId, title, message }) {
+    const db = loadDb();
+    const counts = getUnseenNotificationCounts(db);
+    const notification = { id: crypto.randomUUID(), userId, serverId: serverId || null, title, message: message || '', createdAt: Date.now(), seen: false };
+    db.appNotifications.push(notification);
+    const MAX_PER_USER = 200;
+    const own = db.appNotifications.filter(r => r.userId === userId);
+    if (own.length > MAX_PER_USER) {
+        const dropped = new Set(own.slice(0, own.length - MAX_PER_USER));
+        db.appNotifications = db.appNotifications.filter(r => !dropped.has(r));
+    }
+    counts.set(userId, db.appNotifications.filter(r => r.userId === userId && !r.seen).length);
+    saveDb(db);
+    return notification;
+}
+
+export function getNotifications(userId, { serverId, limit = 20 } = {}) {
+    return loadDb().appNotifications
+        .filter(r => r.userId === userId && (!serverId || r.serverId === serverId))
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit);
+}
+
+// Returns the notifications not shown yet and marks them as seen
+export function takeUnseenNotifications(userId) {
+    if (unseenNotificationCounts && !unseenNotificationCounts.get(userId)) return [];
+    const db = loadDb();
+    const counts = getUnseenNotificationCounts(db);
+    const unseen = db.appNotifications.filter(r => r.userId === userId && !r.seen);
+    counts.set(userId, 0);
+    if (unseen.length === 0) return [];
+    unseen.forEach(r => { r.seen = true; });
+    saveDb(db);
+    return unseen.map(r => ({ ...r }));
+}
+
+// Secret vault: AES-256-GCM with a key from DEXSTER_VAULT_KEY, or one generated
+// once into data/vault.key. Ciphertexts are stored as "v1:<iv>:<tag>:<data>".
+let vaultKey = null;
+
+function getVaultKey() {
+    if (vaultKey) return vaultKey;
+    if (process.env.DEXSTER_VAULT_KEY) {
+        vaultKey = crypto.createHash('sha256').update(process.env.DEXSTER_VAULT_KEY).digest();
+        return vaultKey;
+    }
+    if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+    if (!fs.existsSync(VAULT_KEY_PATH)) {
+        try {
+            fs.writeFileSync(VAULT_KEY_PATH, crypto.randomBytes(32).toString('hex'), { mode: 0o600, flag: 'wx' });
+        } catch (e) { if (e.code !== 'EEXIST') throw e; }
+    }
+    vaultKey = Buffer.from(fs.readFileSync(VAULT_KEY_PATH, 'utf-8').trim(), 'hex');
+    return vaultKey;
+}
+
+export function encryptSecret(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getVaultKey(), iv);
+    const data = Buffer.concat([cipher.update(String(plaintext), 'utf-8'), cipher.final()]);
+    return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+export function decryptSecret(payload) {
+    const [version, iv, tag, data] = String(payload).split(':');
+    if (version !== 'v1' || !iv || !tag || data === undefined) throw new Error('Invalid secret payload');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getVaultKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf-8');
 }
 
 export function connectDB() {
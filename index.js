@@ -3,10 +3,18 @@ import fs from 'fs-extra';
 import express from 'express';
 import session from 'express-session';
 import os from 'os';
-import { JsonUserModel as JsonUserModel, JsonServerModel as JsonServerModel, JsonEventLogModel as JsonEventLogModel, saveConsoleLog as jsonSaveConsoleLog, getRecentConsoleLogs as jsonGetRecentConsoleLogs, setProcessState as jsonSetProcessState, clearProcessState as jsonClearProcessState, getProcessState as jsonGetProcessState, connectDB as connectJsonDb, clearConsoleLogs as jsonClearConsoleLogs } from './db.js';
+import net from 'net';
+import dns from 'dns';
+import http from 'http';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import readline from 'readline';
+import { pipeline } from 'stream/promises';
+import { JsonUserModel as JsonUserModel, JsonServerModel as JsonServerModel, JsonEventLogModel as JsonEventLogModel, setProcessState as jsonSetProcessState, clearProcessState as jsonClearProcessState, getProcessState as jsonGetProcessState, getAllProcessStates as jsonGetAllProcessStates, connectDB as connectJsonDb, encryptSecret, decryptSecret, JsonScheduleModel, getAppSetting, setAppSetting, saveHealthCheck, getHealthChecks, openHealthIncident, closeHealthIncident, getHealthIncidents, clearHealthHistory, JsonAlertRuleModel, addNotification, getNotifications, takeUnseenNotifications, DATA_DIR } from './db.js';
+import { compileUserPattern, MAX_USER_PATTERN_LENGTH } from './patterns.js';
 import chardet from 'chardet';
 import chalk from 'chalk';
-import { exec, spawn } from 'child_process';
+import { execFile, spawn } from 'child_process';
 import util from 'util';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
@@ -17,11 +25,13 @@ import archiver from 'archiver';
 import unzipper from 'unzipper';
 import { v4 as uuidv4 } from 'uuid';
 import * as tar from 'tar';
+import pty from 'node-pty';
+import { Agent, buildConnector } from 'undici';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const execPromise = util.promisify(exec);
+const execFilePromise = util.promisify(execFile);
 
 // Initialize global variables
 const tempDir = path.join(__dirname, 'temp');
@@ -30,6 +40,9 @@ const maxLogSize = 1000;
 const consoleLogs = {};
 const runningProcesses = {};
 const serverStartTime = {};
+const shellSessions = new Set();
+const serverSecrets = {}; // `${userId}-${serverId}` -> decrypted secret values to mask in output
+const SHELL_IDLE_TIMEOUT_MS = 15 * 60 * 1000; // 15 دقيقة بدون إدخال
 
 // Ensure temp directory exists
 fs.ensureDirSync(tempDir);
@@ -62,35 +75,149 @@ function resolveServerPath(filesDir, relativePath) {
 // Create Express app
 const app = express();
 const port = 7019;
-const usedPorts = new Set([7019]);
-
-// Format console output function
-const formatConsoleOutput = (log) => {
-    const timestamp = new Date().toLocaleTimeString('ar-EG');
-    const formattedTimestamp = `<span class='text-gray-400'>[${timestamp}]</span>`;
-    let icon = '';
-    let colorClass = '';
-    let cleanLog = log.trim();
-    const lowerLog = cleanLog.toLowerCase();
-
-    if (lowerLog.includes('error') || lowerLog.includes('خطأ') || lowerLog.includes('err')) {
-        icon = `<i class='fas fa-circle-xmark text-purple-400 mr-2'></i>`;
-        colorClass = 'console-log-error';
-    } else if (lowerLog.includes('warn') || lowerLog.includes('تحذير')) {
-        icon = `<i class='fas fa-triangle-exclamation text-purple-400 mr-2'></i>`;
-        colorClass = 'console-log-warn';
-    } else if (lowerLog.includes('success') || lowerLog.includes('تم') || lowerLog.includes('completed') || lowerLog.includes('تثبيت الحزم')) {
-        icon = `<i class='fas fa-circle-check text-purple-400 mr-2'></i>`;
-        colorClass = 'console-log-success';
-    } else if (lowerLog.includes('info') || lowerLog.includes('معلومات')) {
-        icon = `<i class='fas fa-circle-info text-purple-400 mr-2'></i>`;
-        colorClass = 'console-log-info';
-    } else {
-        icon = `<i class='fas fa-terminal text-purple-400 mr-2'></i>`;
-        colorClass = 'console-log-info';
+
+const escapeHtml = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// --- ANSI colors ---
+// SGR sequences (16/256/truecolor, bold, underline...) become inline-styled spans and
+// every other escape sequence is dropped. The text itself is always HTML-escaped.
+const ANSI_SEQUENCE_PATTERN = /\x1b\[([0-?]*)[ -\/]*([@-~])|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)?|\x1b[@-Z\\-_]/g;
+const ANSI_BASIC_COLORS = [
+    '#3b4252', '#f85149', '#3fb950', '#d29922', '#58a6ff', '#bc8cff', '#39c5cf', '#c9d1d9',
+    '#6e7681', '#ff7b72', '#56d364', '#e3b341', '#79c0ff', '#d2a8ff', '#56d4dd', '#ffffff'
+];
+const ANSI_CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+const rgbToHex = (r, g, b) => '#' + [r, g, b].map(value => Math.min(Math.max(value || 0, 0), 255).toString(16).padStart(2, '0')).join('');
+
+const ansi256ToHex = (index) => {
+    if (index < 16) return ANSI_BASIC_COLORS[index];
+    if (index >= 232) {
+        const level = 8 + (index - 232) * 10;
+        return rgbToHex(level, level, level);
+    }
+    const cube = index - 16;
+    return rgbToHex(ANSI_CUBE_LEVELS[Math.floor(cube / 36)], ANSI_CUBE_LEVELS[Math.floor(cube / 6) % 6], ANSI_CUBE_LEVELS[cube % 6]);
+};
+
+const createAnsiState = () => ({ fg: null, bg: null, bold: false, dim: false, italic: false, underline: false, strike: false });
+
+// Reads a 38/48 color argument starting at codes[i]; returns [color, codes consumed]
+const readExtendedColor = (codes, i) => {
+    if (codes[i] === 5 && codes[i + 1] >= 0 && codes[i + 1] <= 255) return [ansi256ToHex(codes[i + 1]), 2];
+    if (codes[i] === 2) return [rgbToHex(codes[i + 1], codes[i + 2], codes[i + 3]), 4];
+    return [null, 1];
+};
+
+const applySgrCodes = (state, params) => {
+    const codes = params === '' ? [0] : params.split(';').map(code => parseInt(code, 10) || 0);
+    for (let i = 0; i < codes.length; i++) {
+        const code = codes[i];
+        if (code === 0) Object.assign(state, createAnsiState());
+        else if (code === 1) state.bold = true;
+        else if (code === 2) state.dim = true;
+        else if (code === 3) state.italic = true;
+        else if (code === 4) state.underline = true;
+        else if (code === 9) state.strike = true;
+        else if (code === 22) state.bold = state.dim = false;
+        else if (code === 23) state.italic = false;
+        else if (code === 24) state.underline = false;
+        else if (code === 29) state.strike = false;
+        else if (code >= 30 && code <= 37) state.fg = ANSI_BASIC_COLORS[code - 30];
+        else if (code >= 90 && code <= 97) state.fg = ANSI_BASIC_COLORS[code - 90 + 8];
+        else if (code === 39) state.fg = null;
+        else if (code >= 40 && code <= 47) state.bg = ANSI_BASIC_COLORS[code - 40];
+        else if (code >= 100 && code <= 107) state.bg = ANSI_BASIC_COLORS[code - 100 + 8];
+        else if (code === 49) state.bg = null;
+        else if (code === 38 || code === 48) {
+            const [color, consumed] = readExtendedColor(codes, i + 1);
+            if (color) state[code === 38 ? 'fg' : 'bg'] = color;
+            i += consumed;
+        }
+    }
+};
+
+// Only hex colors and fixed keywords end up in here, never text from the process
+const getAnsiStyle = (state) => {
+    const decorations = [state.underline && 'underline', state.strike && 'line-through'].filter(Boolean);
+    return [
+        state.fg && `color:${state.fg}`,
+        state.bg && `background-color:${state.bg}`,
+        state.bold && 'font-weight:bold',
+        state.dim && 'opacity:0.7',
+        state.italic && 'font-style:italic',
+        decorations.length > 0 && `text-decoration:${decorations.join(' ')}`
+    ].filter(Boolean).join(';');
+};
+
+const stripAnsi = (text) => String(text).replace(ANSI_SEQUENCE_PATTERN, '');
+
+// Pass the same state for consecutive lines so a color left open carries over
+const ansiToHtml = (text, state = createAnsiState()) => {
+    const source = String(text);
+    let html = '';
+    let lastIndex = 0;
+    const appendText = (chunk) => {
+        if (!chunk) return;
+        const style = getAnsiStyle(state);
+        html += style ? `<span style='${style}'>${escapeHtml(chunk)}</span>` : escapeHtml(chunk);
+    };
+    for (const match of source.matchAll(ANSI_SEQUENCE_PATTERN)) {
+        appendText(source.slice(lastIndex, match.index));
+        if (match[2] === 'm') applySgrCodes(state, match[1]);
+        lastIndex = match.index + match[0].length;
+    }
+    appendText(source.slice(lastIndex));
+    return html;
+};
+// Applies the SGR codes in text to state without rendering anything
+const advanceAnsiState = (state, text) => {
+    for (const match of String(text).matchAll(ANSI_SEQUENCE_PATTERN)) {
+        if (match[2] === 'm') applySgrCodes(state, match[1]);
     }
+};
+
+const hexToSgr = (hex) => [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16)).join(';');
+
+// The SGR sequence that recreates state, so every line renders correctly on its own
+const ansiStateToSgr = (state) => {
+    const codes = [
+        state.bold && '1', state.dim && '2', state.italic && '3', state.underline && '4', state.strike && '9',
+        state.fg && `38;2;${hexToSgr(state.fg)}`,
+        state.bg && `48;2;${hexToSgr(state.bg)}`
+    ].filter(Boolean);
+    return codes.length > 0 ? `\x1b[${codes.join(';')}m` : '';
+};
+// --- End: ANSI colors ---
+
+// Format one console line: escaped, ANSI colors rendered, classified by level
+// Console line levels: the CSS class and icon used to render each one
+const LOG_LEVELS = {
+    error: { className: 'console-log-error', icon: 'fa-circle-xmark' },
+    warn: { className: 'console-log-warn', icon: 'fa-triangle-exclamation' },
+    success: { className: 'console-log-success', icon: 'fa-circle-check' },
+    info: { className: 'console-log-info', icon: 'fa-circle-info' },
+    output: { className: 'console-log-info', icon: 'fa-terminal' }
+};
+
+const getLogLevel = (text) => {
+    const lowerLog = stripAnsi(text).toLowerCase();
+    if (lowerLog.includes('error') || lowerLog.includes('خطأ') || lowerLog.includes('err')) return 'error';
+    if (lowerLog.includes('warn') || lowerLog.includes('تحذير')) return 'warn';
+    if (lowerLog.includes('success') || lowerLog.includes('تم') || lowerLog.includes('completed') || lowerLog.includes('تثبيت الحزم')) return 'success';
+    if (lowerLog.includes('info') || lowerLog.includes('معلومات')) return 'info';
+    return 'output';
+};
+
+// Format one console line as HTML: escaped, ANSI colors rendered, classified by level.
+// Only legacy console sockets get these; the console page renders log entries itself.
+const formatConsoleOutput = (log, ts = Date.now()) => {
+    // Entries converted from old rendered rows have no timestamp of their own
+    const formattedTimestamp = ts === null ? '' : `<span class='text-gray-400'>[${new Date(ts).toLocaleTimeString('ar-EG')}]</span>`;
+    const level = LOG_LEVELS[getLogLevel(log)];
+    const icon = `<i class='fas ${level.icon} text-purple-400 mr-2'></i>`;
     // إرجاع HTML منسق للعرض في الواجهة
-    return `<span class='${colorClass}'>${formattedTimestamp} ${icon} ${cleanLog}</span>`;
+    return `<span class='${level.className}'>${formattedTimestamp} ${icon} ${ansiToHtml(String(log).trimEnd())}</span>`;
 };
 
 // Initialize console logs for a server
@@ -128,6 +255,8 @@ class ServerModel {
         this.users = data.users instanceof Map ? data.users : new Map(Object.entries(data.users || {}));
         this.files = data.files instanceof Map ? data.files : new Map(Object.entries(data.files || {}));
         this.startupSettings = data.startupSettings instanceof Map ? data.startupSettings : new Map(Object.entries(data.startupSettings || {}));
+        this.environment = data.environment instanceof Map ? data.environment : new Map(Object.entries(data.environment || {}));
+        this.limits = { ...(data.limits || {}) };
     }
     static async findOne(query) {
         const row = await JsonServerModel.findOne(query);
@@ -159,22 +288,24 @@ class EventLogModel {
 
 // buildLogFilter removed - now handled in JsonEventLogModel
 
-// --- Helpers: console logs & process state ---
-function saveConsoleLog(userId, serverId, content) { try { jsonSaveConsoleLog(userId, serverId, content); } catch (e) { /* ignore */ } }
-
-function getRecentConsoleLogs(userId, serverId, limit = 100) { return jsonGetRecentConsoleLogs(userId, serverId, limit); }
-function clearConsoleLogs(userId, serverId) { try { jsonClearConsoleLogs(userId, serverId); } catch (e) { /* ignore */ } }
-
-function setProcessState(userId, serverId, running, startTime) { try { jsonSetProcessState(userId, serverId, running, startTime); } catch (e) { /* ignore */ } }
+// --- Helpers: process state ---
+function setProcessState(userId, serverId, running, startTime, status, pid) {
+    try { jsonSetProcessState(userId, serverId, running, startTime, status, pid); } catch (e) { /* ignore */ }
+    broadcastToServer(userId, serverId, getConsoleStatus(userId, serverId));
+}
 
 function clearProcessState(userId, serverId) { try { jsonClearProcessState(userId, serverId); } catch (e) { /* ignore */ } }
 
 function getProcessState(userId, serverId) { return jsonGetProcessState(userId, serverId); }
 
+function getAllProcessStates() { return jsonGetAllProcessStates(); }
+
 // Bind JSON-backed models
 const User = JsonUserModel;
 const Server = JsonServerModel;
 const EventLog = JsonEventLogModel;
+const Schedule = JsonScheduleModel;
+const AlertRule = JsonAlertRuleModel;
 
 // Seed admin user if needed
 (async () => {
@@ -210,10 +341,13 @@ const sessionParser = session({
     secret: 'your-secret-key',
     resave: false,
     saveUninitialized: false,
-    cookie: { secure: false }
+    // lax keeps the session off cross-site requests, including from sandboxed proxy pages
+    cookie: { secure: false, sameSite: 'lax' }
     // Using memory store (no persistent session storage)
 });
 
+// Proxied traffic must reach the hosted server untouched, so it is handled before sessions and body parsing
+app.use((req, res, next) => handleProxyRequest(req, res, next));
 app.use(sessionParser);
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
@@ -227,38 +361,294 @@ const server = app.listen(port, () => {
 // Initialize WebSocket server
 const wss = new WebSocketServer({ noServer: true });
 
+// --- Console protocol ---
+// Console sockets exchange JSON messages. Server to client:
+//   {type: 'log', stream: 'stdout'|'stderr'|'system', level, ts, text}  (text may hold ANSI codes)
+//   {type: 'status', status, running, startTime}, {type: 'clear'},
+//   {type: 'stats'|'stats-history'|'health'|'install', ...}, {type: 'ack', id, ok, error}
+// Client to server: {type: 'command', id, command}, answered with an ack.
+// Sockets opened without ?protocol=json keep the legacy format: pre-rendered HTML
+// lines, '__CLEAR_CONSOLE__' and plain-text commands.
+const createLogEntry = (text, stream = 'system', ts = Date.now()) => ({ type: 'log', stream, level: getLogLevel(text), ts, text });
+
+// null when a legacy socket has no use for the message
+const encodeConsoleMessage = (ws, message) => {
+    if (!ws.legacyProtocol) return JSON.stringify(message);
+    switch (message.type) {
+        case 'log': return formatConsoleOutput(message.text, message.ts);
+        case 'clear': return '__CLEAR_CONSOLE__';
+        case 'status':
+        case 'ack': return null;
+        default: return JSON.stringify(message);
+    }
+};
+
+const sendConsoleMessage = (ws, message) => {
+    const data = encodeConsoleMessage(ws, message);
+    if (data !== null && ws.readyState === ws.OPEN) ws.send(data);
+};
+
+// Send a message to every console viewer of a server
+const broadcastToServer = (userId, serverId, message) => {
+    wss.clients.forEach(client => {
+        if (client.userId === userId && client.serverId === serverId) sendConsoleMessage(client, message);
+    });
+};
+
+// Owners and admins always pass; sub-users need the given permission flag
+const hasConsolePermission = async (actorId, serverId, permission) => {
+    const [actor, server] = await Promise.all([User.findOne({ userId: actorId }), Server.findOne({ id: serverId })]);
+    if (!actor || !server) return false;
+    if (actor.isAdmin || server.ownerId === actorId) return true;
+    return !!server.users.get(actorId)?.[permission];
+};
+
+// Separate WebSocket channel for interactive PTY shells
+const shellWss = new WebSocketServer({ noServer: true });
+
+// WebSocket close codes used when a subscription is rejected
+const WS_CLOSE = {
+    BAD_REQUEST: 4400,
+    UNAUTHORIZED: 4401,
+    FORBIDDEN: 4403,
+    NOT_FOUND: 4404
+};
+
+// Same checks as ensureServerAccess, applied when a socket subscribes to a server
+const authorizeServerSocket = async (session, query, permission) => {
+    const deny = (code, reason) => ({ ok: false, code, reason });
+    if (!session?.userId) return deny(WS_CLOSE.UNAUTHORIZED, 'Login required');
+
+    const actorId = session.impersonating || session.userId;
+    const serverId = query.get('serverId');
+    const targetUserId = query.get('userId') || actorId;
+    if (!serverId) return deny(WS_CLOSE.BAD_REQUEST, 'serverId is required');
+
+    const user = await User.findOne({ userId: actorId });
+    if (!user) return deny(WS_CLOSE.UNAUTHORIZED, 'User not found');
+
+    const targetUser = await User.findOne({ userId: targetUserId });
+    if (!targetUser) return deny(WS_CLOSE.NOT_FOUND, 'Target user not found');
+
+    const server = await Server.findOne({ id: serverId });
+    if (!server) return deny(WS_CLOSE.NOT_FOUND, 'Server not found');
+    if (server.ownerId !== targetUserId) return deny(WS_CLOSE.FORBIDDEN, 'Server does not belong to this user');
+    if (server.isSuspended && !user.isAdmin) return deny(WS_CLOSE.FORBIDDEN, 'Server is suspended');
+
+    const isOwner = server.ownerId === actorId;
+    const permissions = server.users.get(actorId) || {};
+    if (!isOwner && !user.isAdmin && !permissions[permission]) {
+        return deny(WS_CLOSE.FORBIDDEN, `Missing ${permission} permission`);
+    }
+
+    return { ok: true, actorId, targetUserId, serverId, server, isOwner, isAdmin: !!user.isAdmin, permissions };
+};
+
 // Handle WebSocket upgrade
-server.on('upgrade', (request, socket, head) => {
-    sessionParser(request, {}, () => {
-        if (!request.session.userId) {
+server.on('upgrade', async (request, socket, head) => {
+    let proxyTarget = null;
+    try {
+        proxyTarget = await resolveProxyTarget(request);
+    } catch (err) {
+        console.error('Error resolving proxy target:', err);
+    }
+    if (proxyTarget) {
+        handleProxyUpgrade(request, socket, head, proxyTarget);
+        return;
+    }
+    sessionParser(request, {}, async () => {
+        const url = new URL(request.url, 'ws://localhost');
+        const isShell = url.pathname === '/ws/shell';
+        const target = isShell ? shellWss : wss;
+        try {
+            request.socketAuth = await authorizeServerSocket(request.session, url.searchParams, isShell ? 'useShell' : 'viewConsole');
+        } catch (err) {
+            console.error('Error authorizing WebSocket subscription:', err);
             socket.destroy();
             return;
         }
-        wss.handleUpgrade(request, socket, head, (ws) => {
-            wss.emit('connection', ws, request);
+        target.handleUpgrade(request, socket, head, (ws) => {
+            if (!request.socketAuth.ok) {
+                ws.close(request.socketAuth.code, request.socketAuth.reason);
+                return;
+            }
+            target.emit('connection', ws, request);
         });
     });
 });
 
 // Handle WebSocket connections
-wss.on('connection', (ws, req) => {
-    const url = new URL(req.url, 'ws://localhost');
-    const userId = url.searchParams.get('userId');
-    const serverId = url.searchParams.get('serverId');
+// Writes a line to the server's stdin and echoes it to every viewer; returns an error message on failure
+// The status message a console viewer gets on connect and on every state change
+const getConsoleStatus = (userId, serverId) => {
+    const persistedState = getProcessState(userId, serverId);
+    const serverProcess = runningProcesses[userId]?.[serverId];
+    const running = persistedState.isRunning || !!serverProcess;
+    return {
+        type: 'status',
+        status: serverProcess?.stopping ? 'stopping' : running ? 'running' : persistedState.status,
+        running,
+        startTime: persistedState.startTime || null
+    };
+};
+
+const sendCommandToServer = (userId, serverId, command) => {
+    const serverProcess = runningProcesses[userId]?.[serverId];
+    if (!serverProcess || !serverProcess.stdin || !serverProcess.stdin.writable) {
+        return '[تحذير] السيرفر متوقف، لا يمكن إرسال الأمر';
+    }
+    try {
+        serverProcess.stdin.write(command + '\n');
+    } catch (err) {
+        return `[خطأ] فشل إرسال الأمر: ${err.message}`;
+    }
+    pushConsoleMessage(userId, serverId, `$ ${command}`);
+    return null;
+};
+
+wss.on('connection', async (ws, req) => {
+    const { targetUserId: userId, serverId, actorId } = req.socketAuth;
 
     ws.userId = userId;
     ws.serverId = serverId;
+    ws.actorId = actorId;
+    ws.legacyProtocol = new URL(req.url, 'ws://localhost').searchParams.get('protocol') !== 'json';
+
+    // Commands typed in the console are written to the running process's stdin
+    ws.on('message', async (data) => {
+        let request;
+        if (ws.legacyProtocol) {
+            request = { command: data.toString() };
+        } else {
+            try {
+                request = JSON.parse(data.toString());
+            } catch (e) {
+                return sendConsoleMessage(ws, { type: 'ack', id: null, ok: false, error: 'رسالة غير صالحة' });
+            }
+            if (request.type !== 'command') {
+                return sendConsoleMessage(ws, { type: 'ack', id: request.id ?? null, ok: false, error: 'نوع رسالة غير معروف' });
+            }
+        }
+        // Legacy sockets get failures as a console line, JSON sockets as a failed ack
+        const reply = (error) => {
+            if (ws.legacyProtocol) {
+                if (error) sendConsoleMessage(ws, createLogEntry(error));
+                return;
+            }
+            sendConsoleMessage(ws, { type: 'ack', id: request.id ?? null, ok: !error, ...(error ? { error } : {}) });
+        };
 
-    // Initialize logs for this connection
-    if (userId && serverId) {
-        initializeServerLogs(userId, serverId);
-        const recent = getRecentConsoleLogs(userId, serverId, 100);
-        recent.forEach(log => { if (ws.readyState === ws.OPEN) ws.send(log); });
-    }
+        const command = String(request.command ?? '').replace(/[\r\n]+$/, '');
+        if (!command.trim()) {
+            if (!ws.legacyProtocol) reply('[خطأ] الأمر فارغ');
+            return;
+        }
+
+        if (!await hasConsolePermission(actorId, serverId, 'sendConsoleCommand')) {
+            return reply('[خطأ] غير مصرح لك بإرسال أوامر إلى الكونسول');
+        }
+
+        const error = sendCommandToServer(userId, serverId, command);
+        if (error) return reply(error);
+        logServerEvent('إرسال أمر للكونسول', { userId: actorId, serverId, command: redactSecrets(userId, serverId, command) });
+        reply(null);
+    });
 
     ws.on('close', () => {
         // Cleanup if needed
     });
+
+    // Initialize logs for this connection
+    initializeServerLogs(userId, serverId);
+    const recent = await getRecentConsoleLogs(userId, serverId, 100).catch(() => []);
+    recent.forEach(entry => sendConsoleMessage(ws, entry));
+    sendConsoleMessage(ws, getConsoleStatus(userId, serverId));
+    const metrics = serverMetrics[`${userId}-${serverId}`];
+    if (metrics) sendConsoleMessage(ws, { type: 'stats-history', samples: metrics.samples });
+    sendConsoleMessage(ws, { type: 'install', active: isInstallActive(userId, serverId) });
+});
+
+// Handle shell connections: one PTY per socket, rooted in the server's files directory
+shellWss.on('connection', async (ws, req) => {
+    const url = new URL(req.url, 'ws://localhost');
+    const { targetUserId: userId, serverId, actorId } = req.socketAuth;
+    const cols = Math.min(Math.max(parseInt(url.searchParams.get('cols') || '80', 10) || 80, 20), 500);
+    const rows = Math.min(Math.max(parseInt(url.searchParams.get('rows') || '24', 10) || 24, 5), 200);
+
+    const { filesDir } = getServerStoragePaths(userId, serverId);
+    let term;
+    try {
+        const isolation = await getServerIsolation(userId, serverId, req.socketAuth.server);
+        // Without isolation the shell runs as the panel's user and can read its data directory
+        if (!isolation && !req.socketAuth.isOwner && !req.socketAuth.isAdmin) {
+            ws.close(WS_CLOSE.FORBIDDEN, 'Shell requires server isolation');
+            return;
+        }
+        // The panel's $SHELL may not exist (or be readable) inside the sandbox
+        const shell = isolation ? isolation.wrap({ command: 'bash', args: [] }) : { command: 'bash', args: [] };
+        term = pty.spawn(shell.command, shell.args, {
+            name: 'xterm-256color',
+            cols,
+            rows,
+            cwd: filesDir,
+            env: { ...getShellEnvironment(isolation), TERM: 'xterm-256color', HOME: filesDir }
+        });
+    } catch (err) {
+        console.error(`Error spawning shell for server ${serverId}:`, err);
+        ws.send(`\r\n[خطأ] تعذر فتح الشيل: ${err.message}\r\n`);
+        ws.close(1011, 'Shell spawn failed');
+        return;
+    }
+
+    const session = { ws, term, userId, serverId, actorId };
+    shellSessions.add(session);
+    logServerEvent('فتح جلسة شيل', { userId: actorId, serverId });
+
+    let idleTimer;
+    const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+            if (ws.readyState === ws.OPEN) ws.send('\r\n[معلومات] تم إغلاق الشيل بسبب عدم النشاط\r\n');
+            term.kill();
+        }, SHELL_IDLE_TIMEOUT_MS);
+    };
+    resetIdleTimer();
+
+    term.onData(data => {
+        if (ws.readyState === ws.OPEN) ws.send(data);
+    });
+
+    term.onExit(({ exitCode }) => {
+        clearTimeout(idleTimer);
+        shellSessions.delete(session);
+        if (ws.readyState === ws.OPEN) {
+            ws.send(`\r\n[معلومات] انتهت جلسة الشيل (رمز الخروج: ${exitCode})\r\n`);
+            ws.close(1000, 'Shell exited');
+        }
+    });
+
+    // Client messages are JSON: { type: 'input', data } or { type: 'resize', cols, rows }
+    const handleMessage = (raw) => {
+        let msg;
+        try { msg = JSON.parse(raw.toString()); } catch { return; }
+        if (msg.type === 'input' && typeof msg.data === 'string') {
+            resetIdleTimer();
+            term.write(msg.data);
+        } else if (msg.type === 'resize') {
+            const newCols = parseInt(msg.cols, 10);
+            const newRows = parseInt(msg.rows, 10);
+            if (newCols > 0 && newRows > 0) {
+                try { term.resize(Math.min(newCols, 500), Math.min(newRows, 200)); } catch { /* pty already gone */ }
+            }
+        }
+    };
+    ws.on('message', handleMessage);
+
+    ws.on('close', () => {
+        clearTimeout(idleTimer);
+        shellSessions.delete(session);
+        try { term.kill(); } catch { /* already exited */ }
+    });
 });
 
 const ensureLoggedIn = async (req, res, next) => {
@@ -577,6 +967,7 @@ const baseTemplate = (content, activePage, user, showSidebar = true, serverId =
     <link href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css" rel="stylesheet">
     <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github-dark.min.css">
     <script src="https://cdnjs.cloudflare.com/ajax/libs/xterm/5.2.1/xterm.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/xterm-addon-fit@0.8.0/lib/xterm-addon-fit.js"></script>
     <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/xterm/5.2.1/xterm.css">
     <style>
         * { 
@@ -915,6 +1306,7 @@ const baseTemplate = (content, activePage, user, showSidebar = true, serverId =
         .console-log {
             margin-bottom: 8px;
             padding: 4px 0;
+            white-space: pre-wrap;
             word-wrap: break-word;
         }
         
@@ -1361,6 +1753,12 @@ const baseTemplate = (content, activePage, user, showSidebar = true, serverId =
                         <span>الكونسول</span>
                     </a>
                     ` : ''}
+                    ${server.users.get(req?.userId)?.viewConsole || user?.isAdmin || server.ownerId === req?.userId ? `
+                    <a href="/console-logs?serverId=${serverId}${userId ? `&userId=${userId}` : ''}" class="${activePage === 'السجلات' ? 'active' : ''}">
+                        <i class="fas fa-magnifying-glass icon"></i>
+                        <span>السجلات</span>
+                    </a>
+                    ` : ''}
                     ${server.users.get(req?.userId)?.viewFiles || user?.isAdmin || server.ownerId === req?.userId ? `
                     <a href="/files?serverId=${serverId}${userId ? `&userId=${userId}` : ''}" class="${activePage === 'الملفات' ? 'active' : ''}">
                         <i class="fas fa-folder-open icon"></i>
@@ -1378,6 +1776,22 @@ const baseTemplate = (content, activePage, user, showSidebar = true, serverId =
                         <i class="fas fa-play-circle icon"></i>
                         <span>بدء التشغيل</span>
                     </a>
+                    <a href="/environment?serverId=${serverId}${userId ? `&userId=${userId}` : ''}" class="${activePage === 'المتغيرات' ? 'active' : ''}">
+                        <i class="fas fa-key icon"></i>
+                        <span>المتغيرات</span>
+                    </a>
+                    ` : ''}
+                    ${server.users.get(req?.userId)?.manageSchedules || user?.isAdmin || server.ownerId === req?.userId ? `
+                    <a href="/schedules?serverId=${serverId}${userId ? `&userId=${userId}` : ''}" class="${activePage === 'الجدولة' ? 'active' : ''}">
+                        <i class="fas fa-clock icon"></i>
+                        <span>الجدولة</span>
+                    </a>
+                    ` : ''}
+                    ${user?.isAdmin || server.ownerId === req?.userId ? `
+                    <a href="/alerts?serverId=${serverId}${userId ? `&userId=${userId}` : ''}" class="${activePage === 'التنبيهات' ? 'active' : ''}">
+                        <i class="fas fa-bell icon"></i>
+                        <span>التنبيهات</span>
+                    </a>
                     ` : ''}
                     ${server.users.get(req?.userId)?.viewUsers || user?.isAdmin || server.ownerId === req?.userId ? `
                     <a href="/users?serverId=${serverId}${userId ? `&userId=${userId}` : ''}" class="${activePage === 'المستخدمين' ? 'active' : ''}">
@@ -1482,8 +1896,21 @@ const baseTemplate = (content, activePage, user, showSidebar = true, serverId =
             
             // Initialize notification system
             initNotificationSystem();
+            ${user ? 'pollPanelNotifications();' : ''}
         });
         
+        // Alert notifications stored for this user (see /api/notifications)
+        function pollPanelNotifications() {
+            const escapeText = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            fetch('/api/notifications')
+                .then(response => response.ok ? response.json() : { notifications: [] })
+                .then(data => (data.notifications || []).forEach(notification => {
+                    showNotification(escapeText(notification.title), escapeText(notification.message), 'warning', 15000);
+                }))
+                .catch(() => {})
+                .finally(() => setTimeout(pollPanelNotifications, 30000));
+        }
+        
         // Notification System
         function initNotificationSystem() {
             // Check for URL parameters and show notifications
@@ -1586,7 +2013,7 @@ app.get('/api/dashboard-servers', ensureLoggedIn, async (req, res) => {
             serversToShow = await Promise.all(serversToShow.map(async server => {
                 const owner = await User.findOne({ userId: server.ownerId });
                 const state = getProcessState(server.ownerId, server.id);
-                return { ...server, ownerUsername: owner?.username || 'غير معروف', isRunning: state.isRunning };
+                return { ...server, ownerUsername: owner?.username || 'غير معروف', isRunning: state.isRunning, status: state.status, health: getServerHealthStatus(server.ownerId, server.id) };
             }));
         } else {
             serversToShow = await Server.find({
@@ -1598,7 +2025,7 @@ app.get('/api/dashboard-servers', ensureLoggedIn, async (req, res) => {
             serversToShow = await Promise.all(serversToShow.map(async server => {
                 const owner = await User.findOne({ userId: server.ownerId });
                 const state = getProcessState(server.ownerId, server.id);
-                return { ...server, ownerUsername: owner?.username || 'غير معروف', isRunning: state.isRunning };
+                return { ...server, ownerUsername: owner?.username || 'غير معروف', isRunning: state.isRunning, status: state.status, health: getServerHealthStatus(server.ownerId, server.id) };
             }));
         }
         res.json({
@@ -1744,8 +2171,8 @@ app.get('/', ensureLoggedIn, async (req, res) => {
                                                     </div>
                                                 </div>
                                                 <div class="flex items-center gap-2">
-                                                    <div class="w-3 h-3 rounded-full \${server.isRunning ? 'bg-white animate-pulse' : 'bg-purple-400'}"></div>
-                                                    <span class="text-xs text-gray-300">\${server.isRunning ? 'نشط' : 'متوقف'}</span>
+                                                    <div class="w-3 h-3 rounded-full \${server.status === 'stopping' ? 'bg-yellow-400 animate-pulse' : server.isRunning && server.health === 'unhealthy' ? 'bg-orange-500 animate-pulse' : server.isRunning ? 'bg-white animate-pulse' : server.status === 'crash-looping' ? 'bg-orange-500' : server.status === 'restarting' ? 'bg-yellow-400 animate-pulse' : 'bg-purple-400'}"></div>
+                                                    <span class="text-xs text-gray-300">\${server.status === 'stopping' ? 'جاري الإيقاف…' : server.isRunning && server.health === 'unhealthy' ? 'غير سليم' : server.isRunning ? 'نشط' : server.status === 'crash-looping' ? 'حلقة أعطال' : server.status === 'restarting' ? 'إعادة تشغيل' : 'متوقف'}</span>
                                                 </div>
                                             </div>
                                             
@@ -1756,7 +2183,7 @@ app.get('/', ensureLoggedIn, async (req, res) => {
                                                 </div>
                                                 <div class="flex justify-between text-sm">
                                                     <span class="text-gray-400">الحالة:</span>
-                                                    <span class="\${server.isRunning ? 'text-green-400' : 'text-red-400'}">\${server.isRunning ? 'يعمل' : 'متوقف'}</span>
+                                                    <span class="\${server.status === 'stopping' ? 'text-yellow-400' : server.isRunning && server.health === 'unhealthy' ? 'text-orange-400' : server.isRunning ? 'text-green-400' : server.status === 'crash-looping' ? 'text-orange-400' : server.status === 'restarting' ? 'text-yellow-400' : 'text-red-400'}">\${server.status === 'stopping' ? 'جاري الإيقاف…' : server.isRunning && server.health === 'unhealthy' ? 'يعمل (فشل فحص السلامة)' : server.isRunning ? 'يعمل' : server.status === 'crash-looping' ? 'متوقف (حلقة أعطال)' : server.status === 'restarting' ? 'بانتظار إعادة التشغيل' : 'متوقف'}</span>
                                                 </div>
                                             </div>
                                             
@@ -1951,6 +2378,9 @@ app.post('/create-server', ensureLoggedIn, async (req, res) => {
         users: new Map([
             [req.userId, {
                 viewConsole: true,
+                sendConsoleCommand: true,
+                useShell: true,
+                manageSchedules: true,
                 viewFiles: true,
                 editFiles: true,
                 viewSettings: true,
@@ -1965,8 +2395,11 @@ app.post('/create-server', ensureLoggedIn, async (req, res) => {
         startupSettings: new Map()
     });
 
+    const assignedPort = await allocatePort();
+    if (assignedPort) newServer.startupSettings.set('port', String(assignedPort));
+
     await newServer.save();
-    logServerEvent('إنشاء سيرفر', { userId: req.userId, serverId, serverName });
+    logServerEvent('إنشاء سيرفر', { userId: req.userId, serverId, serverName, port: assignedPort });
     res.redirect('/?success=' + encodeURIComponent('تم إنشاء السيرفر بنجاح'));
 });
 
@@ -1980,16 +2413,222 @@ app.post('/delete-server', ensureLoggedIn, ensureServerAccess, async (req, res)
         return res.redirect('/?error=' + encodeURIComponent('غير مصرح لك بحذف السيرفر'));
     }
 
-    if (runningProcesses[targetUserId]?.[serverId]) {
-        runningProcesses[targetUserId][serverId].kill();
-        delete runningProcesses[targetUserId][serverId];
-    }
+    resetRestartTracker(targetUserId, serverId);
+    cancelInstall(targetUserId, serverId);
+    // Let the close handler (and the postStop hook) finish before the server's data goes away
+    const serverProcess = runningProcesses[targetUserId]?.[serverId];
+    await stopServerProcess(targetUserId, serverId, server);
+    await serverProcess?.closed;
 
     await Server.deleteOne({ id: serverId });
+    await Schedule.deleteMany({ serverId });
+    await AlertRule.deleteMany({ serverId });
+    clearHealthHistory(targetUserId, serverId);
+    endLogSession(targetUserId, serverId);
     logServerEvent('حذف سيرفر', { userId: req.userId, serverId });
     res.redirect('/?success=' + encodeURIComponent('تم حذف السيرفر بنجاح'));
 });
 
+// Whole console log sessions, read from disk: plain text by default, or the stored entries with format=jsonl
+app.get('/console-logs/download', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { serverId, userId: targetUserId, session: sessionId, format } = req.query;
+    const userId = targetUserId || req.userId;
+    const user = await User.findOne({ userId: req.userId });
+    const permissions = req.server.users.get(req.userId) || {};
+    if (!req.isServerOwner && !user.isAdmin && !permissions.viewConsole) {
+        return res.status(403).send('غير مصرح لك بتحميل سجلات الكونسول');
+    }
+    const session = (await getLogSessions(userId, serverId)).find(entry => entry.id === sessionId);
+    if (!session) {
+        return res.status(404).send('الجلسة غير موجودة');
+    }
+
+    const raw = format === 'jsonl';
+    res.type(raw ? 'application/x-ndjson' : 'text/plain');
+    res.attachment(`${req.server.name}-${new Date(session.startedAt).toISOString().replace(/[:.]/g, '-')}.${raw ? 'jsonl' : 'log'}`);
+    try {
+        for (const file of session.files) {
+            for await (const entry of readLogEntries(file.file, file.gzipped)) {
+                const line = raw ? JSON.stringify(entry) : `[${new Date(entry.ts).toISOString()}] [${entry.stream}] ${stripAnsi(entry.text)}`;
+                if (!res.write(line + '\n')) await new Promise(resolve => res.once('drain', resolve));
+            }
+        }
+    } catch (err) {
+        console.error(`Error reading console log session ${sessionId} of server ${serverId}:`, err);
+    }
+    res.end();
+    logServerEvent('تحميل سجل الكونسول', { userId: req.userId, serverId, session: sessionId });
+});
+
+// Searching the saved console output; with session and line it shows the lines around a match instead
+app.get('/console-logs', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { serverId, userId: targetUserId } = req.query;
+    const userId = targetUserId || req.userId;
+    const user = await User.findOne({ userId: req.userId });
+    const server = req.server;
+    const permissions = server.users.get(req.userId) || {};
+    if (!req.isServerOwner && !user.isAdmin && !permissions.viewConsole) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بعرض سجلات الكونسول')}`);
+    }
+    // Owners are ordinary customers, so regex search is for panel admins only
+    const canUseRegex = !!user.isAdmin;
+
+    const page = Math.min(Math.max(parseInt(req.query.page || '1', 10) || 1, 1), LOG_SEARCH_MAX_PAGE);
+    const searchParams = ['q', 'regex', 'level', 'stream', 'from', 'to'].filter(key => req.query[key]).map(key => `&${key}=${encodeURIComponent(req.query[key])}`).join('');
+    const pageUrl = (extra = '') => `/console-logs?serverId=${serverId}&userId=${userId}${searchParams}${extra}`;
+    const contextLine = parseInt(req.query.line, 10);
+    const showContext = req.query.session && !Number.isNaN(contextLine);
+
+    let search = null;
+    let searchError = null;
+    let results = [];
+    let hasMore = false;
+    let context = null;
+    try {
+        search = parseLogSearch(req.query, canUseRegex);
+    } catch (err) {
+        searchError = `تعبير نمطي غير صالح: ${err.message}`;
+    }
+    try {
+        if (showContext) {
+            context = await getLogContext(userId, serverId, String(req.query.session), contextLine);
+        } else if (search) {
+            ({ results, hasMore } = await searchConsoleLogs(userId, serverId, search, page));
+        }
+    } catch (err) {
+        console.error(`Error searching console logs of server ${serverId}:`, err);
+        searchError = 'حدث خطأ أثناء قراءة السجلات';
+    }
+
+    const renderEntry = ({ session, line, entry }, highlight = false) => `
+        <tr class="border-t border-gray-700 align-top ${highlight ? 'bg-slate-700' : ''}">
+            <td class="p-2 whitespace-nowrap text-gray-400 text-xs">${new Date(entry.ts).toLocaleString('ar-EG')}</td>
+            <td class="p-2 text-xs text-gray-400">${LOG_STREAMS[entry.stream] || escapeHtml(entry.stream || '')}</td>
+            <td class="p-2 font-mono console-log ${(LOG_LEVELS[entry.level] || LOG_LEVELS.output).className}" dir="ltr">${ansiToHtml(entry.text)}</td>
+            <td class="p-2 whitespace-nowrap">${session ? `<a href="${pageUrl(`&page=${page}&session=${session}&line=${line}`)}" class="btn btn-sm btn-secondary" title="عرض السياق"><i class="fas fa-arrows-up-down"></i></a>` : ''}</td>
+        </tr>
+    `;
+
+    // --- Fetch impersonated username --- Start
+    let impersonatedUsername = null;
+    if (req.session.impersonating) {
+        try {
+            const impersonatedUser = await User.findOne({ userId: req.session.impersonating });
+            impersonatedUsername = impersonatedUser ? impersonatedUser.username : 'مستخدم غير معروف';
+        } catch (err) {
+            console.error("Error fetching impersonated user:", err);
+            impersonatedUsername = 'خطأ في جلب الاسم'; 
+        }
+    }
+    // --- Fetch impersonated username --- End
+
+    res.send(baseTemplate(`
+        <h1 class="text-3xl font-bold mb-6"><i class="fas fa-magnifying-glass mr-2 icon"></i>سجلات ${server.name}</h1>
+
+        <div class="card mb-6">
+            <form action="/console-logs" method="GET" class="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <input type="hidden" name="serverId" value="${serverId}">
+                <input type="hidden" name="userId" value="${userId}">
+                <div class="md:col-span-2">
+                    <label class="block text-sm mb-2">النص</label>
+                    <input type="text" name="q" value="${escapeHtml(req.query.q || '')}" class="form-input font-mono" dir="ltr" placeholder="TypeError" maxlength="200">
+                    ${canUseRegex ? `
+                    <label class="inline-flex items-center gap-2 text-sm">
+                        <input type="checkbox" name="regex" value="1" ${req.query.regex ? 'checked' : ''}>
+                        تعبير نمطي (Regex)
+                    </label>` : ''}
+                </div>
+                <div>
+                    <label class="block text-sm mb-2">المستوى</label>
+                    <select name="level" class="form-input">
+                        <option value="">الكل</option>
+                        ${Object.keys(LOG_LEVELS).map(level => `<option value="${level}" ${req.query.level === level ? 'selected' : ''}>${level}</option>`).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label class="block text-sm mb-2">المصدر</label>
+                    <select name="stream" class="form-input">
+                        <option value="">الكل</option>
+                        ${Object.entries(LOG_STREAMS).map(([stream, label]) => `<option value="${stream}" ${req.query.stream === stream ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label class="block text-sm mb-2">من</label>
+                    <input type="datetime-local" name="from" value="${escapeHtml(req.query.from || '')}" class="form-input">
+                </div>
+                <div>
+                    <label class="block text-sm mb-2">إلى</label>
+                    <input type="datetime-local" name="to" value="${escapeHtml(req.query.to || '')}" class="form-input">
+                </div>
+                <div class="md:col-span-3 flex gap-2">
+                    <button type="submit" class="btn btn-primary"><i class="fas fa-search mr-2"></i>بحث</button>
+                    <a href="/console-logs?serverId=${serverId}&userId=${userId}" class="btn btn-secondary">مسح الفلاتر</a>
+                </div>
+            </form>
+            <p class="text-xs text-gray-400 mt-4">يتم البحث في جلسات السجل المحفوظة (آخر ${LOG_RETENTION_DAYS} يوماً)، والأحدث أولاً. التوقيت حسب ساعة الخادم (${Intl.DateTimeFormat().resolvedOptions().timeZone}).</p>
+        </div>
+
+        ${searchError ? `<div class="bg-red-600 text-white p-4 rounded-lg mb-6"><i class="fas fa-exclamation-triangle mr-2"></i>${escapeHtml(searchError)}</div>` : ''}
+
+        ${showContext ? `
+        <div class="card">
+            <div class="flex items-center justify-between mb-4">
+                <h2 class="text-xl font-semibold">السياق${context ? ` - جلسة ${new Date(context.session.startedAt).toLocaleString('ar-EG')}` : ''}</h2>
+                <div class="flex gap-2">
+                    ${context ? `<a href="/console-logs/download?serverId=${serverId}&userId=${userId}&session=${context.session.id}" class="btn btn-warning"><i class="fas fa-download mr-2"></i>تحميل الجلسة</a>` : ''}
+                    <a href="${pageUrl(`&page=${page}`)}" class="btn btn-secondary">العودة للنتائج</a>
+                </div>
+            </div>
+            ${!context ? `<p class="text-gray-400">الجلسة غير موجودة، ربما تم حذفها</p>` : `
+            <table class="w-full text-sm">
+                <tbody>
+                    ${contextLine > LOG_CONTEXT_LINES ? `<tr><td colspan="4" class="p-2 text-center"><a href="${pageUrl(`&page=${page}&session=${context.session.id}&line=${contextLine - LOG_CONTEXT_LINES}`)}" class="text-blue-400">أسطر سابقة</a></td></tr>` : ''}
+                    ${context.entries.map(item => renderEntry({ entry: item.entry }, item.line === contextLine)).join('')}
+                    ${context.entries.length > 0 && context.entries[context.entries.length - 1].line === contextLine + LOG_CONTEXT_LINES ? `<tr><td colspan="4" class="p-2 text-center"><a href="${pageUrl(`&page=${page}&session=${context.session.id}&line=${contextLine + LOG_CONTEXT_LINES}`)}" class="text-blue-400">أسطر لاحقة</a></td></tr>` : ''}
+                </tbody>
+            </table>
+            `}
+        </div>
+        ` : `
+        <div class="card">
+            ${results.length === 0 ? `
+                <p class="text-gray-400"><i class="fas fa-exclamation-circle mr-2 icon"></i>${page > 1 ? 'لا توجد نتائج أخرى' : 'لا توجد نتائج مطابقة'}</p>
+            ` : `
+                <table class="w-full text-sm">
+                    <thead>
+                        <tr class="text-gray-400 text-right">
+                            <th class="p-2">الوقت</th>
+                            <th class="p-2">المصدر</th>
+                            <th class="p-2">السطر</th>
+                            <th class="p-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${results.map(result => renderEntry(result)).join('')}
+                    </tbody>
+                </table>
+            `}
+            <div class="flex items-center justify-between mt-4 text-sm text-gray-400">
+                <div>الصفحة ${page}</div>
+                <div class="flex gap-2">
+                    ${page > 1 ? `<a class="btn btn-secondary" href="${pageUrl(`&page=${page - 1}`)}">السابق</a>` : ''}
+                    ${hasMore && page < LOG_SEARCH_MAX_PAGE ? `<a class="btn btn-secondary" href="${pageUrl(`&page=${page + 1}`)}">التالي</a>` : ''}
+                </div>
+            </div>
+        </div>
+        `}
+    `, 'السجلات', user, true, serverId, server.name, targetUserId, server, req, impersonatedUsername));
+});
+
+// How the console page shows each process status
+const PROCESS_STATUS_VIEW = {
+    running: { indicator: 'status-online', dot: 'bg-green-500 animate-pulse', label: 'Online' },
+    stopping: { indicator: 'status-loading', dot: 'bg-yellow-500 animate-pulse', label: 'Stopping…' },
+    restarting: { indicator: 'status-loading', dot: 'bg-yellow-500 animate-pulse', label: 'Restarting' },
+    'crash-looping': { indicator: 'status-loading', dot: 'bg-orange-500', label: 'Crash loop' },
+    stopped: { indicator: 'status-offline', dot: 'bg-red-500', label: 'Offline' }
+};
+
 app.get('/server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
     const { serverId, userId: targetUserId } = req.query;
     const userId = targetUserId || req.userId;
@@ -2003,8 +2642,24 @@ app.get('/server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
 
     const persistedState = getProcessState(userId, serverId);
     const isRunning = persistedState.isRunning || !!runningProcesses[userId]?.[serverId];
+    const processStatus = runningProcesses[userId]?.[serverId]?.stopping ? 'stopping' : isRunning ? 'running' : persistedState.status;
+    const statusView = PROCESS_STATUS_VIEW[processStatus] || PROCESS_STATUS_VIEW.stopped;
     const startTime = persistedState.startTime || serverStartTime[`${userId}-${serverId}`];
-    const recentLogs = getRecentConsoleLogs(userId, serverId, 100);
+    const canSendCommands = req.isServerOwner || user.isAdmin || !!permissions.sendConsoleCommand;
+    // Without isolation the shell runs as the panel's own user, so only owners and admins get it
+    const canUseShell = req.isServerOwner || user.isAdmin || (!!permissions.useShell && isIsolationEnabled());
+    const healthSettings = getHealthSettings(server);
+    const healthStatus = getServerHealthStatus(userId, serverId);
+    const uptimePercent = getUptimePercent(userId, serverId);
+    const incidents = getHealthIncidents(userId, serverId, 10);
+    const logSessions = (await getLogSessions(userId, serverId)).slice(0, 20);
+    const logDownloadUrl = (session, format = '') => `/console-logs/download?serverId=${serverId}&userId=${userId}&session=${session.id}${format ? `&format=${format}` : ''}`;
+    const HEALTH_LABELS = { healthy: 'سليم', unhealthy: 'غير سليم', starting: 'بانتظار الفحص' };
+    const formatDuration = (ms) => {
+        if (ms < 60000) return `${Math.round(ms / 1000)} ثانية`;
+        const minutes = Math.round(ms / 60000);
+        return minutes < 60 ? `${minutes} دقيقة` : `${Math.floor(minutes / 60)} ساعة ${minutes % 60} دقيقة`;
+    };
 
     const queryParams = new URLSearchParams({ serverId });
     if (targetUserId) queryParams.append('userId', targetUserId);
@@ -2029,9 +2684,9 @@ app.get('/server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
                     <h1 class="text-4xl font-bold bg-gradient-to-r from-blue-400 to-purple-500 bg-clip-text text-transparent">
                         <i class="fas fa-terminal mr-3"></i>الكونسول 
                     </h1>
-                    <div class="status-indicator ${isRunning ? 'status-online' : 'status-offline'}">
-                        <div class="w-2 h-2 rounded-full ${isRunning ? 'bg-green-500 animate-pulse' : 'bg-red-500'}"></div>
-                        ${isRunning ? 'Online' : 'Offline'}
+                    <div id="process-status" class="status-indicator ${statusView.indicator}">
+                        <div class="w-2 h-2 rounded-full ${statusView.dot}"></div>
+                        <span>${statusView.label}</span>
                     </div>
                 </div>
                 <div class="text-sm text-gray-400">
@@ -2076,12 +2731,21 @@ app.get('/server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
                 <form action="/stop-server" method="POST" class="flex-1 min-w-32">
                 <input type="hidden" name="userId" value="${userId}">
                 <input type="hidden" name="serverId" value="${serverId}">
-                    <button type="submit" class="btn btn-danger w-full" ${!isRunning ? 'disabled' : ''}>
+                    <button type="submit" class="btn btn-danger w-full" ${processStatus === 'stopped' ? 'disabled' : ''}>
                         <i class="fas fa-stop mr-2"></i>
                         إيقاف
                     </button>
             </form>
                 
+                <form action="/cancel-install" method="POST" id="cancel-install-form" class="flex-1 min-w-32 ${isInstallActive(userId, serverId) ? '' : 'hidden'}">
+                <input type="hidden" name="userId" value="${userId}">
+                <input type="hidden" name="serverId" value="${serverId}">
+                    <button type="submit" class="btn btn-warning w-full">
+                        <i class="fas fa-ban mr-2"></i>
+                        إلغاء التثبيت
+                    </button>
+            </form>
+                
                 <form action="/kill-server" method="POST" onsubmit="return confirm('تحذير: هل أنت متأكد من إيقاف السيرفر قسراً؟\\n\\nقد يؤدي هذا لفقدان بيانات غير محفوظة!');" class="flex-1 min-w-32">
                 <input type="hidden" name="userId" value="${userId}">
                 <input type="hidden" name="serverId" value="${serverId}">
@@ -2093,6 +2757,71 @@ app.get('/server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
         </div>
         </div>
 
+        <!-- Live Resource Usage -->
+        <div class="card mb-6">
+            <div class="flex items-center justify-between mb-4">
+                <h2 class="text-xl font-semibold flex items-center gap-2">
+                    <i class="fas fa-heartbeat text-red-400"></i>
+                    استهلاك الموارد
+                </h2>
+                <span class="text-xs text-gray-400" id="metrics-updated">آخر ساعة</span>
+            </div>
+            <div class="grid grid-cols-2 md:grid-cols-4 gap-4">
+                ${[
+                    ['cpu', 'المعالج', 'fa-microchip', 'text-blue-400'],
+                    ['rss', 'الذاكرة (RSS)', 'fa-memory', 'text-green-400'],
+                    ['threads', 'الخيوط', 'fa-stream', 'text-purple-400'],
+                    ['fds', 'الملفات المفتوحة', 'fa-folder-open', 'text-yellow-400']
+                ].map(([key, label, icon, color]) => `
+                <div class="bg-[var(--bg-tertiary)] border border-[var(--border)] rounded-lg p-3">
+                    <div class="flex justify-between text-sm mb-2">
+                        <span class="text-gray-400"><i class="fas ${icon} ${color} mr-1"></i>${label}</span>
+                        <span class="text-white font-mono" id="metric-${key}">-</span>
+                    </div>
+                    <svg id="spark-${key}" class="${color} w-full" height="40" viewBox="0 0 300 40" preserveAspectRatio="none">
+                        <polyline fill="none" stroke="currentColor" stroke-width="1.5" points=""></polyline>
+                    </svg>
+                </div>`).join('')}
+            </div>
+        </div>
+
+        <!-- Health & Uptime -->
+        <div class="card mb-6">
+            <div class="flex items-center justify-between mb-4">
+                <h2 class="text-xl font-semibold flex items-center gap-2">
+                    <i class="fas fa-stethoscope text-green-400"></i>
+                    فحص السلامة
+                </h2>
+                <span class="text-xs text-gray-400">${HEALTH_CHECK_TYPES[healthSettings.type]}</span>
+            </div>
+            ${healthSettings.type === 'none' ? `
+                <p class="text-sm text-gray-400">لم يتم إعداد فحص سلامة لهذا السيرفر. يمكن إعداده من صفحة إعدادات بدء التشغيل.</p>
+            ` : `
+                <div class="grid grid-cols-2 gap-4 mb-4">
+                    <div class="bg-[var(--bg-tertiary)] border border-[var(--border)] rounded-lg p-3">
+                        <div class="text-sm text-gray-400 mb-1">الحالة الحالية</div>
+                        <div class="font-semibold ${healthStatus === 'healthy' ? 'text-green-400' : healthStatus === 'unhealthy' ? 'text-orange-400' : 'text-gray-300'}" id="health-status">${HEALTH_LABELS[healthStatus] || 'متوقف'}</div>
+                        <div class="text-xs text-gray-500 mt-1" id="health-message">${escapeHtml(runningProcesses[userId]?.[serverId]?.health?.lastMessage || '')}</div>
+                    </div>
+                    <div class="bg-[var(--bg-tertiary)] border border-[var(--border)] rounded-lg p-3">
+                        <div class="text-sm text-gray-400 mb-1">نسبة التشغيل (آخر 24 ساعة)</div>
+                        <div class="font-semibold text-white font-mono">${uptimePercent === null ? '-' : `${uptimePercent}%`}</div>
+                    </div>
+                </div>
+            `}
+            ${incidents.length > 0 ? `
+                <h3 class="text-sm font-semibold mb-2 text-gray-300">سجل الأعطال</h3>
+                <ul class="space-y-2">
+                    ${incidents.map(incident => `
+                        <li class="text-sm border-r-2 ${incident.endedAt ? 'border-gray-500' : 'border-orange-500'} pr-3">
+                            <div class="text-gray-300">${new Date(incident.startedAt).toLocaleString('ar-EG')} · ${incident.endedAt ? `استمر ${formatDuration(incident.endedAt - incident.startedAt)}` : '<span class="text-orange-400">مستمر</span>'}</div>
+                            <div class="text-xs text-gray-500">${escapeHtml(incident.reason)}${incident.resolution ? ` ← ${escapeHtml(incident.resolution)}` : ''}</div>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        </div>
+
         <!-- Advanced Terminal Console -->
         <div class="console-container">
             <div class="console-header">
@@ -2112,21 +2841,14 @@ app.get('/server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
             </div>
             
             <div class="console-body" id="terminal-container">
-                <div id="console-output" class="min-h-96">
-                    ${recentLogs.map(log => {
-            let className = 'console-log-info';
-            if (log.includes('[خطأ]') || log.toLowerCase().includes('error')) className = 'console-log-error';
-            else if (log.includes('[تحذير]') || log.toLowerCase().includes('warn')) className = 'console-log-warn';
-            else if (log.includes('[تثبيت الحزم]') || log.includes('completed')) className = 'console-log-success';
-                        return `<div class="console-log ${className}">${log}</div>`;
-                    }).join('')}
-                </div>
+                <!-- Filled by the console socket, which replays the recent log on connect -->
+                <div id="console-output" class="min-h-96"></div>
                 
                 <!-- Terminal Input Line -->
                 <div class="flex items-center mt-4 pt-4 border-t border-gray-700">
                     <span class="terminal-prompt">$</span>
-                    <input type="text" id="terminal-input" class="terminal-input" placeholder="أدخل الأمر هنا..." autocomplete="off">
-                    <button id="send-command" class="btn btn-primary ml-2 px-4 py-2">
+                    <input type="text" id="terminal-input" class="terminal-input" placeholder="${canSendCommands ? 'أدخل الأمر هنا...' : 'غير مصرح لك بإرسال الأوامر'}" autocomplete="off" ${canSendCommands ? '' : 'disabled'}>
+                    <button id="send-command" class="btn btn-primary ml-2 px-4 py-2" ${canSendCommands ? '' : 'disabled'}>
                         <i class="fas fa-paper-plane"></i>
                     </button>
                 </div>
@@ -2141,16 +2863,16 @@ app.get('/server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
                     أدوات سريعة
                 </h3>
                 <div class="space-y-2">
-                    <button onclick="sendQuickCommand('ls -la')" class="btn btn-info w-full text-sm">
+                    <button onclick="sendQuickCommand('ls -la')" class="btn btn-info w-full text-sm" ${canSendCommands ? '' : 'disabled'}>
                         <i class="fas fa-list mr-2"></i>عرض الملفات
                     </button>
-                    <button onclick="sendQuickCommand('pwd')" class="btn btn-info w-full text-sm">
+                    <button onclick="sendQuickCommand('pwd')" class="btn btn-info w-full text-sm" ${canSendCommands ? '' : 'disabled'}>
                         <i class="fas fa-map-marker-alt mr-2"></i>المجلد الحالي
                     </button>
-                    <button onclick="sendQuickCommand('ps aux')" class="btn btn-info w-full text-sm">
+                    <button onclick="sendQuickCommand('ps aux')" class="btn btn-info w-full text-sm" ${canSendCommands ? '' : 'disabled'}>
                         <i class="fas fa-tasks mr-2"></i>العمليات النشطة
                     </button>
-                    <button onclick="sendQuickCommand('df -h')" class="btn btn-info w-full text-sm">
+                    <button onclick="sendQuickCommand('df -h')" class="btn btn-info w-full text-sm" ${canSendCommands ? '' : 'disabled'}>
                         <i class="fas fa-hdd mr-2"></i>مساحة القرص
                     </button>
                 </div>
@@ -2172,7 +2894,7 @@ app.get('/server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
                     </div>
                     <div class="flex justify-between">
                         <span class="text-gray-400">عدد الرسائل:</span>
-                        <span class="text-white" id="message-count">${recentLogs.length}</span>
+                        <span class="text-white" id="message-count">0</span>
                     </div>
                 </div>
             </div>
@@ -2191,17 +2913,78 @@ app.get('/server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
                         <input type="checkbox" id="show-timestamps" class="rounded">
                         <span class="text-sm">عرض الطوابع الزمنية</span>
                     </label>
-                    <button onclick="exportLogs()" class="btn btn-warning w-full text-sm">
+                    ${logSessions.length > 0 ? `
+                    <a href="${logDownloadUrl(logSessions[0])}" class="btn btn-warning w-full text-sm">
                         <i class="fas fa-download mr-2"></i>تصدير السجلات
+                    </a>
+                    ` : ''}
+                </div>
+            </div>
+        </div>
+
+        <!-- Console log sessions -->
+        <div class="card mt-6">
+            <h2 class="text-xl font-semibold mb-4 flex items-center gap-2">
+                <i class="fas fa-clock-rotate-left text-blue-400"></i>
+                جلسات السجل
+                <a href="/console-logs?serverId=${serverId}&userId=${userId}" class="btn btn-sm btn-primary mr-auto"><i class="fas fa-magnifying-glass mr-2"></i>بحث في السجلات</a>
+            </h2>
+            ${logSessions.length === 0 ? `
+                <p class="text-sm text-gray-400">لا توجد سجلات محفوظة بعد. يبدأ كل تشغيل للسيرفر جلسة جديدة.</p>
+            ` : `
+                <table class="w-full text-sm">
+                    <thead>
+                        <tr class="text-gray-400 text-right">
+                            <th class="p-2">البداية</th>
+                            <th class="p-2">آخر سطر</th>
+                            <th class="p-2">الحجم</th>
+                            <th class="p-2">تحميل</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${logSessions.map(session => `
+                            <tr class="border-t border-gray-700">
+                                <td class="p-2">${new Date(session.startedAt).toLocaleString('ar-EG')} ${session.active ? '<span class="text-xs text-green-400">(الحالية)</span>' : ''}</td>
+                                <td class="p-2 text-gray-400">${new Date(session.endedAt).toLocaleString('ar-EG')}</td>
+                                <td class="p-2 font-mono">${formatLogSize(session.size)}</td>
+                                <td class="p-2 whitespace-nowrap">
+                                    <a href="${logDownloadUrl(session)}" class="btn btn-sm btn-primary">نص</a>
+                                    <a href="${logDownloadUrl(session, 'jsonl')}" class="btn btn-sm btn-secondary">JSONL</a>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p class="text-xs text-gray-400 mt-4">يتم ضغط الجلسات المنتهية وحذف ما هو أقدم من ${LOG_RETENTION_DAYS} يوماً أو ما يتجاوز ${formatLogSize(LOG_MAX_TOTAL_BYTES)} لكل سيرفر.</p>
+            `}
+        </div>
+
+        ${canUseShell ? `
+        <!-- Interactive Shell -->
+        <div class="console-container mt-6">
+            <div class="console-header">
+                <div class="console-title">
+                    <i class="fas fa-code text-green-400"></i>
+                    <span>Shell</span>
+                    <span id="shell-status" class="text-xs text-gray-400 ml-4">غير متصل</span>
+                </div>
+                <div class="flex gap-2">
+                    <button id="shell-connect" onclick="openShell()" class="btn btn-success text-sm">
+                        <i class="fas fa-plug mr-2"></i>فتح الشيل
+                    </button>
+                    <button id="shell-disconnect" onclick="closeShell()" class="btn btn-danger text-sm hidden">
+                        <i class="fas fa-times mr-2"></i>إغلاق
                     </button>
                 </div>
             </div>
+            <div id="shell-terminal" dir="ltr" style="height: 420px; background: #0d1117; padding: 8px;"></div>
         </div>
+        ` : ''}
 
         <script>
             // WebSocket connection
-            const ws = new WebSocket('ws://' + location.host + '/ws?userId=${userId}&serverId=${serverId}');
-            let messageCount = ${recentLogs.length};
+            const ws = new WebSocket('ws://' + location.host + '/ws?userId=${userId}&serverId=${serverId}&protocol=json');
+            let messageCount = 0;
             
             // Terminal elements
             const terminalInput = document.getElementById('terminal-input');
@@ -2215,28 +2998,148 @@ app.get('/server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
             };
             
             ws.onmessage = (event) => {
-                const message = event.data;
-                if (message === '__CLEAR_CONSOLE__') {
+                const data = JSON.parse(event.data);
+                if (data.type === 'log') {
+                    renderLogEntry(data);
+                    messageCount++;
+                    document.getElementById('message-count').textContent = messageCount;
+                    if (document.getElementById('auto-scroll').checked) {
+                        scrollToBottom();
+                    }
+                } else if (data.type === 'clear') {
                     clearConsole();
-                    return;
-                }
-                addConsoleMessage(message);
-                messageCount++;
-                document.getElementById('message-count').textContent = messageCount;
-                
-                if (document.getElementById('auto-scroll').checked) {
-                    scrollToBottom();
+                } else if (data.type === 'status') {
+                    renderProcessStatus(data.status);
+                } else if (data.type === 'ack') {
+                    if (!data.ok) addConsoleMessage(data.error, 'console-log-error');
+                } else {
+                    handleStructuredMessage(data);
                 }
             };
+
+            // Log entries are rendered here; the ANSI handling is shared with the server
+            const LOG_LEVELS = ${JSON.stringify(LOG_LEVELS)};
+            const ANSI_SEQUENCE_PATTERN = new RegExp(${JSON.stringify(ANSI_SEQUENCE_PATTERN.source)}, 'g');
+            const ANSI_BASIC_COLORS = ${JSON.stringify(ANSI_BASIC_COLORS)};
+            const ANSI_CUBE_LEVELS = ${JSON.stringify(ANSI_CUBE_LEVELS)};
+            ${[rgbToHex, ansi256ToHex, createAnsiState, readExtendedColor, applySgrCodes, getAnsiStyle].map(fn => `const ${fn.name} = ${fn};`).join('\n')}
+
+            function renderLogEntry(entry) {
+                const level = LOG_LEVELS[entry.level] || LOG_LEVELS.output;
+                const line = document.createElement('span');
+                line.className = level.className;
+                if (entry.ts) {
+                    const timestamp = document.createElement('span');
+                    timestamp.className = 'text-gray-400';
+                    timestamp.textContent = '[' + new Date(entry.ts).toLocaleTimeString('ar-EG') + '] ';
+                    line.appendChild(timestamp);
+                }
+                const icon = document.createElement('i');
+                icon.className = 'fas ' + level.icon + ' text-purple-400 mr-2';
+                line.appendChild(icon);
+
+                const text = String(entry.text).trimEnd();
+                const state = createAnsiState();
+                let lastIndex = 0;
+                const appendText = (chunk) => {
+                    if (!chunk) return;
+                    const span = document.createElement('span');
+                    span.style.cssText = getAnsiStyle(state);
+                    span.textContent = chunk;
+                    line.appendChild(span);
+                };
+                for (const match of text.matchAll(ANSI_SEQUENCE_PATTERN)) {
+                    appendText(text.slice(lastIndex, match.index));
+                    if (match[2] === 'm') applySgrCodes(state, match[1]);
+                    lastIndex = match.index + match[0].length;
+                }
+                appendText(text.slice(lastIndex));
+
+                const messageDiv = document.createElement('div');
+                messageDiv.className = 'console-log ' + level.className;
+                messageDiv.dataset.stream = entry.stream;
+                messageDiv.dataset.level = entry.level;
+                messageDiv.appendChild(line);
+                consoleOutput.appendChild(messageDiv);
+            }
+
+            const PROCESS_STATUS_VIEW = ${JSON.stringify(PROCESS_STATUS_VIEW)};
+
+            function renderProcessStatus(status) {
+                const view = PROCESS_STATUS_VIEW[status] || PROCESS_STATUS_VIEW.stopped;
+                const indicator = document.getElementById('process-status');
+                indicator.className = 'status-indicator ' + view.indicator;
+                indicator.querySelector('div').className = 'w-2 h-2 rounded-full ' + view.dot;
+                indicator.querySelector('span').textContent = view.label;
+            }
             
+            // Resource metrics
+            const metricSamples = [];
+            const METRIC_HISTORY_MS = 60 * 60 * 1000;
+
+            const HEALTH_LABELS = { healthy: 'سليم', unhealthy: 'غير سليم', starting: 'بانتظار الفحص' };
+
+            function handleStructuredMessage(data) {
+                if (data.type === 'install') {
+                    document.getElementById('cancel-install-form').classList.toggle('hidden', !data.active);
+                    return;
+                }
+                if (data.type === 'health') {
+                    const statusEl = document.getElementById('health-status');
+                    if (!statusEl) return;
+                    statusEl.textContent = HEALTH_LABELS[data.status] || data.status;
+                    statusEl.className = 'font-semibold ' + (data.status === 'healthy' ? 'text-green-400' : data.status === 'unhealthy' ? 'text-orange-400' : 'text-gray-300');
+                    document.getElementById('health-message').textContent = data.message || '';
+                    return;
+                }
+                if (data.type === 'stats-history') {
+                    metricSamples.splice(0, metricSamples.length, ...data.samples);
+                } else if (data.type === 'stats') {
+                    metricSamples.push(data.sample);
+                } else {
+                    return;
+                }
+                const cutoff = Date.now() - METRIC_HISTORY_MS;
+                while (metricSamples.length > 0 && metricSamples[0].t < cutoff) metricSamples.shift();
+                renderMetrics();
+            }
+
+            function formatBytes(bytes) {
+                if (bytes >= 1024 * 1024 * 1024) return (bytes / 1024 / 1024 / 1024).toFixed(2) + ' GB';
+                return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+            }
+
+            function renderSparkline(key, values) {
+                const polyline = document.querySelector('#spark-' + key + ' polyline');
+                if (!polyline) return;
+                const max = Math.max(...values, 1);
+                const step = values.length > 1 ? 300 / (values.length - 1) : 0;
+                polyline.setAttribute('points', values.map((value, i) => (i * step).toFixed(1) + ',' + (38 - (value / max) * 36).toFixed(1)).join(' '));
+            }
+
+            function renderMetrics() {
+                if (metricSamples.length === 0) return;
+                const latest = metricSamples[metricSamples.length - 1];
+                document.getElementById('metric-cpu').textContent = latest.cpu.toFixed(1) + '%';
+                document.getElementById('metric-rss').textContent = formatBytes(latest.rss);
+                document.getElementById('metric-threads').textContent = latest.threads + ' (' + latest.processes + ' عملية)';
+                document.getElementById('metric-fds').textContent = latest.fds;
+                document.getElementById('metrics-updated').textContent = 'آخر تحديث: ' + new Date(latest.t).toLocaleTimeString('ar-EG');
+                ['cpu', 'rss', 'threads', 'fds'].forEach(key => renderSparkline(key, metricSamples.map(sample => sample[key])));
+            }
+
             ws.onerror = (error) => {
                 console.error('WebSocket error:', error);
                 addConsoleMessage('خطأ في الاتصال بالكونسول', 'console-log-error');
             };
             
-            ws.onclose = () => {
-                console.log('WebSocket closed');
-                addConsoleMessage('تم قطع الاتصال بالكونسول', 'console-log-warn');
+            ws.onclose = (event) => {
+                console.log('WebSocket closed', event.code, event.reason);
+                if (event.code >= 4400 && event.code < 4500) {
+                    addConsoleMessage('تم رفض الاتصال بالكونسول: ' + event.reason, 'console-log-error');
+                } else {
+                    addConsoleMessage('تم قطع الاتصال بالكونسول', 'console-log-warn');
+                }
             };
             
             // Terminal input handling
@@ -2249,6 +3152,7 @@ app.get('/server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
             sendButton.addEventListener('click', sendCommand);
             
             // Command history
+            let commandId = 0;
             let commandHistory = [];
             let historyIndex = -1;
             
@@ -2281,11 +3185,13 @@ app.get('/server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
                     }
                     historyIndex = -1;
                     
-                    // Send command via WebSocket
-                    ws.send(command);
+                    if (ws.readyState !== WebSocket.OPEN) {
+                        addConsoleMessage('الكونسول غير متصل، تعذر إرسال الأمر', 'console-log-error');
+                        return;
+                    }
                     
-                    // Add to console
-                    addConsoleMessage('$ ' + command, 'console-log-info');
+                    // Send command via WebSocket (the server echoes it back to every viewer)
+                    ws.send(JSON.stringify({ type: 'command', id: ++commandId, command }));
                     
                     // Clear input
                     terminalInput.value = '';
@@ -2297,16 +3203,11 @@ app.get('/server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
                 sendCommand();
             }
             
+            // Local notices from the page itself (connection state, failed commands)
             function addConsoleMessage(message, className = 'console-log-info') {
                 const messageDiv = document.createElement('div');
                 messageDiv.className = 'console-log ' + className;
-                
-                if (message.includes('<span') || message.includes('<i')) {
-                    messageDiv.innerHTML = message;
-                } else {
-                    messageDiv.textContent = message;
-                }
-                
+                messageDiv.textContent = message;
                 consoleOutput.appendChild(messageDiv);
             }
             
@@ -2330,19 +3231,54 @@ app.get('/server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
                 container.style.maxHeight = container.style.maxHeight === '90vh' ? '70vh' : '90vh';
             }
             
-            function exportLogs() {
-                const logs = Array.from(consoleOutput.children).map(div => div.textContent).join('\\n');
-                const blob = new Blob([logs], { type: 'text/plain' });
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = 'console-logs-' + new Date().toISOString().slice(0, 19) + '.txt';
-                a.click();
-                URL.revokeObjectURL(url);
+            // Interactive shell (separate WebSocket channel backed by a PTY)
+            let shellTerm = null;
+            let shellFit = null;
+            let shellWs = null;
+            
+            function setShellConnected(connected, statusText) {
+                document.getElementById('shell-status').textContent = statusText;
+                document.getElementById('shell-connect').classList.toggle('hidden', connected);
+                document.getElementById('shell-disconnect').classList.toggle('hidden', !connected);
+            }
+            
+            function sendShellMessage(message) {
+                if (shellWs && shellWs.readyState === WebSocket.OPEN) {
+                    shellWs.send(JSON.stringify(message));
+                }
+            }
+            
+            function openShell() {
+                if (shellWs) return;
+                if (!shellTerm) {
+                    shellTerm = new Terminal({ cursorBlink: true, fontFamily: 'JetBrains Mono, monospace', fontSize: 13, theme: { background: '#0d1117' } });
+                    shellFit = new FitAddon.FitAddon();
+                    shellTerm.loadAddon(shellFit);
+                    shellTerm.open(document.getElementById('shell-terminal'));
+                    shellTerm.onData(data => sendShellMessage({ type: 'input', data }));
+                    shellTerm.onResize(({ cols, rows }) => sendShellMessage({ type: 'resize', cols, rows }));
+                    window.addEventListener('resize', () => shellFit.fit());
+                }
+                shellFit.fit();
+                setShellConnected(true, 'جاري الاتصال...');
+                shellWs = new WebSocket('ws://' + location.host + '/ws/shell?userId=${userId}&serverId=${serverId}&cols=' + shellTerm.cols + '&rows=' + shellTerm.rows);
+                shellWs.onopen = () => {
+                    setShellConnected(true, 'متصل');
+                    shellTerm.focus();
+                };
+                shellWs.onmessage = (event) => shellTerm.write(event.data);
+                shellWs.onclose = (event) => {
+                    shellWs = null;
+                    setShellConnected(false, event.reason ? 'غير متصل (' + event.reason + ')' : 'غير متصل');
+                };
+            }
+            
+            function closeShell() {
+                if (shellWs) shellWs.close();
             }
             
             // Auto-focus terminal input
-            terminalInput.focus();
+            if (!terminalInput.disabled) terminalInput.focus();
             
             // Initial scroll to bottom
             document.addEventListener('DOMContentLoaded', () => {
@@ -3516,6 +4452,9 @@ app.get('/users', ensureLoggedIn, ensureServerAccess, async (req, res) => {
                     <label class="block text-sm mb-2 mt-4">الأذونات</label>
                     <div class="grid grid-cols-2 gap-4">
                         <label class="flex items-center"><input type="checkbox" name="viewConsole" class="mr-2 accent-blue-500">عرض الكونسول</label>
+                        <label class="flex items-center"><input type="checkbox" name="sendConsoleCommand" class="mr-2 accent-blue-500">إرسال أوامر للكونسول</label>
+                        <label class="flex items-center"><input type="checkbox" name="useShell" class="mr-2 accent-blue-500">استخدام الشيل</label>
+                        <label class="flex items-center"><input type="checkbox" name="manageSchedules" class="mr-2 accent-blue-500">إدارة المهام المجدولة</label>
                         <label class="flex items-center"><input type="checkbox" name="viewFiles" class="mr-2 accent-blue-500">عرض الملفات</label>
                         <label class="flex items-center"><input type="checkbox" name="editFiles" class="mr-2 accent-blue-500">تعديل الملفات</label>
                         <label class="flex items-center"><input type="checkbox" name="viewSettings" class="mr-2 accent-blue-500">عرض الإعدادات</label>
@@ -3545,6 +4484,9 @@ app.get('/users', ensureLoggedIn, ensureServerAccess, async (req, res) => {
                                     <p class="text-sm text-slate-400">الأذونات: ${
                                         [
                                             perms.viewConsole ? 'عرض الكونسول' : '',
+                                            perms.sendConsoleCommand ? 'إرسال أوامر للكونسول' : '',
+                                            perms.useShell ? 'استخدام الشيل' : '',
+                                            perms.manageSchedules ? 'إدارة المهام المجدولة' : '',
                                             perms.viewFiles ? 'عرض الملفات' : '',
                                             perms.editFiles ? 'تعديل الملفات' : '',
                                             perms.viewSettings ? 'عرض الإعدادات' : '',
@@ -3577,7 +4519,7 @@ app.get('/users', ensureLoggedIn, ensureServerAccess, async (req, res) => {
 });
 
 app.post('/add-user', ensureLoggedIn, ensureServerAccess, async (req, res) => {
-    const { userId, serverId, username, viewConsole, viewFiles, editFiles, viewSettings, editSettings, viewUsers, editUsers, viewStartup, editStartup } = req.body;
+    const { userId, serverId, username, viewConsole, sendConsoleCommand, useShell, manageSchedules, viewFiles, editFiles, viewSettings, editSettings, viewUsers, editUsers, viewStartup, editStartup } = req.body;
     const targetUserId = userId || req.userId;
     const user = await User.findOne({ userId: req.userId });
     const server = req.server;
@@ -3601,6 +4543,9 @@ app.post('/add-user', ensureLoggedIn, ensureServerAccess, async (req, res) => {
     try {
         server.users.set(newUser.userId, {
         viewConsole: !!viewConsole,
+        sendConsoleCommand: !!sendConsoleCommand,
+        useShell: !!useShell,
+        manageSchedules: !!manageSchedules,
         viewFiles: !!viewFiles,
         editFiles: !!editFiles,
         viewSettings: !!viewSettings,
@@ -3647,6 +4592,9 @@ app.get('/edit-user', ensureLoggedIn, ensureServerAccess, async (req, res) => {
                 <label class="block text-sm mb-2">الأذونات</label>
                 <div class="grid grid-cols-2 gap-4">
                     <label class="flex items-center"><input type="checkbox" name="viewConsole" class="mr-2 accent-blue-500" ${server.users.get(editUserId).viewConsole ? 'checked' : ''}>عرض الكونسول</label>
+                    <label class="flex items-center"><input type="checkbox" name="sendConsoleCommand" class="mr-2 accent-blue-500" ${server.users.get(editUserId).sendConsoleCommand ? 'checked' : ''}>إرسال أوامر للكونسول</label>
+                    <label class="flex items-center"><input type="checkbox" name="useShell" class="mr-2 accent-blue-500" ${server.users.get(editUserId).useShell ? 'checked' : ''}>استخدام الشيل</label>
+                    <label class="flex items-center"><input type="checkbox" name="manageSchedules" class="mr-2 accent-blue-500" ${server.users.get(editUserId).manageSchedules ? 'checked' : ''}>إدارة المهام المجدولة</label>
                     <label class="flex items-center"><input type="checkbox" name="viewFiles" class="mr-2 accent-blue-500" ${server.users.get(editUserId).viewFiles ? 'checked' : ''}>عرض الملفات</label>
                     <label class="flex items-center"><input type="checkbox" name="editFiles" class="mr-2 accent-blue-500" ${server.users.get(editUserId).editFiles ? 'checked' : ''}>تعديل الملفات</label>
                     <label class="flex items-center"><input type="checkbox" name="viewSettings" class="mr-2 accent-blue-500" ${server.users.get(editUserId).viewSettings ? 'checked' : ''}>عرض الإعدادات</label>
@@ -3664,7 +4612,7 @@ app.get('/edit-user', ensureLoggedIn, ensureServerAccess, async (req, res) => {
 });
 
 app.post('/edit-user', ensureLoggedIn, ensureServerAccess, async (req, res) => {
-    const { userId, serverId, targetUserId, viewConsole, viewFiles, editFiles, viewSettings, editSettings, viewUsers, editUsers } = req.body;
+    const { userId, serverId, targetUserId, viewConsole, sendConsoleCommand, useShell, manageSchedules, viewFiles, editFiles, viewSettings, editSettings, viewUsers, editUsers } = req.body;
     const targetOwnerId = userId || req.userId;
     const user = await User.findOne({ userId: req.userId });
     const server = req.server;
@@ -3680,6 +4628,9 @@ app.post('/edit-user', ensureLoggedIn, ensureServerAccess, async (req, res) => {
     try {
         server.users.set(targetUserId, {
         viewConsole: !!viewConsole,
+        sendConsoleCommand: !!sendConsoleCommand,
+        useShell: !!useShell,
+        manageSchedules: !!manageSchedules,
         viewFiles: !!viewFiles,
         editFiles: !!editFiles,
         viewSettings: !!viewSettings,
@@ -3727,6 +4678,10 @@ app.post('/remove-user', ensureLoggedIn, ensureServerAccess, async (req, res) =>
 app.get('/admin', ensureLoggedIn, ensureAdmin, async (req, res) => {
     const user = await User.findOne({ userId: req.userId });
     const activePage = req.query.page || 'servers';
+    const portRange = getPortRange();
+    const proxyDomain = getProxyDomain();
+    const cacheSizes = activePage === 'settings' ? await getPackageCacheSizes() : {};
+    const sandboxSupport = activePage === 'settings' ? await detectIsolationSupport() : null;
     const searchQuery = req.query.search || '';
     const logType = req.query.type || 'all';
     const page = Math.max(parseInt(req.query.pageNum || '1', 10), 1);
@@ -3779,6 +4734,9 @@ app.get('/admin', ensureLoggedIn, ensureAdmin, async (req, res) => {
                     <a href="/admin?page=logs" class="block p-2 rounded ${activePage === 'logs' ? 'bg-blue-600' : 'hover:bg-slate-700'}">
                         <i class="fas fa-history mr-2"></i>سجل الأحداث
                     </a>
+                    <a href="/admin?page=settings" class="block p-2 rounded ${activePage === 'settings' ? 'bg-blue-600' : 'hover:bg-slate-700'}">
+                        <i class="fas fa-sliders-h mr-2"></i>إعدادات اللوحة
+                    </a>
                 </nav>
             </div>
 
@@ -3794,12 +4752,16 @@ app.get('/admin', ensureLoggedIn, ensureAdmin, async (req, res) => {
                         <div>
                                             <h3 class="text-lg font-semibold">${server.name}</h3>
                                             <p class="text-sm text-slate-400">المالك: ${server.ownerUsername}</p>
+                                            <p class="text-xs text-slate-400">الحدود: ${Object.keys(getServerLimits(server)).length > 0 ? Object.entries(getServerLimits(server)).map(([key, value]) => `${LIMIT_FIELDS[key]}: ${value}`).join(' | ') : 'بدون حدود'}</p>
                                             ${server.isSuspended ? '<p class="text-red-500 mt-2">هذا السيرفر معلق</p>' : ''}
                         </div>
                         <div class="flex space-x-2">
                                             <a href="/server?serverId=${server.id}&userId=${server.ownerId}" class="btn btn-primary">
                                                 <i class="fas fa-external-link-alt"></i>
                                             </a>
+                                            <button onclick="showLimitsModal('${server.id}', ${server.limits?.memoryMb || 0}, ${server.limits?.cpuPercent || 0}, ${server.limits?.maxProcesses || 0}, ${server.limits?.diskMb || 0})" class="btn btn-info">
+                                                <i class="fas fa-microchip"></i>
+                                            </button>
                                             <form action="/admin/toggle-server-suspension" method="POST" class="inline">
                                                 <input type="hidden" name="serverId" value="${server.id}">
                                                 <button type="submit" class="btn ${server.isSuspended ? 'btn-success' : 'btn-warning'}">
@@ -3818,6 +4780,26 @@ app.get('/admin', ensureLoggedIn, ensureAdmin, async (req, res) => {
                             `).join('')}
         </div>
                     </div>
+
+                    <!-- Server Limits Modal -->
+                    <div id="limitsModal" class="fixed inset-0 bg-black bg-opacity-50 hidden items-center justify-center">
+                        <div class="bg-slate-800 p-6 rounded-lg w-96">
+                            <h3 class="text-xl font-semibold mb-4">حدود موارد السيرفر</h3>
+                            <form action="/admin/server-limits" method="POST">
+                                <input type="hidden" name="serverId" id="limitsServerId">
+                                ${Object.entries(LIMIT_FIELDS).map(([key, label]) => `
+                                <div class="mb-4">
+                                    <label class="block text-sm mb-2">${label}</label>
+                                    <input type="number" name="${key}" id="limits_${key}" class="form-input" min="0" placeholder="0 = بدون حد">
+                                </div>`).join('')}
+                                <p class="text-xs text-slate-400 mb-4">اترك القيمة 0 لإلغاء الحد. يتم تطبيق الحدود عند التشغيل التالي للسيرفر.</p>
+                                <div class="flex justify-end space-x-2">
+                                    <button type="button" onclick="hideLimitsModal()" class="btn btn-danger">إلغاء</button>
+                                    <button type="submit" class="btn btn-success">حفظ</button>
+                                </div>
+                            </form>
+                        </div>
+                    </div>
                 ` : activePage === 'users' ? `
         <div class="card">
                         <h2 class="text-xl font-semibold mb-4">إدارة المستخدمين</h2>
@@ -3879,6 +4861,123 @@ app.get('/admin', ensureLoggedIn, ensureAdmin, async (req, res) => {
                             </form>
                         </div>
                     </div>
+                ` : activePage === 'settings' ? `
+                    <div class="card">
+                        <h2 class="text-xl font-semibold mb-4">نطاق المنافذ</h2>
+                        <form action="/admin/port-range" method="POST" class="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                            <div>
+                                <label class="block text-sm mb-2">من</label>
+                                <input type="number" name="start" class="form-input" min="1024" max="65535" value="${portRange.start}" required>
+                            </div>
+                            <div>
+                                <label class="block text-sm mb-2">إلى</label>
+                                <input type="number" name="end" class="form-input" min="1024" max="65535" value="${portRange.end}" required>
+                            </div>
+                            <button type="submit" class="btn btn-success"><i class="fas fa-save mr-2"></i>حفظ</button>
+                        </form>
+                        <p class="text-xs text-slate-400 mt-4">يتم تخصيص منفذ تلقائياً لكل سيرفر جديد والمنافذ الإضافية من هذا النطاق. المنافذ المحددة يدوياً يتم التحقق من عدم تعارضها مع السيرفرات الأخرى.</p>
+                    </div>
+                    <div class="card mt-6">
+                        <h2 class="text-xl font-semibold mb-4">الوكيل العكسي</h2>
+                        <form action="/admin/proxy-domain" method="POST" class="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                            <div class="md:col-span-2">
+                                <label class="block text-sm mb-2">النطاق الرئيسي للنطاقات الفرعية</label>
+                                <input type="text" name="domain" class="form-input" value="${proxyDomain}" placeholder="panel.example.com" dir="ltr">
+                            </div>
+                            <button type="submit" class="btn btn-success"><i class="fas fa-save mr-2"></i>حفظ</button>
+                        </form>
+                        <p class="text-xs text-slate-400 mt-4">يجب توجيه <code>*.النطاق</code> (مثلاً عبر نفق cloudflared) إلى منفذ اللوحة ${port}. اتركه فارغاً لاستخدام المسار <code>${PROXY_PATH_PREFIX}&lt;serverId&gt;/</code> فقط.</p>
+                    </div>
+                    <div class="card mt-6">
+                        <h2 class="text-xl font-semibold mb-4">إصدارات Node.js</h2>
+                        <table class="w-full text-sm mb-4">
+                            <thead>
+                                <tr class="text-slate-400 text-right">
+                                    <th class="p-2">الاسم</th>
+                                    <th class="p-2">الإصدار</th>
+                                    <th class="p-2">المسار</th>
+                                    <th class="p-2">إجراءات</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr class="border-t border-slate-700">
+                                    <td class="p-2">الافتراضي</td>
+                                    <td class="p-2 font-mono">${process.version}</td>
+                                    <td class="p-2 font-mono text-slate-400" dir="ltr">PATH</td>
+                                    <td class="p-2"></td>
+                                </tr>
+                                ${getNodeInstalls().map(install => `
+                                    <tr class="border-t border-slate-700">
+                                        <td class="p-2">${escapeHtml(install.label)}</td>
+                                        <td class="p-2 font-mono">${install.version}</td>
+                                        <td class="p-2 font-mono text-slate-400" dir="ltr">${escapeHtml(install.dir)}</td>
+                                        <td class="p-2">
+                                            <form action="/admin/node-installs/delete" method="POST" onsubmit="return confirm('هل تريد حذف هذا الإصدار من القائمة؟');">
+                                                <input type="hidden" name="id" value="${install.id}">
+                                                <button type="submit" class="btn btn-sm btn-danger"><i class="fas fa-trash"></i></button>
+                                            </form>
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                        <form action="/admin/node-installs/add" method="POST" class="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                            <div>
+                                <label class="block text-sm mb-2">الاسم</label>
+                                <input type="text" name="label" class="form-input" placeholder="Node 18" required>
+                            </div>
+                            <div>
+                                <label class="block text-sm mb-2">مجلد التثبيت</label>
+                                <input type="text" name="dir" class="form-input font-mono" dir="ltr" placeholder="/opt/node-v18.20.4-linux-x64" required>
+                            </div>
+                            <button type="submit" class="btn btn-success"><i class="fas fa-plus mr-2"></i>إضافة</button>
+                        </form>
+                        <p class="text-xs text-slate-400 mt-4">المجلد يجب أن يحتوي على <code>bin/node</code> و <code>bin/npm</code> (مثل ملفات nodejs.org المستخرجة). يختار كل سيرفر إصداره من صفحة إعدادات بدء التشغيل.</p>
+                    </div>
+                    <div class="card mt-6">
+                        <h2 class="text-xl font-semibold mb-4">ذاكرة الحزم المشتركة</h2>
+                        <table class="w-full text-sm">
+                            <thead>
+                                <tr class="text-slate-400 text-right">
+                                    <th class="p-2">مدير الحزم</th>
+                                    <th class="p-2">الحجم</th>
+                                    <th class="p-2">إجراءات</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${Object.entries(PACKAGE_CACHES).map(([id, cache]) => `
+                                    <tr class="border-t border-slate-700">
+                                        <td class="p-2">${cache.label}</td>
+                                        <td class="p-2 font-mono">${cacheSizes[id] === null || cacheSizes[id] === undefined ? '-' : `${cacheSizes[id]} MB`}</td>
+                                        <td class="p-2">
+                                            <form action="/admin/cache/prune" method="POST" onsubmit="return confirm('هل تريد مسح ذاكرة ${cache.label}؟ سيتم تحميل الحزم من جديد عند التثبيت التالي.');">
+                                                <input type="hidden" name="cache" value="${id}">
+                                                <button type="submit" class="btn btn-sm btn-danger"><i class="fas fa-broom mr-1"></i>مسح</button>
+                                            </form>
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                        <p class="text-xs text-slate-400 mt-4">تستخدم جميع السيرفرات نفس الذاكرة عند تثبيت الحزم، لذلك يتم تحميل كل حزمة مرة واحدة فقط. لا يمكن المسح أثناء وجود تثبيت جارٍ.</p>
+                    </div>
+                    <div class="card mt-6">
+                        <h2 class="text-xl font-semibold mb-4">عزل السيرفرات</h2>
+                        <ul class="text-sm space-y-2 mb-4">
+                            <li><i class="fas ${sandboxSupport.uid ? 'fa-check text-green-400' : 'fa-times text-red-400'} ml-2"></i>مستخدم نظام مستقل لكل سيرفر
+                                ${sandboxSupport.uid ? '' : `<span class="text-xs text-slate-400">(${!sandboxSupport.root ? 'اللوحة لا تعمل كـ root' : !sandboxSupport.setpriv ? 'الأمر setpriv غير مثبت' : `المجلدات فوق <code dir="ltr">${escapeHtml(FILES_ROOT)}</code> غير قابلة للعبور من المستخدمين الآخرين`})</span>`}</li>
+                            <li><i class="fas ${sandboxSupport.bwrap ? 'fa-check text-green-400' : 'fa-times text-red-400'} ml-2"></i>Bubblewrap
+                                ${sandboxSupport.bwrap ? '' : '<span class="text-xs text-slate-400">(bwrap غير مثبت أو لا يمكنه إنشاء namespaces)</span>'}</li>
+                        </ul>
+                        <form action="/admin/isolation" method="POST" class="flex items-center justify-between gap-4">
+                            <label class="flex items-center">
+                                <input type="checkbox" name="enabled" value="1" class="mr-2 accent-blue-500" ${isIsolationEnabled() ? 'checked' : ''}>
+                                <span>تشغيل السيرفرات في وضع العزل</span>
+                            </label>
+                            <button type="submit" class="btn btn-success"><i class="fas fa-save mr-2"></i>حفظ</button>
+                        </form>
+                        <p class="text-xs text-slate-400 mt-4">في وضع العزل يرى كل سيرفر مجلد ملفاته فقط، ولا يرث متغيرات بيئة اللوحة، ويستخدم ذاكرة حزم خاصة به بدلاً من الذاكرة المشتركة. يسري التغيير عند التشغيل التالي لكل سيرفر.</p>
+                    </div>
                 ` : `
                     <div class="card">
                         <h2 class="text-xl font-semibold mb-4">سجل الأحداث</h2>
@@ -3933,6 +5032,21 @@ app.get('/admin', ensureLoggedIn, ensureAdmin, async (req, res) => {
                 document.getElementById('editUserModal').classList.remove('flex');
             }
 
+            function showLimitsModal(serverId, memoryMb, cpuPercent, maxProcesses, diskMb) {
+                document.getElementById('limitsServerId').value = serverId;
+                document.getElementById('limits_memoryMb').value = memoryMb;
+                document.getElementById('limits_cpuPercent').value = cpuPercent;
+                document.getElementById('limits_maxProcesses').value = maxProcesses;
+                document.getElementById('limits_diskMb').value = diskMb;
+                document.getElementById('limitsModal').classList.remove('hidden');
+                document.getElementById('limitsModal').classList.add('flex');
+            }
+
+            function hideLimitsModal() {
+                document.getElementById('limitsModal').classList.add('hidden');
+                document.getElementById('limitsModal').classList.remove('flex');
+            }
+
             // Log search and filter functionality
             document.getElementById('applyLogFilters')?.addEventListener('click', updateLogFilters);
             document.getElementById('logSearch')?.addEventListener('keydown', function(e) { if (e.key === 'Enter') updateLogFilters(); });
@@ -3983,6 +5097,126 @@ app.post('/admin/toggle-server-suspension', ensureLoggedIn, ensureAdmin, async (
     }
 });
 
+app.post('/admin/port-range', ensureLoggedIn, ensureAdmin, async (req, res) => {
+    const start = parseInt(req.body.start, 10);
+    const end = parseInt(req.body.end, 10);
+    if (isNaN(start) || isNaN(end) || start < 1024 || end > 65535 || start > end) {
+        return res.redirect('/admin?page=settings&error=' + encodeURIComponent('نطاق المنافذ غير صالح (1024 - 65535)'));
+    }
+    setAppSetting('portRange', { start, end });
+    logServerEvent('تعديل نطاق المنافذ', { userId: req.userId, start, end });
+    res.redirect('/admin?page=settings&success=' + encodeURIComponent('تم حفظ نطاق المنافذ'));
+});
+
+app.post('/admin/proxy-domain', ensureLoggedIn, ensureAdmin, async (req, res) => {
+    const domain = (req.body.domain || '').trim().toLowerCase().replace(/\.$/, '');
+    if (domain && !domain.split('.').every(label => SUBDOMAIN_PATTERN.test(label))) {
+        return res.redirect('/admin?page=settings&error=' + encodeURIComponent('النطاق غير صالح'));
+    }
+    setAppSetting('proxyDomain', domain);
+    invalidateProxyRoutes();
+    logServerEvent('تعديل نطاق الوكيل العكسي', { userId: req.userId, domain });
+    res.redirect('/admin?page=settings&success=' + encodeURIComponent('تم حفظ نطاق الوكيل العكسي'));
+});
+
+app.post('/admin/node-installs/add', ensureLoggedIn, ensureAdmin, async (req, res) => {
+    const label = (req.body.label || '').trim();
+    const rawDir = (req.body.dir || '').trim();
+    if (!label || !path.isAbsolute(rawDir)) {
+        return res.redirect('/admin?page=settings&error=' + encodeURIComponent('أدخل اسماً ومساراً مطلقاً لمجلد التثبيت'));
+    }
+    const dir = path.resolve(rawDir);
+    const installs = getNodeInstalls();
+    if (installs.some(install => install.dir === dir)) {
+        return res.redirect('/admin?page=settings&error=' + encodeURIComponent('هذا المجلد مسجل بالفعل'));
+    }
+    let version;
+    try {
+        version = await readNodeVersion(dir);
+    } catch (err) {
+        return res.redirect('/admin?page=settings&error=' + encodeURIComponent(`تعذر تشغيل ${path.join(dir, 'bin', 'node')}`));
+    }
+    setAppSetting('nodeInstalls', [...installs, { id: uuidv4(), label, dir, version }]);
+    logServerEvent('إضافة إصدار Node.js', { userId: req.userId, label, dir, version });
+    res.redirect('/admin?page=settings&success=' + encodeURIComponent(`تمت إضافة ${label} (${version})`));
+});
+
+app.post('/admin/node-installs/delete', ensureLoggedIn, ensureAdmin, async (req, res) => {
+    const { id } = req.body;
+    const installs = getNodeInstalls();
+    const install = installs.find(entry => entry.id === id);
+    if (!install) {
+        return res.redirect('/admin?page=settings&error=' + encodeURIComponent('الإصدار غير موجود'));
+    }
+    const users = (await Server.find().lean()).filter(other => (other.startupSettings || {}).nodeVersion === id);
+    if (users.length > 0) {
+        return res.redirect('/admin?page=settings&error=' + encodeURIComponent(`لا يمكن الحذف، الإصدار مستخدم من: ${users.map(other => other.name).join('، ')}`));
+    }
+    setAppSetting('nodeInstalls', installs.filter(entry => entry.id !== id));
+    logServerEvent('حذف إصدار Node.js', { userId: req.userId, label: install.label, dir: install.dir });
+    res.redirect('/admin?page=settings&success=' + encodeURIComponent('تم حذف الإصدار'));
+});
+
+app.post('/admin/isolation', ensureLoggedIn, ensureAdmin, async (req, res) => {
+    const enabled = !!req.body.enabled;
+    if (enabled) {
+        const support = await detectIsolationSupport();
+        if (!support.uid && !support.bwrap) {
+            return res.redirect('/admin?page=settings&error=' + encodeURIComponent('لا يمكن تفعيل العزل: الخادم لا يدعم أياً من طرق العزل'));
+        }
+    }
+    setAppSetting('isolation', enabled);
+    logServerEvent('تعديل عزل السيرفرات', { userId: req.userId, enabled });
+    res.redirect('/admin?page=settings&success=' + encodeURIComponent(enabled ? 'تم تفعيل عزل السيرفرات' : 'تم إيقاف عزل السيرفرات'));
+});
+
+app.post('/admin/cache/prune', ensureLoggedIn, ensureAdmin, async (req, res) => {
+    const { cache } = req.body;
+    if (!PACKAGE_CACHES[cache]) {
+        return res.redirect('/admin?page=settings&error=' + encodeURIComponent('ذاكرة الحزم غير معروفة'));
+    }
+    if (Object.keys(serverInstalls).length > 0) {
+        return res.redirect('/admin?page=settings&error=' + encodeURIComponent('يوجد تثبيت حزم جارٍ حالياً، حاول مرة أخرى بعد انتهائه'));
+    }
+    try {
+        const freedMb = await getDirectorySizeMb(path.join(CACHE_ROOT, cache)).catch(() => 0);
+        await fs.emptyDir(path.join(CACHE_ROOT, cache));
+        logServerEvent('مسح ذاكرة الحزم', { userId: req.userId, cache, freedMb });
+        res.redirect('/admin?page=settings&success=' + encodeURIComponent(`تم مسح ذاكرة ${PACKAGE_CACHES[cache].label} (${freedMb} MB)`));
+    } catch (err) {
+        console.error('Error pruning package cache:', err);
+        res.redirect('/admin?page=settings&error=' + encodeURIComponent('خطأ أثناء مسح ذاكرة الحزم'));
+    }
+});
+
+app.post('/admin/server-limits', ensureLoggedIn, ensureAdmin, async (req, res) => {
+    const { serverId } = req.body;
+    try {
+        const server = await Server.findOne({ id: serverId });
+        if (!server) {
+            return res.redirect('/admin?page=servers&error=' + encodeURIComponent('السيرفر غير موجود'));
+        }
+        const limits = {};
+        for (const key of Object.keys(LIMIT_FIELDS)) {
+            const value = parseInt(req.body[key] || '0', 10);
+            if (isNaN(value) || value < 0) {
+                return res.redirect('/admin?page=servers&error=' + encodeURIComponent(`قيمة غير صالحة لـ ${LIMIT_FIELDS[key]}`));
+            }
+            if (value > 0) limits[key] = value;
+        }
+        if (limits.memoryMb && limits.memoryMb < 32) {
+            return res.redirect('/admin?page=servers&error=' + encodeURIComponent('حد الذاكرة يجب ألا يقل عن 32MB'));
+        }
+        server.limits = limits;
+        await server.save();
+        logServerEvent('تعديل حدود موارد السيرفر', { userId: req.userId, serverId, limits });
+        res.redirect('/admin?page=servers&success=' + encodeURIComponent('تم حفظ حدود الموارد. سيتم تطبيقها عند التشغيل التالي'));
+    } catch (err) {
+        console.error('Error updating server limits:', err);
+        res.redirect('/admin?page=servers&error=' + encodeURIComponent('خطأ أثناء حفظ حدود الموارد'));
+    }
+});
+
 app.post('/admin/delete-server', ensureLoggedIn, ensureAdmin, async (req, res) => {
     const { serverId } = req.body;
     try {
@@ -3990,7 +5224,16 @@ app.post('/admin/delete-server', ensureLoggedIn, ensureAdmin, async (req, res) =
         if (!server) {
             return res.redirect('/admin?page=servers&error=السيرفر غير موجود');
         }
+        resetRestartTracker(server.ownerId, serverId);
+        cancelInstall(server.ownerId, serverId);
+        const serverProcess = runningProcesses[server.ownerId]?.[serverId];
+        await stopServerProcess(server.ownerId, serverId, server);
+        await serverProcess?.closed;
         await Server.deleteOne({ id: serverId });
+        await Schedule.deleteMany({ serverId });
+        await AlertRule.deleteMany({ serverId });
+        clearHealthHistory(server.ownerId, serverId);
+        endLogSession(server.ownerId, serverId);
         logServerEvent('حذف سيرفر بواسطة المدير', { userId: req.userId, serverId });
         res.redirect('/admin?page=servers&success=تم حذف السيرفر بنجاح');
     } catch (err) {
@@ -4305,439 +5548,3496 @@ app.get('/logout', (req, res) => {
     res.redirect('/login');
 });
 
-const startServerInBackground = async (serverId, targetUserId, server, _tempDir, consoleLogs, runningProcesses, serverStartTime, wss, formatConsoleOutput, trimLogs, decodeFilePathKey, logServerEvent) => {
-    const { filesDir } = getServerStoragePaths(targetUserId, serverId);
-    const serverDir = filesDir; // persist all runtime changes inside files
-    try {
-        await fs.ensureDir(serverDir);
-
-        // تهيئة سجل الكونسول مع مسح السجل السابق عند بدء التشغيل
-        initializeServerLogs(targetUserId, serverId);
-        // Clear in-memory logs and persistent logs for this server/user
-        try {
-            const logKey = `${targetUserId}-${serverId}`;
-            consoleLogs[logKey] = [];
-            clearConsoleLogs(targetUserId, serverId);
-        } catch (e) { /* ignore */ }
-        // Notify connected clients to clear their UI console
-        try {
-            wss.clients.forEach(client => {
-                if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                    client.send('__CLEAR_CONSOLE__');
-                }
-            });
-        } catch (e) { /* ignore */ }
-        const startMsg = formatConsoleOutput('جاري تجهيز السيرفر... برجاء الانتظار');
-        consoleLogs[`${targetUserId}-${serverId}`].push(startMsg);
-        saveConsoleLog(targetUserId, serverId, startMsg);
-        wss.clients.forEach(client => {
-            if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                client.send(startMsg);
-            }
-        });
-
-        // كتابة ملفات السيرفر (من المخزن إلى مساحة التشغيل)
-        for (const [encodedFilePath, fileContent] of server.files.entries()) {
-            const filePath = decodeFilePathKey(encodedFilePath);
-            const content = Buffer.from(fileContent, 'base64');
-            const fullPath = path.join(serverDir, filePath);
-            await fs.ensureDir(path.dirname(fullPath));
-            await fs.writeFile(fullPath, content);
-        }
-
-        // قراءة إعدادات بدء التشغيل
-        const mainFile = server.startupSettings.get('mainFile') || 'index.js';
-        const userPackages = server.startupSettings.get('packages');
-        const port = server.startupSettings.get('port') || '3000';
+// Admin-registered Node.js installs, stored as [{ id, label, dir, version }]. A server
+// that selects one gets <dir>/bin first on PATH, so node, npm and npx all come from it.
+const getNodeInstalls = () => getAppSetting('nodeInstalls') || [];
 
-        // تثبيت الحزم المحددة من قبل المستخدم أولاً
-        if (userPackages && userPackages.trim() !== '') {
-            const packagesToInstall = userPackages.trim().split(/\s+/).filter(pkg => pkg);
-            if (packagesToInstall.length > 0) {
-                const installingUserPkgsMsg = formatConsoleOutput(`جاري تثبيت الحزم المحددة من إعدادات بدء التشغيل: ${packagesToInstall.join(', ')}...`);
-                consoleLogs[`${targetUserId}-${serverId}`].push(installingUserPkgsMsg);
-                wss.clients.forEach(client => {
-                    if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                        client.send(installingUserPkgsMsg);
-                    }
-                });
-                try {
-                    const { stdout, stderr } = await execPromise(`npm install ${packagesToInstall.join(' ')} --save`, {
-                        cwd: serverDir,
-                        timeout: 300000 // 5 دقائق
-                    });
-                    if (stdout) {
-                        const formattedOutput = formatConsoleOutput(stdout);
-                        consoleLogs[`${targetUserId}-${serverId}`].push(formattedOutput);
-                        saveConsoleLog(targetUserId, serverId, formattedOutput);
-                        wss.clients.forEach(client => client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN && client.send(formattedOutput));
-                    }
-                    if (stderr) {
-                        const formattedError = formatConsoleOutput(stderr);
-                        consoleLogs[`${targetUserId}-${serverId}`].push(formattedError);
-                        saveConsoleLog(targetUserId, serverId, formattedError);
-                        wss.clients.forEach(client => client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN && client.send(formattedError));
-                    }
-                    const doneUserPkgsMsg = formatConsoleOutput('تم تثبيت الحزم المحددة من إعدادات بدء التشغيل بنجاح.');
-                    consoleLogs[`${targetUserId}-${serverId}`].push(doneUserPkgsMsg);
-                    saveConsoleLog(targetUserId, serverId, doneUserPkgsMsg);
-                    wss.clients.forEach(client => client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN && client.send(doneUserPkgsMsg));
-                } catch (error) {
-                    const formattedError = formatConsoleOutput(`خطأ في تثبيت الحزم المحددة من إعدادات بدء التشغيل: ${error.message}`);
-                    consoleLogs[`${targetUserId}-${serverId}`].push(formattedError);
-                    wss.clients.forEach(client => client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN && client.send(formattedError));
-                }
-            }
-        }
+const readNodeVersion = async (dir) => {
+    const { stdout } = await execFilePromise(path.join(dir, 'bin', 'node'), ['--version'], { timeout: 10000 });
+    return stdout.trim();
+};
 
-        // التحقق من وجود الملف الرئيسي
-        const mainFilePath = path.join(serverDir, mainFile);
-        if (!fs.existsSync(mainFilePath)) {
-            const errorMsg = formatConsoleOutput(`ملف التشغيل الرئيسي (${mainFile}) غير موجود`);
-            consoleLogs[`${targetUserId}-${serverId}`].push(errorMsg);
-            saveConsoleLog(targetUserId, serverId, errorMsg);
-            wss.clients.forEach(client => {
-                if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                    client.send(errorMsg);
-                }
-            });
-            return;
-        }
+// null means the node found on the panel's PATH
+const getServerNodeInstall = (server) => {
+    const installId = server.startupSettings.get('nodeVersion');
+    if (!installId) return null;
+    return getNodeInstalls().find(install => install.id === installId) || null;
+};
 
-        // التحقق من وجود package.json وتثبيت الحزم
-        const packageJsonPath = path.join(serverDir, 'package.json');
-        if (fs.existsSync(packageJsonPath)) {
-            const installingMsg = formatConsoleOutput('جاري تثبيت الحزم المطلوبة...');
-            consoleLogs[`${targetUserId}-${serverId}`].push(installingMsg);
-            saveConsoleLog(targetUserId, serverId, installingMsg);
-            wss.clients.forEach(client => {
-                if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                    client.send(installingMsg);
-                }
-            });
+const getNodeBinDirs = (server) => {
+    const install = getServerNodeInstall(server);
+    return install ? [path.join(install.dir, 'bin')] : [];
+};
 
-            try {
-                const { stdout, stderr } = await execPromise('npm install', {
-                    cwd: serverDir,
-                    timeout: 300000 // 5 دقائق
-                });
-                if (stdout) {
-                    const formattedOutput = formatConsoleOutput(stdout);
-                    consoleLogs[`${targetUserId}-${serverId}`].push(formattedOutput);
-                    saveConsoleLog(targetUserId, serverId, formattedOutput);
-                    wss.clients.forEach(client => {
-                        if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                            client.send(formattedOutput);
-                        }
-                    });
-                }
-                if (stderr) {
-                    const formattedError = formatConsoleOutput(stderr);
-                    consoleLogs[`${targetUserId}-${serverId}`].push(formattedError);
-                    saveConsoleLog(targetUserId, serverId, formattedError);
-                    wss.clients.forEach(client => {
-                        if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                            client.send(formattedError);
-                        }
-                    });
-                }
-                const doneMsg = formatConsoleOutput('تم تثبيت الحزم بنجاح. جاري تشغيل السيرفر...');
-                consoleLogs[`${targetUserId}-${serverId}`].push(doneMsg);
-                saveConsoleLog(targetUserId, serverId, doneMsg);
-                wss.clients.forEach(client => {
-                    if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                        client.send(doneMsg);
-                    }
-                });
-            } catch (error) {
-                const formattedError = formatConsoleOutput(`خطأ في تثبيت الحزم: ${error.message}`);
-                consoleLogs[`${targetUserId}-${serverId}`].push(formattedError);
-                saveConsoleLog(targetUserId, serverId, formattedError);
-                wss.clients.forEach(client => {
-                    if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                        client.send(formattedError);
-                    }
-                });
-                throw error;
-            }
-        }
+// The lockfile in the server directory picks the package manager; its frozen
+// install mode keeps the installed versions exactly as locked
+const NODE_PACKAGE_MANAGERS = [
+    { lockfile: 'pnpm-lock.yaml', command: 'pnpm', install: ['install', '--frozen-lockfile'], add: ['add'] },
+    { lockfile: 'yarn.lock', command: 'yarn', install: ['install', '--frozen-lockfile'], add: ['add'] },
+    { lockfile: 'package-lock.json', command: 'npm', install: ['ci'], add: ['install', '--save'] },
+    { lockfile: 'npm-shrinkwrap.json', command: 'npm', install: ['ci'], add: ['install', '--save'] }
+];
+const NPM_WITHOUT_LOCKFILE = { lockfile: null, command: 'npm', install: ['install'], add: ['install', '--save'] };
+
+const detectNodePackageManager = (serverDir) =>
+    NODE_PACKAGE_MANAGERS.find(manager => fs.existsSync(path.join(serverDir, manager.lockfile))) || NPM_WITHOUT_LOCKFILE;
+
+// Supported runtimes: how each one prepares the server directory, installs
+// dependencies and launches the main file. Steps are argv arrays (no shell).
+const RUNTIMES = {
+    node: {
+        label: 'Node.js',
+        defaultMainFile: 'index.js',
+        setupSteps: () => [],
+        packageSteps: (ctx, packages) => {
+            const manager = detectNodePackageManager(ctx.serverDir);
+            return [{ command: manager.command, args: [...manager.add, ...packages] }];
+        },
+        dependencySteps: (ctx) => {
+            if (!fs.existsSync(path.join(ctx.serverDir, 'package.json'))) return [];
+            const manager = detectNodePackageManager(ctx.serverDir);
+            return [{ command: manager.command, args: manager.install }];
+        },
+        fingerprintFiles: ['package.json', ...NODE_PACKAGE_MANAGERS.map(manager => manager.lockfile)],
+        installedDir: (ctx) => path.join(ctx.serverDir, 'node_modules'),
+        launch: (ctx) => ({ command: 'node', args: [ctx.mainFilePath] }),
+        binDirs: (ctx) => [path.join(ctx.serverDir, 'node_modules', '.bin')],
+        env: { NODE_ENV: 'production' }
+    },
+    python: {
+        label: 'Python',
+        defaultMainFile: 'main.py',
+        // Each server gets its own virtualenv next to (not inside) its files
+        setupSteps: (ctx) => fs.existsSync(path.join(ctx.venvDir, 'bin', 'python'))
+            ? []
+            : [{ command: 'python3', args: ['-m', 'venv', ctx.venvDir], message: 'جاري إنشاء البيئة الافتراضية لبايثون (venv)...' }],
+        packageSteps: (ctx, packages) => [{ command: path.join(ctx.venvDir, 'bin', 'pip'), args: ['install', ...packages] }],
+        dependencySteps: (ctx) => fs.existsSync(path.join(ctx.serverDir, 'requirements.txt'))
+            ? [{ command: path.join(ctx.venvDir, 'bin', 'pip'), args: ['install', '-r', 'requirements.txt'] }]
+            : [],
+        fingerprintFiles: ['requirements.txt'],
+        installedDir: (ctx) => ctx.venvDir,
+        launch: (ctx) => ({ command: path.join(ctx.venvDir, 'bin', 'python'), args: ['-u', ctx.mainFilePath] }),
+        binDirs: (ctx) => [path.join(ctx.venvDir, 'bin')],
+        env: { PYTHONUNBUFFERED: '1' }
+    },
+    bun: {
+        label: 'Bun',
+        defaultMainFile: 'index.ts',
+        setupSteps: () => [],
+        packageSteps: (ctx, packages) => [{ command: 'bun', args: ['add', ...packages] }],
+        dependencySteps: (ctx) => fs.existsSync(path.join(ctx.serverDir, 'package.json'))
+            ? [{ command: 'bun', args: ['bun.lockb', 'bun.lock'].some(lockfile => fs.existsSync(path.join(ctx.serverDir, lockfile))) ? ['install', '--frozen-lockfile'] : ['install'] }]
+            : [],
+        fingerprintFiles: ['package.json', 'bun.lockb', 'bun.lock'],
+        installedDir: (ctx) => path.join(ctx.serverDir, 'node_modules'),
+        launch: (ctx) => ({ command: 'bun', args: ['run', ctx.mainFilePath] }),
+        binDirs: (ctx) => [path.join(ctx.serverDir, 'node_modules', '.bin')],
+        env: { NODE_ENV: 'production' }
+    },
+    deno: {
+        label: 'Deno',
+        defaultMainFile: 'main.ts',
+        setupSteps: () => [],
+        packageSteps: (ctx, packages) => [{ command: 'deno', args: ['add', ...packages] }],
+        dependencySteps: (ctx) => [{ command: 'deno', args: ['cache', ctx.mainFilePath] }],
+        fingerprintFiles: [],
+        launch: (ctx) => ({ command: 'deno', args: ['run', '--allow-all', ctx.mainFilePath] }),
+        binDirs: () => [],
+        env: {}
+    },
+    shell: {
+        label: 'Shell (bash)',
+        defaultMainFile: 'start.sh',
+        setupSteps: () => [],
+        packageSteps: () => [],
+        dependencySteps: () => [],
+        fingerprintFiles: [],
+        launch: (ctx) => ({ command: 'bash', args: [ctx.mainFilePath] }),
+        binDirs: () => [],
+        env: {}
+    }
+};
 
-        // تشغيل السيرفر
-        const serverProcess = spawn('node', [mainFilePath], {
-            cwd: serverDir,
-            env: {
-                ...process.env,
-                PORT: port,
-                NODE_ENV: 'production'
-            },
-            stdio: ['pipe', 'pipe', 'pipe']
-        });
+const getServerRuntime = (server) => {
+    const runtimeId = server.startupSettings.get('runtime');
+    return RUNTIMES[runtimeId] ? runtimeId : 'node';
+};
 
-        if (!runningProcesses[targetUserId]) {
-            runningProcesses[targetUserId] = {};
+// --- Start: Startup command templates ---
+// A template such as `node --enable-source-maps {{MAIN_FILE}} --port {{PORT}}` is split
+// into argv first and only then are {{VARIABLES}} substituted, so a value can never
+// add arguments. The result is spawned directly, never through a shell.
+const STARTUP_VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const VARIABLE_NAME_PATTERN = /^[A-Z_][A-Z0-9_]*$/;
+
+const tokenizeCommand = (commandLine) => {
+    const tokens = [];
+    let current = '';
+    let inToken = false;
+    let quote = null;
+    for (let i = 0; i < commandLine.length; i++) {
+        const ch = commandLine[i];
+        if (quote === "'") {
+            if (ch === "'") quote = null; else current += ch;
+        } else if (quote === '"') {
+            if (ch === '"') quote = null;
+            else if (ch === '\\' && (commandLine[i + 1] === '"' || commandLine[i + 1] === '\\')) current += commandLine[++i];
+            else current += ch;
+        } else if (/\s/.test(ch)) {
+            if (inToken) tokens.push(current);
+            current = '';
+            inToken = false;
+        } else if (ch === "'" || ch === '"') {
+            quote = ch;
+            inToken = true;
+        } else if (ch === '\\' && i + 1 < commandLine.length) {
+            current += commandLine[++i];
+            inToken = true;
+        } else if (/[|&;<>()`$]/.test(ch)) {
+            throw new Error(`الرمز "${ch}" غير مسموح في أمر التشغيل (الأمر لا يُنفذ عبر shell، استخدم {{VARIABLE}} للمتغيرات)`);
+        } else {
+            current += ch;
+            inToken = true;
         }
-        runningProcesses[targetUserId][serverId] = serverProcess;
-        serverStartTime[`${targetUserId}-${serverId}`] = Date.now();
-        setProcessState(targetUserId, serverId, true, serverStartTime[`${targetUserId}-${serverId}`]);
-
-        const startSuccessMsg = formatConsoleOutput(`تم تشغيل السيرفر بنجاح على المنفذ ${port}`);
-        consoleLogs[`${targetUserId}-${serverId}`].push(startSuccessMsg);
-        saveConsoleLog(targetUserId, serverId, startSuccessMsg);
-        wss.clients.forEach(client => {
-            if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                client.send(startSuccessMsg);
-            }
-        });
-
-        serverProcess.stdout.on('data', (data) => {
-            const log = data.toString();
-            const formattedLog = formatConsoleOutput(log);
-            consoleLogs[`${targetUserId}-${serverId}`].push(formattedLog);
-            trimLogs(consoleLogs[`${targetUserId}-${serverId}`]);
-            wss.clients.forEach(client => {
-                if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                    client.send(formattedLog);
-                }
-            });
-            saveConsoleLog(targetUserId, serverId, formattedLog);
-        });
-
-        serverProcess.stderr.on('data', (data) => {
-            const log = data.toString();
-            const formattedLog = formatConsoleOutput(log);
-            consoleLogs[`${targetUserId}-${serverId}`].push(formattedLog);
-            trimLogs(consoleLogs[`${targetUserId}-${serverId}`]);
-            wss.clients.forEach(client => {
-                if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                    client.send(formattedLog);
-                }
-            });
-            saveConsoleLog(targetUserId, serverId, formattedLog);
-        });
+    }
+    if (quote) throw new Error('علامة اقتباس غير مغلقة في أمر التشغيل');
+    if (inToken) tokens.push(current);
+    return tokens;
+};
 
-        serverProcess.on('close', async (code) => {
-            const closeMessage = formatConsoleOutput(`توقف السيرفر (رمز الخروج: ${code})`);
-            consoleLogs[`${targetUserId}-${serverId}`].push(closeMessage);
-            trimLogs(consoleLogs[`${targetUserId}-${serverId}`]);
-            delete runningProcesses[targetUserId][serverId];
-            setProcessState(targetUserId, serverId, false, null);
-            // do not remove files; keep persisted changes
+// mainFile -> MAIN_FILE
+const toVariableName = (key) => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
 
-            wss.clients.forEach(client => {
-                if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                    client.send(closeMessage);
-                }
-            });
-        });
+// Variables available to templates: user-defined ones, then every plain startup setting, then built-ins
+const buildStartupVariables = (server, builtins = {}) => {
+    const variables = { ...(server.startupSettings.get('variables') || {}) };
+    for (const [key, value] of server.startupSettings.entries()) {
+        if (key === 'startupCommand' || value === null || typeof value === 'object') continue;
+        variables[toVariableName(key)] = String(value);
+    }
+    return { ...variables, ...builtins };
+};
 
-        serverProcess.on('error', async (error) => {
-            const errorMsg = formatConsoleOutput(`خطأ في بدء تشغيل السيرفر: ${error.message}`);
-            consoleLogs[`${targetUserId}-${serverId}`].push(errorMsg);
-            trimLogs(consoleLogs[`${targetUserId}-${serverId}`]);
-            delete runningProcesses[targetUserId][serverId];
-            setProcessState(targetUserId, serverId, false, null);
-            // do not remove files; keep persisted changes
-            wss.clients.forEach(client => {
-                if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                    client.send(errorMsg);
-                }
-            });
-        });
+const resolveStartupCommand = (template, variables) => {
+    const argv = tokenizeCommand(template).map(token => token.replace(STARTUP_VARIABLE_PATTERN, (match, name) => {
+        if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+            throw new Error(`متغير غير معرف في أمر التشغيل: ${name}`);
+        }
+        return String(variables[name]);
+    }));
+    if (argv.length === 0 || !argv[0]) throw new Error('أمر التشغيل فارغ');
+    return argv;
+};
 
-        logServerEvent('تشغيل سيرفر', { userId: targetUserId, serverId, port });
-    } catch (error) {
-        const errorMsg = formatConsoleOutput(`حدث خطأ أثناء تشغيل السيرفر: ${error.message}`);
-        consoleLogs[`${targetUserId}-${serverId}`].push(errorMsg);
-        wss.clients.forEach(client => {
-            if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                client.send(errorMsg);
-            }
-        });
-        console.error('Error starting server:', error);
-        await fs.remove(serverDir).catch(() => {});
+// Parse the "KEY=value" lines from the startup page
+const parseVariablesText = (text) => {
+    const variables = {};
+    for (const rawLine of (text || '').split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) continue;
+        const eq = line.indexOf('=');
+        const name = (eq === -1 ? line : line.slice(0, eq)).trim();
+        if (!VARIABLE_NAME_PATTERN.test(name)) {
+            throw new Error(`اسم متغير غير صالح: ${name} (استخدم أحرفاً كبيرة وأرقاماً و _ فقط)`);
+        }
+        variables[name] = eq === -1 ? '' : line.slice(eq + 1).trim();
     }
+    return variables;
 };
 
-app.post('/start-server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
-    const { serverId, userId } = req.body;
-    const targetUserId = userId || req.userId;
-    const server = await Server.findOne({ id: serverId });
+// Quote argv for display in the console
+const formatArgv = (argv) => argv.map(arg => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`).join(' ');
+// --- End: Startup command templates ---
+
+// --- Start: Port pool ---
+// Admins set the range in appSettings; each server owns startupSettings.port plus
+// up to MAX_EXTRA_PORTS extra allocations exposed as PORT_1, PORT_2, ...
+const DEFAULT_PORT_RANGE = { start: 3001, end: 3999 };
+const MAX_EXTRA_PORTS = 5;
+
+const getPortRange = () => ({ ...DEFAULT_PORT_RANGE, ...(getAppSetting('portRange') || {}) });
+
+// Works for model instances (Map) and the plain objects returned by Server.find().lean()
+const getServerPorts = (server) => {
+    const settings = server.startupSettings instanceof Map ? Object.fromEntries(server.startupSettings) : (server.startupSettings || {});
+    const ports = [];
+    if (settings.port) ports.push(parseInt(settings.port, 10));
+    for (const extra of settings.extraPorts || []) ports.push(parseInt(extra, 10));
+    return ports.filter(Boolean);
+};
 
-    if (!server) {
-        return res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('السيرفر غير موجود')}`);
+// port -> name of the server holding it
+const getAllocatedPorts = async (exceptServerId = null) => {
+    const allocated = new Map([[port, 'لوحة التحكم']]);
+    for (const other of await Server.find().lean()) {
+        if (other.id === exceptServerId) continue;
+        getServerPorts(other).forEach(p => allocated.set(p, other.name));
     }
+    return allocated;
+};
 
-    if (server.isSuspended) {
-        return res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('هذا السيرفر معلق. يرجى التواصل مع الإدارة')}`);
+const isPortBindable = (candidate) => new Promise(resolve => {
+    const tester = net.createServer()
+        .once('error', () => resolve(false))
+        .once('listening', () => tester.close(() => resolve(true)))
+        .listen(candidate, '0.0.0.0');
+});
+
+// Lowest port in the range that no server holds and nothing else is listening on
+const allocatePort = async (server = null) => {
+    const { start, end } = getPortRange();
+    const allocated = await getAllocatedPorts();
+    const own = server ? new Set(getServerPorts(server)) : new Set();
+    for (let candidate = start; candidate <= end; candidate++) {
+        if (allocated.has(candidate) || own.has(candidate)) continue;
+        if (await isPortBindable(candidate)) return candidate;
     }
+    return null;
+};
 
-    // تشغيل العملية في الخلفية
-    startServerInBackground(serverId, targetUserId, server, tempDir, consoleLogs, runningProcesses, serverStartTime, wss, formatConsoleOutput, trimLogs, decodeFilePathKey, logServerEvent);
+const getPortVariables = (server) => {
+    const variables = { PORT: String(server.startupSettings.get('port') || '3000') };
+    (server.startupSettings.get('extraPorts') || []).forEach((extra, index) => {
+        variables[`PORT_${index + 1}`] = String(extra);
+    });
+    return variables;
+};
+// --- End: Port pool ---
+
+// --- Start: Reverse proxy ---
+// Hosted servers are reachable through the panel's own port, either as
+// <subdomain>.<proxyDomain> or under /p/<serverId>/ (or /p/<subdomain>/).
+// Path mode shares the panel's origin, so those responses are sandboxed into
+// an opaque origin and may never touch the panel's session cookie.
+const PROXY_PATH_PREFIX = '/p/';
+const PROXY_ROUTE_CACHE_MS = 5000;
+const PROXY_IDLE_TIMEOUT_MS = 120000;
+const SUBDOMAIN_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+const DEFAULT_PROXY_SETTINGS = { enabled: false, subdomain: '' };
+
+let proxyRoutesCache = null;
+
+const getProxyDomain = () => (getAppSetting('proxyDomain') || '').toLowerCase();
+
+const getProxySettings = (server) => {
+    const settings = server.startupSettings instanceof Map ? server.startupSettings.get('proxy') : server.startupSettings?.proxy;
+    return { ...DEFAULT_PROXY_SETTINGS, ...(settings || {}) };
+};
 
-    // إرجاع استجابة فورية
-    res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&success=${encodeURIComponent('جاري تشغيل السيرفر... تحقق من الكونسول لمتابعة العملية')}`);
-});
+const invalidateProxyRoutes = () => { proxyRoutesCache = null; };
+
+// serverId / subdomain -> upstream info, rebuilt at most every PROXY_ROUTE_CACHE_MS
+const getProxyRoutes = async () => {
+    if (proxyRoutesCache && Date.now() - proxyRoutesCache.builtAt < PROXY_ROUTE_CACHE_MS) return proxyRoutesCache;
+    const byId = new Map();
+    const bySubdomain = new Map();
+    for (const row of await Server.find().lean()) {
+        const proxy = getProxySettings(row);
+        if (!proxy.enabled) continue;
+        const route = { id: row.id, name: row.name, ownerId: row.ownerId, isSuspended: !!row.isSuspended, port: getServerPorts(row)[0] || 3000 };
+        byId.set(row.id, route);
+        if (proxy.subdomain) bySubdomain.set(proxy.subdomain, route);
+    }
+    proxyRoutesCache = { byId, bySubdomain, builtAt: Date.now() };
+    return proxyRoutesCache;
+};
 
-app.post('/stop-server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
-    const { userId, serverId } = req.body;
-    const targetUserId = userId || req.userId;
-    const user = await User.findOne({ userId: req.userId });
-    const server = req.server;
+// Returns null when the request is meant for the panel itself
+const resolveProxyTarget = async (req) => {
+    const domain = getProxyDomain();
+    const host = (req.headers.host || '').toLowerCase().replace(/:\d+$/, '');
+    const routes = await getProxyRoutes();
 
-    const permissions = server.users.get(req.userId) || {};
-    if (!req.isServerOwner && !user.isAdmin && !permissions.editSettings) {
-        return res.redirect('/?error=غير مصرح لك بإيقاف السيرفر');
+    if (domain && host.endsWith(`.${domain}`)) {
+        const subdomain = host.slice(0, -(domain.length + 1));
+        return { route: routes.bySubdomain.get(subdomain) || null, prefix: '', path: req.url };
     }
+    if (!req.url.startsWith(PROXY_PATH_PREFIX)) return null;
 
+    const match = req.url.slice(PROXY_PATH_PREFIX.length).match(/^([^/?#]+)(.*)$/);
+    if (!match) return null;
+    const route = routes.byId.get(match[1]) || routes.bySubdomain.get(match[1].toLowerCase()) || null;
+    return { route, prefix: `${PROXY_PATH_PREFIX}${match[1]}`, path: match[2] };
+};
+
+const PANEL_SESSION_COOKIE = 'connect.sid';
+const PROXY_PATH_SANDBOX_CSP = 'sandbox allow-scripts allow-forms';
+
+// The hosted server never sees the panel's session cookie
+const stripPanelCookie = (cookieHeader) => (cookieHeader || '')
+    .split(';')
+    .map(part => part.trim())
+    .filter(part => part && !part.startsWith(`${PANEL_SESSION_COOKIE}=`))
+    .join('; ');
+
+const buildProxyHeaders = (req, target) => {
+    const headers = {
+        ...req.headers,
+        'x-forwarded-for': [req.headers['x-forwarded-for'], req.socket.remoteAddress].filter(Boolean).join(', '),
+        'x-forwarded-host': req.headers['x-forwarded-host'] || req.headers.host || '',
+        'x-forwarded-proto': req.headers['x-forwarded-proto'] || (req.socket.encrypted ? 'https' : 'http')
+    };
+    if (target.prefix) headers['x-forwarded-prefix'] = target.prefix;
+    const cookie = stripPanelCookie(req.headers.cookie);
+    if (cookie) headers.cookie = cookie;
+    else delete headers.cookie;
+    return headers;
+};
+
+const renderProxyPage = (title, message) => `<!DOCTYPE html>
+<html lang="ar" dir="rtl">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>
+        body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; background: #0f172a; color: #e2e8f0; font-family: system-ui, sans-serif; }
+        .box { text-align: center; padding: 2rem; max-width: 28rem; }
+        h1 { font-size: 1.5rem; margin-bottom: 0.5rem; }
+        p { color: #94a3b8; }
+    </style>
+</head>
+<body>
+    <div class="box">
+        <h1>${title}</h1>
+        <p>${message}</p>
+    </div>
+</body>
+</html>`;
+
+const sendProxyPage = (res, status, title, message) => {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store', ...(status === 503 || status === 502 ? { 'Retry-After': '30' } : {}) });
+    res.end(renderProxyPage(title, message));
+};
+
+// Why a route can't be reached right now, or null when it should be forwarded
+const getProxyUnavailableReason = (route) => {
+    if (!route) return { status: 404, title: 'غير موجود', message: 'لا يوجد سيرفر منشور على هذا العنوان.' };
+    if (route.isSuspended) return { status: 503, title: 'السيرفر موقوف', message: `السيرفر ${escapeHtml(route.name)} موقوف من قبل الإدارة.` };
+    if (!runningProcesses[route.ownerId]?.[route.id]) return { status: 503, title: 'السيرفر غير متصل', message: `السيرفر ${escapeHtml(route.name)} متوقف حالياً. حاول مرة أخرى لاحقاً.` };
+    return null;
+};
+
+const buildProxyResponseHeaders = (upstreamRes, target) => {
+    const headers = { ...upstreamRes.headers };
+    // The hosted server may not overwrite or fixate the panel's session
+    if (headers['set-cookie']) {
+        headers['set-cookie'] = headers['set-cookie'].filter(cookie => !cookie.trim().startsWith(`${PANEL_SESSION_COOKIE}=`));
+    }
+    if (!target.prefix) return headers;
+
+    // Path mode: keep absolute-path redirects inside the prefix
+    if (headers.location?.startsWith('/') && !headers.location.startsWith('//')) {
+        headers.location = target.prefix + headers.location;
+    }
+    // Cookies set here would land on the panel's origin
+    delete headers['set-cookie'];
+    // Without allow-same-origin the page runs in an opaque origin and cannot script the panel
+    headers['content-security-policy'] = [headers['content-security-policy'], PROXY_PATH_SANDBOX_CSP].flat().filter(Boolean);
+    return headers;
+};
+
+const handleProxyRequest = async (req, res, next) => {
+    let target;
+    try {
+        target = await resolveProxyTarget(req);
+    } catch (err) {
+        console.error('Error resolving proxy target:', err);
+        return next();
+    }
+    if (!target) return next();
+
+    // Relative links in the proxied app only work with a trailing slash after the prefix
+    if (target.prefix && !target.path.startsWith('/')) {
+        res.writeHead(301, { Location: `${target.prefix}/${target.path}` });
+        return res.end();
+    }
+
+    const unavailable = getProxyUnavailableReason(target.route);
+    if (unavailable) return sendProxyPage(res, unavailable.status, unavailable.title, unavailable.message);
+
+    const upstream = http.request({
+        host: '127.0.0.1',
+        port: target.route.port,
+        method: req.method,
+        path: target.path,
+        headers: buildProxyHeaders(req, target)
+    }, (upstreamRes) => {
+        res.writeHead(upstreamRes.statusCode, buildProxyResponseHeaders(upstreamRes, target));
+        upstreamRes.pipe(res);
+    });
+
+    upstream.setTimeout(PROXY_IDLE_TIMEOUT_MS, () => upstream.destroy(new Error('Upstream timed out')));
+    upstream.on('error', (err) => {
+        if (res.headersSent) {
+            res.destroy();
+            return;
+        }
+        const reason = err.code === 'ECONNREFUSED'
+            ? 'السيرفر يعمل لكنه لا يستقبل اتصالات على المنفذ المحدد بعد.'
+            : 'تعذر الاتصال بالسيرفر.';
+        sendProxyPage(res, 502, 'السيرفر غير متصل', `${escapeHtml(target.route.name)}: ${reason}`);
+    });
+    req.on('aborted', () => upstream.destroy());
+    req.pipe(upstream);
+};
+
+const handleProxyUpgrade = (req, socket, head, target) => {
+    const rejectUpgrade = (status, text) => {
+        if (!socket.destroyed) socket.end(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\n\r\n`);
+    };
+    if (target.prefix && !target.path.startsWith('/')) return rejectUpgrade(404, 'Not Found');
+    const unavailable = getProxyUnavailableReason(target.route);
+    if (unavailable) return rejectUpgrade(unavailable.status, unavailable.status === 404 ? 'Not Found' : 'Service Unavailable');
+
+    const upstream = net.connect(target.route.port, '127.0.0.1', () => {
+        const headers = buildProxyHeaders(req, target);
+        let requestHead = `${req.method} ${target.path} HTTP/1.1\r\n`;
+        for (const [name, value] of Object.entries(headers)) {
+            for (const item of [].concat(value)) requestHead += `${name}: ${item}\r\n`;
+        }
+        upstream.write(requestHead + '\r\n');
+        if (head && head.length) upstream.write(head);
+        upstream.pipe(socket);
+        socket.pipe(upstream);
+    });
+    upstream.on('error', () => {
+        if (upstream.connecting) rejectUpgrade(502, 'Bad Gateway');
+        else socket.destroy();
+    });
+    socket.on('error', () => upstream.destroy());
+    socket.on('close', () => upstream.destroy());
+};
+// --- End: Reverse proxy ---
+
+// --- Start: Per-server environment variables ---
+// Stored on the server as KEY -> { value, secret }. Secret values are encrypted
+// with the vault key and are only ever decrypted to build the child's env.
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const SECRET_MASK = '********';
+
+const getServerEnvironment = (server) => {
+    const env = {};
+    const secrets = [];
+    const failedKeys = [];
+    for (const [key, entry] of (server.environment || new Map()).entries()) {
+        if (!entry?.secret) {
+            env[key] = String(entry?.value ?? '');
+            continue;
+        }
+        try {
+            env[key] = decryptSecret(entry.value);
+            secrets.push(env[key]);
+        } catch (err) {
+            failedKeys.push(key);
+        }
+    }
+    return { env, secrets, failedKeys };
+};
+
+// The current secrets, plus the ones the running process was started with (it keeps
+// those until it exits, even when the variable is changed or deleted meanwhile)
+const refreshServerSecrets = (userId, serverId, server) => {
+    const launchSecrets = runningProcesses[userId]?.[serverId]?.launchSecrets || [];
+    // Very short values would mask unrelated output, so only mask 4+ characters
+    serverSecrets[`${userId}-${serverId}`] = [...new Set([...getServerEnvironment(server).secrets, ...launchSecrets])].filter(secret => secret.length >= 4);
+};
+
+const redactSecrets = (userId, serverId, text) => {
+    const secrets = serverSecrets[`${userId}-${serverId}`];
+    if (!secrets || secrets.length === 0) return text;
+    return secrets.reduce((result, secret) => result.split(secret).join(SECRET_MASK), String(text));
+};
+// --- End: Per-server environment variables ---
+
+// --- Console log files ---
+// Console output is appended to files/<user>/<server>/logs/ as one JSON log entry per
+// line. Every start opens a new session (automatic restarts and panel restarts continue
+// the current one). A part that grows past LOG_PART_MAX_BYTES is closed and the session
+// continues in a new part; closed parts are gzipped. Parts older than LOG_RETENTION_DAYS,
+// or beyond LOG_MAX_TOTAL_BYTES per server, are deleted.
+const LOG_PART_MAX_BYTES = 5 * 1024 * 1024;
+const LOG_MAX_TOTAL_BYTES = 100 * 1024 * 1024;
+const LOG_RETENTION_DAYS = 14;
+const LOG_MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+const LOG_FILE_PATTERN = /^(\d+)-(\d+)\.jsonl(\.gz)?$/; // <session start ms>-<part>.jsonl[.gz]
+const logWriters = {}; // logKey -> { logKey, logsDir, sessionId, part, file, stream, bytes }
+const compressingLogs = new Set();
+
+const getServerLogsDir = (userId, serverId) => path.join(getServerStoragePaths(userId, serverId).baseDir, 'logs');
+
+// Every part of every session, oldest first
+const listLogFiles = async (logsDir) => {
+    const names = await fs.readdir(logsDir).catch(() => []);
+    const files = [];
+    for (const name of names) {
+        const match = name.match(LOG_FILE_PATTERN);
+        // A .gz next to its source is still being written by gzipLogFile
+        if (!match || (match[3] && names.includes(name.slice(0, -3)))) continue;
+        const stat = await fs.stat(path.join(logsDir, name)).catch(() => null);
+        if (!stat) continue;
+        files.push({ file: path.join(logsDir, name), sessionId: match[1], part: parseInt(match[2], 10), gzipped: !!match[3], size: stat.size, mtime: stat.mtimeMs });
+    }
+    return files.sort((a, b) => Number(a.sessionId) - Number(b.sessionId) || a.part - b.part);
+};
+
+// Newest first
+const getLogSessions = async (userId, serverId) => {
+    const activeSession = logWriters[`${userId}-${serverId}`]?.sessionId;
+    const sessions = new Map();
+    for (const file of await listLogFiles(getServerLogsDir(userId, serverId))) {
+        if (!sessions.has(file.sessionId)) {
+            sessions.set(file.sessionId, { id: file.sessionId, startedAt: Number(file.sessionId), endedAt: 0, size: 0, active: file.sessionId === activeSession, files: [] });
+        }
+        const session = sessions.get(file.sessionId);
+        session.files.push(file);
+        session.size += file.size;
+        session.endedAt = Math.max(session.endedAt, file.mtime);
+    }
+    return [...sessions.values()].reverse();
+};
+
+const gzipLogFile = async (file) => {
+    if (compressingLogs.has(file)) return;
+    compressingLogs.add(file);
+    try {
+        await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(`${file}.gz`));
+        await fs.remove(file);
+    } finally {
+        compressingLogs.delete(file);
+    }
+};
+
+const pruneServerLogs = async (logsDir, activeFile = null) => {
+    const files = await listLogFiles(logsDir);
+    const cutoff = Date.now() - LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    let totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    for (const file of files) {
+        if (file.file === activeFile || compressingLogs.has(file.file)) continue;
+        if (file.mtime < cutoff || totalBytes > LOG_MAX_TOTAL_BYTES) {
+            await fs.remove(file.file);
+            totalBytes -= file.size;
+        } else if (!file.gzipped) {
+            // Left uncompressed when the panel stopped
+            await gzipLogFile(file.file);
+        }
+    }
+};
+
+// Yields the entries of one part; a torn last line (after a crash) is skipped
+async function* readLogEntries(file, gzipped) {
+    const input = fs.createReadStream(file);
+    let source = input;
+    if (gzipped) {
+        // pipe() doesn't forward errors; a part rotated away mid-read must fail the read, not the panel
+        source = zlib.createGunzip();
+        input.on('error', err => source.destroy(err));
+        input.pipe(source);
+    }
+    const lines = readline.createInterface({ input: source, crlfDelay: Infinity });
+    try {
+        for await (const line of lines) {
+            if (!line) continue;
+            try {
+                yield JSON.parse(line);
+            } catch (e) { /* skip */ }
+        }
+    } finally {
+        // Readers may stop early (search context), so don't leave the file open
+        lines.close();
+        input.destroy();
+        source.destroy();
+    }
+}
+
+const parseLogLines = (text) => text.split('\n').filter(Boolean).flatMap(line => {
+    try {
+        return [JSON.parse(line)];
+    } catch (e) {
+        return [];
+    }
+});
+
+const openLogPart = (logKey, logsDir, sessionId, part) => {
+    fs.ensureDirSync(logsDir);
+    const file = path.join(logsDir, `${sessionId}-${part}.jsonl`);
+    const stream = fs.createWriteStream(file, { flags: 'a' });
+    stream.on('error', err => console.error(`Error writing console log ${file}:`, err));
+    logWriters[logKey] = { logKey, logsDir, sessionId, part, file, stream, bytes: fs.existsSync(file) ? fs.statSync(file).size : 0 };
+    return logWriters[logKey];
+};
+
+// Finishes the part being written and compresses it
+const closeLogPart = (writer) => {
+    writer.stream.end(() => {
+        gzipLogFile(writer.file)
+            .then(() => pruneServerLogs(writer.logsDir, logWriters[writer.logKey]?.file))
+            .catch(err => console.error(`Error compressing console log ${writer.file}:`, err));
+    });
+};
+
+// The first write after a panel restart continues the latest session and reloads
+// its tail, so viewers still get the lines from before the restart
+const getLogWriter = (userId, serverId) => {
+    const logKey = `${userId}-${serverId}`;
+    if (logWriters[logKey]) return logWriters[logKey];
+    const logsDir = getServerLogsDir(userId, serverId);
+    const latest = (fs.existsSync(logsDir) ? fs.readdirSync(logsDir) : [])
+        .map(name => name.match(LOG_FILE_PATTERN))
+        .filter(Boolean)
+        .sort((a, b) => Number(a[1]) - Number(b[1]) || Number(a[2]) - Number(b[2]))
+        .pop();
+    if (!latest) return openLogPart(logKey, logsDir, String(Date.now()), 0);
+
+    const latestFile = path.join(logsDir, latest[0]);
+    try {
+        const content = latest[3] ? zlib.gunzipSync(fs.readFileSync(latestFile)) : fs.readFileSync(latestFile);
+        consoleLogs[logKey] = [...parseLogLines(content.toString()).slice(-maxLogSize), ...(consoleLogs[logKey] || [])];
+    } catch (e) { /* start without history */ }
+    // Never append to a part that is already (being) compressed
+    const closed = latest[3] || compressingLogs.has(latestFile);
+    return openLogPart(logKey, logsDir, latest[1], Number(latest[2]) + (closed ? 1 : 0));
+};
+
+const appendLogEntry = (userId, serverId, entry) => {
+    const writer = getLogWriter(userId, serverId);
+    const line = JSON.stringify(entry) + '\n';
+    writer.stream.write(line);
+    writer.bytes += Buffer.byteLength(line);
+    if (writer.bytes >= LOG_PART_MAX_BYTES) {
+        closeLogPart(writer);
+        openLogPart(`${userId}-${serverId}`, writer.logsDir, writer.sessionId, writer.part + 1);
+    }
+};
+
+const endLogSession = (userId, serverId) => {
+    const logKey = `${userId}-${serverId}`;
+    const writer = logWriters[logKey];
+    if (!writer) return;
+    delete logWriters[logKey];
+    closeLogPart(writer);
+};
+
+const startLogSession = (userId, serverId) => {
+    endLogSession(userId, serverId);
+    openLogPart(`${userId}-${serverId}`, getServerLogsDir(userId, serverId), String(Date.now()), 0);
+};
+
+const getRecentConsoleLogs = async (userId, serverId, limit = 100) => {
+    const logKey = `${userId}-${serverId}`;
+    // The in-memory log mirrors the session being written
+    if (logWriters[logKey]) return (consoleLogs[logKey] || []).slice(-limit);
+    const [latest] = await getLogSessions(userId, serverId);
+    if (!latest) return [];
+    const recent = [];
+    for (const file of latest.files.slice(-2)) {
+        for await (const entry of readLogEntries(file.file, file.gzipped)) {
+            recent.push(entry);
+            if (recent.length > limit) recent.shift();
+        }
+    }
+    return recent;
+};
+
+// On shutdown: write out what is buffered but leave the parts open for the next start
+const flushLogWriters = () => Promise.all(Object.values(logWriters).map(writer => new Promise(resolve => writer.stream.end(resolve))));
+
+const runLogMaintenance = async () => {
+    for (const userDir of await fs.readdir(FILES_ROOT).catch(() => [])) {
+        for (const serverDir of await fs.readdir(path.join(FILES_ROOT, userDir)).catch(() => [])) {
+            const logsDir = path.join(FILES_ROOT, userDir, serverDir, 'logs');
+            if (!await fs.pathExists(logsDir)) continue;
+            await pruneServerLogs(logsDir, logWriters[`${userDir}-${serverDir}`]?.file)
+                .catch(err => console.error(`Error pruning console logs in ${logsDir}:`, err));
+        }
+    }
+};
+setInterval(() => runLogMaintenance(), LOG_MAINTENANCE_INTERVAL_MS);
+
+const formatLogSize = (bytes) => bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+// Searching the session files. A match is addressed by its session and its line number
+// within the session (counted across parts), which is what the context view opens.
+const LOG_STREAMS = { stdout: 'stdout', stderr: 'stderr', system: 'النظام' };
+const LOG_SEARCH_PAGE_SIZE = 50;
+const LOG_SEARCH_MAX_PAGE = 100;
+const LOG_CONTEXT_LINES = 20;
+
+// Reads the search form; throws on an invalid or unsafe regular expression.
+// Regex search scans whole sessions on the panel's thread, so only panel admins get it
+// (on top of RE2's linear-time matching, see patterns.js).
+const parseLogSearch = (query, allowRegex = false) => {
+    const text = String(query.q || '').slice(0, 200);
+    const parseTime = (value) => {
+        const time = value ? new Date(value).getTime() : NaN;
+        return Number.isNaN(time) ? null : time;
+    };
+    const regex = allowRegex && !!query.regex;
+    return {
+        text,
+        regex,
+        pattern: text && regex ? compileUserPattern(text, 'i') : null,
+        level: LOG_LEVELS[query.level] ? query.level : '',
+        stream: LOG_STREAMS[query.stream] ? query.stream : '',
+        from: parseTime(query.from),
+        to: parseTime(query.to)
+    };
+};
+
+const matchesLogSearch = (search, entry) => {
+    if (search.from !== null && entry.ts < search.from) return false;
+    if (search.to !== null && entry.ts > search.to) return false;
+    if (search.stream && entry.stream !== search.stream) return false;
+    if (search.level && (entry.level || getLogLevel(entry.text)) !== search.level) return false;
+    if (!search.text) return true;
+    const text = stripAnsi(entry.text);
+    return search.pattern ? search.pattern.test(text) : text.toLowerCase().includes(search.text.toLowerCase());
+};
+
+// Newest matches first. Sessions outside the time range are not read, and the scan stops
+// once the requested page (and one more match, to know if there is a next page) is found.
+const searchConsoleLogs = async (userId, serverId, search, page = 1) => {
+    const offset = (page - 1) * LOG_SEARCH_PAGE_SIZE;
+    const wanted = offset + LOG_SEARCH_PAGE_SIZE + 1;
+    const matches = [];
+    for (const session of await getLogSessions(userId, serverId)) {
+        if (matches.length >= wanted) break;
+        if ((search.from !== null && session.endedAt < search.from) || (search.to !== null && session.startedAt > search.to)) continue;
+        const sessionMatches = [];
+        let line = 0;
+        for (const file of session.files) {
+            for await (const entry of readLogEntries(file.file, file.gzipped)) {
+                if (matchesLogSearch(search, entry)) {
+                    sessionMatches.push({ session: session.id, line, entry });
+                    // Only the newest matches of a session can still be on the page
+                    if (sessionMatches.length > wanted - matches.length) sessionMatches.shift();
+                }
+                line++;
+            }
+        }
+        matches.push(...sessionMatches.reverse());
+    }
+    return { results: matches.slice(offset, offset + LOG_SEARCH_PAGE_SIZE), hasMore: matches.length > offset + LOG_SEARCH_PAGE_SIZE };
+};
+
+// The lines around one line of a session
+const getLogContext = async (userId, serverId, sessionId, targetLine, radius = LOG_CONTEXT_LINES) => {
+    const session = (await getLogSessions(userId, serverId)).find(entry => entry.id === sessionId);
+    if (!session) return null;
+    const entries = [];
+    let line = 0;
+    for (const file of session.files) {
+        for await (const entry of readLogEntries(file.file, file.gzipped)) {
+            if (line >= targetLine - radius) entries.push({ line, entry });
+            if (++line > targetLine + radius) return { session, entries };
+        }
+    }
+    return { session, entries };
+};
+// --- End: Console log files ---
+
+// Split a chunk into log entries, keep them in memory and in the log file, and send them to viewers
+const pushConsoleMessage = (userId, serverId, text, stream = 'system') => {
+    const logKey = `${userId}-${serverId}`;
+    const lines = String(redactSecrets(userId, serverId, text)).split(/\r\n|\r|\n/);
+    const ansiState = createAnsiState();
+    initializeServerLogs(userId, serverId);
+    for (const line of lines) {
+        // Carry colors left open by earlier lines of the chunk into this one
+        const carried = ansiStateToSgr(ansiState);
+        advanceAnsiState(ansiState, line);
+        if (!stripAnsi(line).trim()) continue;
+        const entry = createLogEntry(carried + line, stream);
+        appendLogEntry(userId, serverId, entry);
+        consoleLogs[logKey].push(entry);
+        broadcastToServer(userId, serverId, entry);
+    }
+    trimLogs(consoleLogs[logKey]);
+};
+
+// Empty the console of a server for every viewer and start a new log session
+const clearServerConsole = (userId, serverId) => {
+    consoleLogs[`${userId}-${serverId}`] = [];
+    startLogSession(userId, serverId);
+    broadcastToServer(userId, serverId, { type: 'clear' });
+};
+
+// --- Dependency installs ---
+// Install steps run as streamed child processes so their output reaches the
+// console line by line. An install in progress can be cancelled from the console page.
+const INSTALL_TIMEOUT_MS = 5 * 60 * 1000;
+const INSTALL_KILL_GRACE_MS = 5000;
+const serverInstalls = {}; // logKey -> { child, cancelled }
+
+const beginInstall = (userId, serverId) => {
+    const install = { child: null, cancelled: false };
+    install.done = new Promise(resolve => { install.resolveDone = resolve; });
+    serverInstalls[`${userId}-${serverId}`] = install;
+    broadcastToServer(userId, serverId, { type: 'install', active: true });
+    return install;
+};
+
+const endInstall = (userId, serverId, install) => {
+    const logKey = `${userId}-${serverId}`;
+    if (serverInstalls[logKey] !== install) return;
+    delete serverInstalls[logKey];
+    install.resolveDone();
+    broadcastToServer(userId, serverId, { type: 'install', active: false });
+};
+
+const isInstallActive = (userId, serverId) => !!serverInstalls[`${userId}-${serverId}`];
+
+// Cancels an install in progress and resolves once its start attempt has given up
+const cancelInstallAndWait = async (userId, serverId) => {
+    const install = serverInstalls[`${userId}-${serverId}`];
+    if (!install) return;
+    cancelInstall(userId, serverId);
+    await install.done;
+};
+
+// Returns false when there is nothing to cancel
+const cancelInstall = (userId, serverId) => {
+    const install = serverInstalls[`${userId}-${serverId}`];
+    if (!install || install.cancelled) return false;
+    install.cancelled = true;
+    const child = install.child;
+    if (child && child.exitCode === null && child.signalCode === null) {
+        killProcessGroup(child, 'SIGTERM');
+        setTimeout(() => {
+            if (child.exitCode === null && child.signalCode === null) killProcessGroup(child, 'SIGKILL');
+        }, INSTALL_KILL_GRACE_MS);
+    }
+    return true;
+};
+
+const createInstallCancelledError = () => Object.assign(new Error('تم إلغاء تثبيت الحزم'), { cancelled: true });
+
+// Splits a stream into lines; npm progress redraws with bare \r, so that counts as a break too
+const OUTPUT_FLUSH_MS = 100;
+
+// With flushAfterMs, a partial line (a prompt, a progress bar) is emitted once no more output follows it
+const createLineBuffer = (onLine, flushAfterMs = 0) => {
+    let pending = '';
+    let flushTimer = null;
+    const buffer = {
+        write(chunk) {
+            const lines = (pending + chunk.toString()).split(/\r\n|\r|\n/);
+            pending = lines.pop();
+            lines.filter(line => line.trim()).forEach(onLine);
+            clearTimeout(flushTimer);
+            if (flushAfterMs && pending) flushTimer = setTimeout(() => buffer.flush(), flushAfterMs);
+        },
+        flush() {
+            clearTimeout(flushTimer);
+            if (pending.trim()) onLine(pending);
+            pending = '';
+        }
+    };
+    return buffer;
+};
+
+// Run a single install step, streaming each output line to the console
+const runInstallStep = (userId, serverId, step, cwd, env, install = null, timeoutMs = INSTALL_TIMEOUT_MS) => new Promise((resolve, reject) => {
+    if (install?.cancelled) return reject(createInstallCancelledError());
+
+    pushConsoleMessage(userId, serverId, `$ ${step.display || formatArgv([step.command, ...step.args])}`);
+    const child = spawn(step.command, step.args, {
+        cwd,
+        env,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: true // own process group, so cancelling also stops postinstall scripts
+    });
+    if (install) install.child = child;
+
+    const stdout = createLineBuffer(line => pushConsoleMessage(userId, serverId, line, 'stdout'));
+    const stderr = createLineBuffer(line => pushConsoleMessage(userId, serverId, line, 'stderr'));
+    child.stdout.on('data', chunk => stdout.write(chunk));
+    child.stderr.on('data', chunk => stderr.write(chunk));
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        killProcessGroup(child, 'SIGKILL');
+    }, timeoutMs);
+
+    child.on('error', (error) => {
+        clearTimeout(timer);
+        if (error.code === 'ENOENT') {
+            error.message = `الأمر ${step.command} غير مثبت على الخادم`;
+        }
+        reject(error);
+    });
+
+    child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        stdout.flush();
+        stderr.flush();
+        if (install) install.child = null;
+        if (install?.cancelled) return reject(createInstallCancelledError());
+        if (timedOut) return reject(Object.assign(new Error(`انتهت مهلة التثبيت (${timeoutMs / 60000} دقائق)`), { timedOut: true }));
+        if (code !== 0) return reject(new Error(`فشل الأمر ${step.display || step.command} (رمز الخروج: ${code ?? signal})`));
+        resolve();
+    });
+});
+
+// --- Lifecycle hooks ---
+// Optional shell commands around the server process: build and preStart run after the
+// dependency install (in that order) and abort the start on failure; postStop runs
+// after every exit, including panel shutdown. Output is streamed like install steps.
+// Hooks are arbitrary shell, so editing them takes the same rights as the web shell.
+const LIFECYCLE_HOOKS = {
+    build: 'أمر البناء',
+    preStart: 'أمر ما قبل التشغيل',
+    postStop: 'أمر ما بعد الإيقاف'
+};
+const MAX_HOOK_LENGTH = 1000;
+const HOOK_TIMEOUT_MS = 5 * 60 * 1000;
+
+const getLifecycleHooks = (server) => ({ build: '', preStart: '', postStop: '', ...(server.startupSettings.get('hooks') || {}) });
+
+const runLifecycleHook = async (userId, serverId, hook, command, cwd, env, install = null, isolation = null) => {
+    pushConsoleMessage(userId, serverId, `[معلومات] تشغيل ${LIFECYCLE_HOOKS[hook]} (${hook})...`);
+    const step = { command: 'sh', args: ['-c', command], display: command };
+    try {
+        await runInstallStep(userId, serverId, isolation ? isolation.wrap(step) : step, cwd, env, install, HOOK_TIMEOUT_MS);
+    } catch (error) {
+        if (error.cancelled) throw error;
+        if (error.timedOut) error.message = `انتهت مهلة الأمر (${HOOK_TIMEOUT_MS / 60000} دقائق)`;
+        logServerEvent('فشل أمر دورة التشغيل', { userId, serverId, hook, error: error.message });
+        throw new Error(`فشل ${LIFECYCLE_HOOKS[hook]} (${hook}): ${error.message}`);
+    }
+};
+
+// --- Shared package caches ---
+// All installs point their package manager at the same panel-managed cache, so a
+// package downloaded for one server is reused by every other server
+const CACHE_ROOT = path.join(__dirname, 'cache');
+const PACKAGE_CACHES = {
+    npm: { label: 'npm', env: 'npm_config_cache' },
+    yarn: { label: 'Yarn', env: 'YARN_CACHE_FOLDER' },
+    pip: { label: 'pip', env: 'PIP_CACHE_DIR' }
+};
+Object.keys(PACKAGE_CACHES).forEach(id => fs.ensureDirSync(path.join(CACHE_ROOT, id)));
+
+const getPackageCacheEnv = (cacheRoot = CACHE_ROOT) => Object.fromEntries(Object.entries(PACKAGE_CACHES).map(([id, cache]) => [cache.env, path.join(cacheRoot, id)]));
+
+const getPackageCacheSizes = async () => {
+    const sizes = {};
+    for (const id of Object.keys(PACKAGE_CACHES)) {
+        sizes[id] = await getDirectorySizeMb(path.join(CACHE_ROOT, id)).catch(() => null);
+    }
+    return sizes;
+};
+
+// Skipping unchanged installs: a hash of the dependency manifests is stored next to
+// the server files after every successful install
+const INSTALL_FINGERPRINT_FILE = 'install.sha256';
+
+// null when the runtime has nothing to fingerprint
+const getInstallFingerprint = (runtimeId, ctx, userPackages, nodeVersion) => {
+    const runtime = RUNTIMES[runtimeId];
+    if (!runtime.fingerprintFiles?.length) return null;
+    // Native modules are built for one Node version, so switching versions reinstalls
+    const hash = crypto.createHash('sha256').update(`${runtimeId}\n${nodeVersion}\n${(userPackages || '').trim()}\n`);
+    for (const file of runtime.fingerprintFiles) {
+        const fullPath = path.join(ctx.serverDir, file);
+        hash.update(`${file}\n`);
+        if (fs.existsSync(fullPath)) hash.update(fs.readFileSync(fullPath));
+    }
+    return hash.digest('hex');
+};
+
+const isInstallUnchanged = (runtimeId, ctx, userPackages, nodeVersion, baseDir) => {
+    const fingerprint = getInstallFingerprint(runtimeId, ctx, userPackages, nodeVersion);
+    if (!fingerprint || !fs.existsSync(RUNTIMES[runtimeId].installedDir(ctx))) return false;
+    const stored = fs.readFileSync(path.join(baseDir, INSTALL_FINGERPRINT_FILE), 'utf8').trim();
+    return stored === fingerprint;
+};
+
+const saveInstallFingerprint = (runtimeId, ctx, userPackages, nodeVersion, baseDir) => {
+    const fingerprint = getInstallFingerprint(runtimeId, ctx, userPackages, nodeVersion);
+    if (fingerprint) fs.writeFileSync(path.join(baseDir, INSTALL_FINGERPRINT_FILE), fingerprint);
+};
+
+// --- Server isolation ---
+// When enabled, everything started for a server (installs, hooks, the server itself,
+// scheduled scripts and the web shell) runs as a dedicated uid/gid if the panel is
+// root, inside a bubblewrap sandbox if bwrap works here, or both. The environment is
+// rebuilt from scratch instead of inheriting the panel's.
+const SANDBOX_ID_BASE = parseInt(process.env.DEXSTER_SANDBOX_ID_BASE || '200000', 10);
+const SANDBOX_READONLY_DIRS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/etc', '/opt'];
+let isolationSupport = null; // resolved on first use
+
+const isIsolationEnabled = () => getAppSetting('isolation') === true;
+
+const isPathInside = (child, parent) => {
+    const relative = path.relative(parent, child);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+const canRunCommand = async (command, args) => {
+    try {
+        await execFilePromise(command, args, { timeout: 10000 });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+// Every directory above FILES_ROOT must be searchable by other users, or a dropped
+// uid could not reach its own files
+const areParentsTraversable = async () => {
+    for (let dir = path.dirname(FILES_ROOT); ; dir = path.dirname(dir)) {
+        if (!((await fs.stat(dir)).mode & 0o001)) return false;
+        if (dir === path.dirname(dir)) return true;
+    }
+};
+
+const detectIsolationSupport = async () => {
+    if (isolationSupport) return isolationSupport;
+    const root = process.getuid?.() === 0;
+    const setpriv = root && await canRunCommand('setpriv', ['--version']);
+    const traversable = await areParentsTraversable().catch(() => false);
+    isolationSupport = {
+        root,
+        setpriv,
+        traversable,
+        uid: root && setpriv && traversable,
+        bwrap: await canRunCommand('bwrap', ['--unshare-all', '--share-net', '--ro-bind', '/', '/', 'true'])
+    };
+    return isolationSupport;
+};
+
+// Stable per server and never reused, so leftover files can't change hands
+const getSandboxId = (serverId) => {
+    const ids = getAppSetting('sandboxIds') || {};
+    if (ids[serverId] === undefined) {
+        ids[serverId] = Math.max(0, ...Object.values(ids).map(id => id + 1));
+        setAppSetting('sandboxIds', ids);
+    }
+    return SANDBOX_ID_BASE + ids[serverId];
+};
+
+const prepareSandboxOwnership = async (baseDir, writableDirs, id) => {
+    // Sandbox users may pass through the shared directories but not list them
+    for (const dir of [FILES_ROOT, path.dirname(baseDir), baseDir]) await fs.chmod(dir, 0o711);
+    for (const dir of [DATA_DIR, CACHE_ROOT, tempDir]) await fs.chmod(dir, 0o700).catch(() => {});
+    for (const dir of writableDirs) {
+        // Files written through the panel belong to root until the next start
+        await execFilePromise('chown', ['-R', `${id}:${id}`, dir], { timeout: 60000 });
+        await fs.chmod(dir, 0o700);
+    }
+};
+
+const getBubblewrapArgs = (server, writableDirs, homeDir) => {
+    const args = ['--unshare-all', '--share-net', '--die-with-parent', '--proc', '/proc', '--dev', '/dev', '--tmpfs', '/tmp'];
+    const install = getServerNodeInstall(server);
+    const readOnly = [...SANDBOX_READONLY_DIRS, path.dirname(path.dirname(process.execPath)), ...(install ? [install.dir] : [])];
+    for (const dir of readOnly) args.push('--ro-bind-try', dir, dir);
+    // Mask the panel (database, other servers' files) if a read-only bind exposed it
+    for (const dir of [__dirname, ...(isPathInside(DATA_DIR, __dirname) ? [] : [DATA_DIR])]) {
+        if (readOnly.some(parent => isPathInside(dir, parent))) args.push('--tmpfs', dir);
+    }
+    for (const dir of writableDirs) args.push('--bind', dir, dir);
+    args.push('--chdir', homeDir);
+    return args;
+};
+
+// null when isolation is off; throws when it is on but nothing here can enforce it
+const getServerIsolation = async (userId, serverId, server) => {
+    if (!isIsolationEnabled()) return null;
+    const support = await detectIsolationSupport();
+    if (!support.uid && !support.bwrap) {
+        throw new Error('عزل السيرفرات مفعل لكن الخادم لا يدعمه (يتطلب تشغيل اللوحة كـ root مع setpriv أو تثبيت bubblewrap)');
+    }
+    const { baseDir, filesDir } = getServerStoragePaths(userId, serverId);
+    // A shared cache could be poisoned by one server for the others, so each keeps its own
+    const cacheDir = path.join(baseDir, 'cache');
+    const writableDirs = [filesDir, path.join(baseDir, 'venv'), ...Object.keys(PACKAGE_CACHES).map(id => path.join(cacheDir, id))];
+    for (const dir of writableDirs) await fs.ensureDir(dir);
+
+    const id = support.uid ? getSandboxId(serverId) : null;
+    const prefix = [];
+    if (id !== null) {
+        await prepareSandboxOwnership(baseDir, writableDirs, id);
+        // bwrap sets no_new_privs itself and may need its setuid bit to get there
+        prefix.push('setpriv', '--reuid', String(id), '--regid', String(id), '--clear-groups', ...(support.bwrap ? [] : ['--no-new-privs']), '--');
+    }
+    if (support.bwrap) prefix.push('bwrap', ...getBubblewrapArgs(server, writableDirs, filesDir), '--');
+
+    return {
+        id,
+        label: [id !== null && `مستخدم النظام ${id}`, support.bwrap && 'bubblewrap'].filter(Boolean).join(' + '),
+        env: {
+            HOME: filesDir,
+            USER: id !== null ? `dexster-${id}` : 'dexster',
+            LANG: process.env.LANG || 'C.UTF-8',
+            TZ: process.env.TZ
+        },
+        cacheDir,
+        wrap: (step) => ({
+            ...step,
+            command: prefix[0],
+            args: [...prefix.slice(1), step.command, ...step.args],
+            display: step.display || formatArgv([step.command, ...step.args])
+        })
+    };
+};
+
+// Base environment for anything started on behalf of a server
+const getBaseEnvironment = (isolation) => isolation
+    ? Object.fromEntries(Object.entries(isolation.env).filter(([, value]) => value !== undefined))
+    : process.env;
+
+// The web shell never sees the panel's environment (tunnel tokens, vault key...), only these
+const SHELL_ENV_ALLOWLIST = ['PATH', 'LANG', 'LC_ALL', 'TZ'];
+const getShellEnvironment = (isolation) => ({
+    ...Object.fromEntries(SHELL_ENV_ALLOWLIST.filter(key => process.env[key] !== undefined).map(key => [key, process.env[key]])),
+    ...(isolation ? getBaseEnvironment(isolation) : {})
+});
+
+// --- Resource limits ---
+// Enforced through a per-server cgroup v2 when the host allows it. Otherwise a
+// watchdog samples the process tree from /proc and kills it when it goes over.
+const LIMIT_FIELDS = {
+    memoryMb: 'الذاكرة (MB)',
+    cpuPercent: 'المعالج (% من نواة واحدة)',
+    maxProcesses: 'أقصى عدد عمليات',
+    diskMb: 'مساحة القرص (MB)'
+};
+const CGROUP_ROOT = process.env.DEXSTER_CGROUP_ROOT || '/sys/fs/cgroup/dexster';
+const LIMIT_WATCHDOG_INTERVAL_MS = 2000;
+const DISK_CHECK_INTERVAL_MS = 60000;
+let cgroupSupport = null; // resolved on first use
+
+const getServerLimits = (server) => {
+    const limits = {};
+    for (const key of Object.keys(LIMIT_FIELDS)) {
+        const value = parseInt(server.limits?.[key], 10);
+        if (value > 0) limits[key] = value;
+    }
+    return limits;
+};
+
+const prepareCgroupRoot = async () => {
+    if (cgroupSupport !== null) return cgroupSupport;
+    try {
+        const available = (await fs.readFile('/sys/fs/cgroup/cgroup.controllers', 'utf8')).trim().split(/\s+/);
+        const controllers = ['memory', 'cpu', 'pids'].filter(name => available.includes(name)).map(name => `+${name}`).join(' ');
+        await fs.ensureDir(CGROUP_ROOT);
+        await fs.writeFile(path.join(path.dirname(CGROUP_ROOT), 'cgroup.subtree_control'), controllers);
+        await fs.writeFile(path.join(CGROUP_ROOT, 'cgroup.subtree_control'), controllers);
+        cgroupSupport = true;
+    } catch (err) {
+        console.warn('cgroups v2 unavailable, falling back to the resource watchdog:', err.message);
+        cgroupSupport = false;
+    }
+    return cgroupSupport;
+};
+
+// "key value" lines, as in memory.events or pids.events
+const readCgroupCounters = async (cgroupDir, file) => {
+    const counters = {};
+    try {
+        for (const line of (await fs.readFile(path.join(cgroupDir, file), 'utf8')).split('\n')) {
+            const [key, value] = line.trim().split(/\s+/);
+            if (key) counters[key] = parseInt(value, 10) || 0;
+        }
+    } catch (e) { /* controller not enabled */ }
+    return counters;
+};
+
+const createServerCgroup = async (serverId, limits) => {
+    const cgroupDir = path.join(CGROUP_ROOT, serverId);
+    await fs.ensureDir(cgroupDir);
+    const write = (file, value) => fs.writeFile(path.join(cgroupDir, file), String(value)).catch(() => {});
+    await write('memory.max', limits.memoryMb ? limits.memoryMb * 1024 * 1024 : 'max');
+    await write('memory.swap.max', limits.memoryMb ? 0 : 'max');
+    await write('cpu.max', limits.cpuPercent ? `${limits.cpuPercent * 1000} 100000` : 'max 100000');
+    await write('pids.max', limits.maxProcesses || 'max');
+    return cgroupDir;
+};
+
+// ppid -> [pid] for every process on the host
+const readProcessChildren = async () => {
+    const children = new Map();
+    for (const name of await fs.readdir('/proc')) {
+        if (!/^\d+$/.test(name)) continue;
+        try {
+            const stat = await fs.readFile(`/proc/${name}/stat`, 'utf8');
+            const ppid = parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1], 10);
+            if (!children.has(ppid)) children.set(ppid, []);
+            children.get(ppid).push(parseInt(name, 10));
+        } catch (e) { /* process exited while scanning */ }
+    }
+    return children;
+};
+
+// pid plus all of its descendants; pass a readProcessChildren() result to reuse one /proc scan
+const getProcessTree = async (rootPid, children = null) => {
+    children = children || await readProcessChildren();
+    const tree = [];
+    const queue = [rootPid];
+    while (queue.length > 0) {
+        const pid = queue.shift();
+        tree.push(pid);
+        queue.push(...(children.get(pid) || []));
+    }
+    return tree;
+};
+
+const getProcessRssBytes = async (pid) => {
+    try {
+        const match = (await fs.readFile(`/proc/${pid}/status`, 'utf8')).match(/^VmRSS:\s+(\d+) kB/m);
+        return match ? parseInt(match[1], 10) * 1024 : 0;
+    } catch (e) {
+        return 0;
+    }
+};
+
+const getDirectorySizeMb = async (dir) => {
+    const { stdout } = await execFilePromise('du', ['-sk', dir], { timeout: 30000 });
+    return Math.ceil(parseInt(stdout, 10) / 1024);
+};
+
+// Wraps the launch command so the child starts inside its cgroup (or with heap flags only)
+const applyResourceLimits = async (userId, serverId, limits, launch) => {
+    const env = {};
+    // Let V8 collect garbage before the hard cap is reached
+    if (limits.memoryMb) {
+        env.NODE_OPTIONS = [process.env.NODE_OPTIONS, `--max-old-space-size=${Math.max(Math.floor(limits.memoryMb * 0.75), 16)}`].filter(Boolean).join(' ');
+    }
+    const wanted = limits.memoryMb || limits.cpuPercent || limits.maxProcesses;
+    if (!wanted || !(await prepareCgroupRoot())) {
+        if (limits.cpuPercent) {
+            pushConsoleMessage(userId, serverId, '[تحذير] حد المعالج يتطلب cgroups v2 وهي غير متاحة على هذا الخادم، لن يتم تطبيقه');
+        }
+        return { ...launch, env, cgroupDir: null };
+    }
+    const cgroupDir = await createServerCgroup(serverId, limits);
+    return {
+        command: 'sh',
+        args: ['-c', 'echo $$ > "$0/cgroup.procs" && exec "$@"', cgroupDir, launch.command, ...launch.args],
+        env,
+        cgroupDir
+    };
+};
+
+// Tracks limit violations for a running process; call stop() once it exits
+const watchResourceLimits = (userId, serverId, serverProcess, limits, cgroupDir, baseDir) => {
+    const timers = [];
+    const exceed = (reason) => {
+        if (serverProcess.limitExceeded || serverProcess.exitCode !== null) return;
+        serverProcess.limitExceeded = reason;
+        killProcessGroup(serverProcess, 'SIGKILL');
+    };
+
+    if (!cgroupDir && (limits.memoryMb || limits.maxProcesses)) {
+        let sampling = false;
+        timers.push(setInterval(async () => {
+            if (sampling) return;
+            sampling = true;
+            try {
+                const tree = await getProcessTree(serverProcess.pid);
+                if (limits.maxProcesses && tree.length > limits.maxProcesses) {
+                    return exceed(`تجاوز عدد العمليات الحد المسموح (${limits.maxProcesses})`);
+                }
+                if (limits.memoryMb) {
+                    const rss = (await Promise.all(tree.map(getProcessRssBytes))).reduce((sum, bytes) => sum + bytes, 0);
+                    if (rss > limits.memoryMb * 1024 * 1024) {
+                        exceed(`تجاوز استهلاك الذاكرة الحد المسموح (${Math.round(rss / 1024 / 1024)}MB من ${limits.memoryMb}MB)`);
+                    }
+                }
+            } finally {
+                sampling = false;
+            }
+        }, LIMIT_WATCHDOG_INTERVAL_MS));
+    }
+
+    if (limits.diskMb) {
+        timers.push(setInterval(async () => {
+            try {
+                const usedMb = await getDirectorySizeMb(baseDir);
+                if (usedMb > limits.diskMb) exceed(`تجاوزت ملفات السيرفر مساحة القرص المسموحة (${usedMb}MB من ${limits.diskMb}MB)`);
+            } catch (e) { /* du failed; try again next tick */ }
+        }, DISK_CHECK_INTERVAL_MS));
+    }
+
+    return {
+        stop: () => timers.forEach(clearInterval),
+        // Explains why the process died, if a limit was responsible
+        describeExit: async (baseline) => {
+            if (serverProcess.limitExceeded) return serverProcess.limitExceeded;
+            if (!cgroupDir) return null;
+            const memoryEvents = await readCgroupCounters(cgroupDir, 'memory.events');
+            if ((memoryEvents.oom_kill || 0) > (baseline.memory.oom_kill || 0)) {
+                return `تم إيقاف السيرفر لتجاوزه حد الذاكرة (${limits.memoryMb}MB)`;
+            }
+            const pidsEvents = await readCgroupCounters(cgroupDir, 'pids.events');
+            if ((pidsEvents.max || 0) > (baseline.pids.max || 0)) {
+                return `وصل السيرفر لحد عدد العمليات (${limits.maxProcesses}) وفشل في إنشاء عمليات جديدة`;
+            }
+            return null;
+        }
+    };
+};
+
+// --- Live resource metrics ---
+// Every running server's process tree is sampled on a fixed interval; the last hour
+// is kept in memory and pushed to console viewers as {"type":"stats"} messages
+const METRICS_INTERVAL_MS = 5000;
+const METRICS_HISTORY_SIZE = (60 * 60 * 1000) / METRICS_INTERVAL_MS;
+const CLOCK_TICKS_PER_SECOND = 100;
+const serverMetrics = {}; // logKey -> { samples: [], cpuTicks: Map(pid -> ticks), sampledAt }
+
+const readProcessSample = async (pid) => {
+    try {
+        const stat = await fs.readFile(`/proc/${pid}/stat`, 'utf8');
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        const status = await fs.readFile(`/proc/${pid}/status`, 'utf8');
+        const rssKb = parseInt(status.match(/^VmRSS:\s+(\d+)/m)?.[1] || '0', 10);
+        const threads = parseInt(status.match(/^Threads:\s+(\d+)/m)?.[1] || '0', 10);
+        const fds = (await fs.readdir(`/proc/${pid}/fd`).catch(() => [])).length;
+        // utime + stime, fields 14 and 15 of stat (offset by the pid and comm we sliced off)
+        return { ticks: parseInt(fields[11], 10) + parseInt(fields[12], 10), rss: rssKb * 1024, threads, fds };
+    } catch (e) {
+        return null; // exited between the scan and the read
+    }
+};
+
+const sampleServerMetrics = async (userId, serverId, serverProcess, children) => {
+    const logKey = `${userId}-${serverId}`;
+    const state = serverMetrics[logKey] || (serverMetrics[logKey] = { samples: [], cpuTicks: new Map(), sampledAt: null });
+    const now = Date.now();
+    const cpuTicks = new Map();
+    const sample = { t: now, cpu: 0, rss: 0, threads: 0, fds: 0, processes: 0 };
+    let ticksUsed = 0;
+
+    for (const pid of await getProcessTree(serverProcess.pid, children)) {
+        const proc = await readProcessSample(pid);
+        if (!proc) continue;
+        cpuTicks.set(pid, proc.ticks);
+        ticksUsed += proc.ticks - (state.cpuTicks.get(pid) ?? proc.ticks);
+        sample.rss += proc.rss;
+        sample.threads += proc.threads;
+        sample.fds += proc.fds;
+        sample.processes++;
+    }
+    if (sample.processes === 0) return;
+
+    if (state.sampledAt) {
+        const elapsedSeconds = (now - state.sampledAt) / 1000;
+        sample.cpu = Math.round((ticksUsed / CLOCK_TICKS_PER_SECOND / elapsedSeconds) * 1000) / 10;
+    }
+    state.cpuTicks = cpuTicks;
+    state.sampledAt = now;
+    state.samples.push(sample);
+    if (state.samples.length > METRICS_HISTORY_SIZE) state.samples.splice(0, state.samples.length - METRICS_HISTORY_SIZE);
+
+    broadcastToServer(userId, serverId, { type: 'stats', sample });
+};
+
+let metricsSampling = false;
+setInterval(async () => {
+    if (metricsSampling) return;
+    metricsSampling = true;
+    try {
+        const running = [];
+        for (const [userId, processes] of Object.entries(runningProcesses)) {
+            for (const [serverId, serverProcess] of Object.entries(processes)) {
+                if (serverProcess?.pid) running.push([userId, serverId, serverProcess]);
+            }
+        }
+        if (running.length === 0) return;
+        const children = await readProcessChildren();
+        for (const [userId, serverId, serverProcess] of running) {
+            await sampleServerMetrics(userId, serverId, serverProcess, children);
+        }
+    } catch (err) {
+        console.error('Error sampling server metrics:', err);
+    } finally {
+        metricsSampling = false;
+    }
+}, METRICS_INTERVAL_MS);
+
+// --- Health checks ---
+// A running process is not necessarily a working one: each server can define an
+// HTTP, TCP or log-line check. Results and incidents are persisted so the console
+// page can show uptime and an incident timeline.
+const HEALTH_CHECK_TYPES = {
+    none: 'بدون فحص',
+    http: 'طلب HTTP GET على المنفذ',
+    tcp: 'اتصال TCP على المنفذ',
+    log: 'ظهور سطر في السجل خلال كل فترة فحص (Regex)'
+};
+const DEFAULT_HEALTH_SETTINGS = { type: 'none', path: '/', pattern: '', intervalSeconds: 30, timeoutSeconds: 5, unhealthyThreshold: 3, healthyThreshold: 1 };
+const HEALTH_TICK_MS = 5000;
+const UPTIME_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const getHealthSettings = (server) => ({ ...DEFAULT_HEALTH_SETTINGS, ...(server.startupSettings.get('healthCheck') || {}) });
+
+// Called right after spawn; the state lives on the process object like stopRequested
+const startHealthMonitor = (serverProcess, server) => {
+    const settings = getHealthSettings(server);
+    if (settings.type === 'none') return;
+    let pattern = null;
+    if (settings.type === 'log') {
+        try {
+            pattern = compileUserPattern(settings.pattern);
+        } catch (err) {
+            pattern = null;
+        }
+    }
+    serverProcess.health = {
+        settings,
+        pattern,
+        port: parseInt(server.startupSettings.get('port') || '3000', 10),
+        status: 'starting',
+        failures: 0,
+        successes: 0,
+        lastCheckAt: Date.now(), // first check after one interval, giving the server time to boot
+        lastMessage: '',
+        logMatched: false, // reset after every check, so each window needs its own matching line
+        checking: false
+    };
+};
+
+// stdout/stderr chunks are matched as they arrive for log checks
+const noteHealthOutput = (serverProcess, text) => {
+    const health = serverProcess.health;
+    if (!health || health.logMatched || !health.pattern) return;
+    if (health.pattern.test(text)) health.logMatched = true;
+};
+
+const runHealthProbe = (health) => new Promise(resolve => {
+    const started = Date.now();
+    const timeoutMs = health.settings.timeoutSeconds * 1000;
+    const finish = (ok, message) => resolve({ ok, latencyMs: Date.now() - started, message });
+
+    if (health.settings.type === 'log') {
+        if (!health.pattern) return finish(false, 'تعبير البحث غير صالح');
+        const matched = health.logMatched;
+        health.logMatched = false;
+        return finish(matched, matched ? 'تم العثور على السطر المطلوب في السجل' : `لم يظهر سطر مطابق لـ ${health.settings.pattern} منذ الفحص السابق`);
+    }
+
+    if (health.settings.type === 'tcp') {
+        const socket = net.connect(health.port, '127.0.0.1');
+        socket.setTimeout(timeoutMs);
+        socket.once('connect', () => { socket.destroy(); finish(true, `المنفذ ${health.port} يستقبل الاتصالات`); });
+        socket.once('timeout', () => { socket.destroy(); finish(false, `انتهت مهلة الاتصال بالمنفذ ${health.port}`); });
+        socket.once('error', (err) => finish(false, `تعذر الاتصال بالمنفذ ${health.port}: ${err.code || err.message}`));
+        return;
+    }
+
+    const request = http.get({ host: '127.0.0.1', port: health.port, path: health.settings.path || '/', timeout: timeoutMs }, (response) => {
+        response.resume();
+        const ok = response.statusCode < 400;
+        finish(ok, `HTTP ${response.statusCode}`);
+    });
+    request.once('timeout', () => request.destroy(new Error('انتهت المهلة')));
+    request.once('error', (err) => finish(false, `فشل طلب HTTP: ${err.code || err.message}`));
+});
+
+const checkServerHealth = async (userId, serverId, serverProcess) => {
+    const health = serverProcess.health;
+    health.checking = true;
+    let result;
+    try {
+        result = await runHealthProbe(health);
+    } finally {
+        health.checking = false;
+        health.lastCheckAt = Date.now();
+    }
+    // The process may have been stopped or replaced while the probe ran
+    if (runningProcesses[userId]?.[serverId] !== serverProcess || serverProcess.stopRequested) return;
+
+    saveHealthCheck(userId, serverId, result);
+    health.lastMessage = result.message;
+    const previous = health.status;
+    if (result.ok) {
+        health.failures = 0;
+        health.successes++;
+        if (previous !== 'healthy' && health.successes >= health.settings.healthyThreshold) {
+            health.status = 'healthy';
+            if (previous === 'unhealthy') {
+                closeHealthIncident(userId, serverId, result.message);
+                pushConsoleMessage(userId, serverId, `[معلومات] عاد السيرفر للعمل بشكل سليم (${result.message})`);
+                logServerEvent('استعادة سلامة السيرفر', { userId, serverId, message: result.message });
+            }
+        }
+    } else {
+        health.successes = 0;
+        health.failures++;
+        if (previous !== 'unhealthy' && health.failures >= health.settings.unhealthyThreshold) {
+            health.status = 'unhealthy';
+            openHealthIncident(userId, serverId, result.message);
+            pushConsoleMessage(userId, serverId, `[تحذير] فشل فحص السلامة ${health.failures} مرات متتالية: ${result.message}`);
+            logServerEvent('فشل فحص السلامة', { userId, serverId, type: health.settings.type, message: result.message });
+        }
+    }
+    broadcastToServer(userId, serverId, { type: 'health', status: health.status, message: result.message, checkedAt: health.lastCheckAt });
+};
+
+// Closes any open incident once the process is gone; an intentional stop is not an outage
+const endHealthMonitor = (userId, serverId, serverProcess, reason) => {
+    if (!serverProcess.health) return;
+    if (serverProcess.health.status === 'unhealthy') closeHealthIncident(userId, serverId, reason);
+    serverProcess.health = null;
+};
+
+// 'healthy' | 'unhealthy' | 'starting', or null when not running or no check is configured
+const getServerHealthStatus = (userId, serverId) => runningProcesses[userId]?.[serverId]?.health?.status || null;
+
+const getUptimePercent = (userId, serverId) => {
+    const checks = getHealthChecks(userId, serverId, Date.now() - UPTIME_WINDOW_MS);
+    if (checks.length === 0) return null;
+    return Math.round((checks.filter(check => check.ok).length / checks.length) * 1000) / 10;
+};
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [userId, processes] of Object.entries(runningProcesses)) {
+        for (const [serverId, serverProcess] of Object.entries(processes)) {
+            const health = serverProcess?.health;
+            if (!health || health.checking || serverProcess.stopRequested) continue;
+            if (now - health.lastCheckAt < health.settings.intervalSeconds * 1000) continue;
+            checkServerHealth(userId, serverId, serverProcess).catch(err => console.error('Error running health check:', err));
+        }
+    }
+}, HEALTH_TICK_MS);
+
+// --- Log alerts ---
+// Owners define rules on a server's output: a line matching a regex, too many error
+// lines within a window, or no output at all for a while. A running process keeps its
+// enabled rules and their counters in serverProcess.alerts. After a rule fires it stays
+// quiet for its cooldown (kept across restarts, so a crash loop notifies once) and
+// counts what it suppressed for the next notification.
+const ALERT_TYPES = {
+    match: 'سطر يطابق تعبيراً نمطياً',
+    errorRate: 'عدد أسطر الأخطاء خلال فترة',
+    silence: 'لا توجد مخرجات لمدة'
+};
+const ALERT_CHANNELS = {
+    panel: 'إشعار داخل اللوحة',
+    webhook: 'Webhook (JSON)',
+    discord: 'Discord Webhook'
+};
+const ALERT_TICK_MS = 30 * 1000;
+const ALERT_WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const alertCooldowns = {}; // ruleId -> { lastFiredAt, suppressed }
+
+const describeAlertRule = (rule) => {
+    if (rule.type === 'match') return `/${rule.pattern}/`;
+    if (rule.type === 'errorRate') return `${rule.threshold} أخطاء خلال ${rule.windowMinutes} دقيقة`;
+    return `${rule.silenceMinutes} دقيقة بدون مخرجات`;
+};
+
+const loadAlertWatches = async (serverId) => (await AlertRule.find({ serverId, enabled: true }).lean()).map(rule => {
+    let pattern = null;
+    if (rule.type === 'match') {
+        try {
+            pattern = compileUserPattern(rule.pattern, 'i');
+        } catch (err) {
+            pattern = null; // validated on save
+        }
+    }
+    return { rule, pattern, errors: [], lastErrorLine: '', silenceFired: false };
+});
+
+// Synchronous, with the watches loaded before the spawn, so the first output is checked too
+const startAlertWatch = (serverProcess, server, watches) => {
+    serverProcess.alerts = {
+        serverName: server.name,
+        lastOutputAt: serverProcess.alerts?.lastOutputAt || Date.now(),
+        rules: watches
+    };
+};
+
+// Picks up added, changed or removed rules without a restart
+const refreshAlertWatch = async (userId, serverId, server) => {
+    if (!runningProcesses[userId]?.[serverId]) return;
+    const watches = await loadAlertWatches(serverId);
+    // Looked up again: the process may have been replaced while the rules loaded
+    const serverProcess = runningProcesses[userId]?.[serverId];
+    if (serverProcess) startAlertWatch(serverProcess, server, watches);
+};
+
+// stdout/stderr chunks are checked line by line as they arrive
+const noteAlertOutput = (userId, serverId, serverProcess, text) => {
+    const alerts = serverProcess.alerts;
+    if (!alerts || alerts.rules.length === 0) return;
+    const now = Date.now();
+    alerts.lastOutputAt = now;
+    const lines = stripAnsi(redactSecrets(userId, serverId, text)).split(/\r\n|\r|\n/).filter(line => line.trim());
+    for (const watch of alerts.rules) {
+        const { rule } = watch;
+        if (rule.type === 'silence') {
+            watch.silenceFired = false;
+        } else if (rule.type === 'match') {
+            const line = watch.pattern && lines.find(candidate => watch.pattern.test(candidate));
+            if (line) triggerAlert(userId, serverId, alerts.serverName, rule, `سطر مطابق: ${line}`);
+        } else if (rule.type === 'errorRate') {
+            const windowStart = now - rule.windowMinutes * 60 * 1000;
+            watch.errors = watch.errors.filter(ts => ts >= windowStart);
+            for (const line of lines) {
+                if (getLogLevel(line) !== 'error') continue;
+                watch.errors.push(now);
+                watch.lastErrorLine = line;
+            }
+            if (watch.errors.length >= rule.threshold) {
+                const count = watch.errors.length;
+                watch.errors = [];
+                triggerAlert(userId, serverId, alerts.serverName, rule, `${count} أسطر أخطاء خلال آخر ${rule.windowMinutes} دقيقة. آخر سطر خطأ: ${watch.lastErrorLine}`);
+            }
+        }
+    }
+};
+
+// Webhooks are requested by the panel itself, so they may only reach public addresses.
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges by BlockList.
+const BLOCKED_WEBHOOK_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]
+    .forEach(([address, prefix]) => BLOCKED_WEBHOOK_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([address, prefix]) => BLOCKED_WEBHOOK_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedWebhookAddress = ({ address, family }) => BLOCKED_WEBHOOK_ADDRESSES.check(address, family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4');
+
+// The webhook agent resolves the host for each connection and checks every address it
+// connects to, so a host that re-resolves to an internal address after the early check
+// below (DNS rebinding) is still refused. IP literals skip the lookup and are checked directly.
+const lookupPublicAddress = (hostname, options, callback) => dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(isBlockedWebhookAddress)) {
+        return callback(Object.assign(new Error(`${hostname} resolves to an internal address`), { code: 'EADDRBLOCKED' }));
+    }
+    callback(null, address, family);
+});
+const connectWebhook = buildConnector({ lookup: lookupPublicAddress });
+const webhookAgent = new Agent({
+    connect: (options, callback) => {
+        const host = options.hostname.replace(/^\[|\]$/g, '');
+        const family = net.isIP(host);
+        if (family && isBlockedWebhookAddress({ address: host, family })) {
+            return callback(Object.assign(new Error(`${host} is an internal address`), { code: 'EADDRBLOCKED' }), null);
+        }
+        return connectWebhook(options, callback);
+    }
+});
+
+// Friendly early error for the rule form and before sending; the agent above is what enforces it
+const assertPublicWebhookUrl = async (url) => {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true });
+    } catch (err) {
+        throw new Error('تعذر العثور على عنوان الـ Webhook');
+    }
+    if (addresses.some(isBlockedWebhookAddress)) {
+        throw new Error('رابط الـ Webhook يشير إلى عنوان داخلي غير مسموح');
+    }
+};
+
+// Redirects are not followed (they could point back inside), and the upstream
+// response is never echoed to the user
+const postAlertWebhook = async (url, body) => {
+    await assertPublicWebhookUrl(url);
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            redirect: 'manual',
+            dispatcher: webhookAgent,
+            signal: AbortSignal.timeout(ALERT_WEBHOOK_TIMEOUT_MS)
+        });
+    } catch (err) {
+        throw new Error('تعذر الاتصال بالـ Webhook');
+    }
+    response.body?.cancel().catch(() => {});
+    if (!response.ok) throw new Error('لم يقبل الـ Webhook الطلب');
+};
+
+const sendAlertNotification = async (userId, serverId, rule, alert) => {
+    const title = `${alert.test ? '[اختبار] ' : ''}تنبيه: ${rule.name}`;
+    const message = `${alert.serverName}: ${alert.message}${alert.suppressed ? ` (+${alert.suppressed} تنبيهات أثناء فترة التهدئة)` : ''}`;
+    if (rule.channel === 'panel') {
+        addNotification(userId, { serverId, title, message });
+        return;
+    }
+    let url;
+    try {
+        url = decryptSecret(rule.webhookUrl);
+    } catch (err) {
+        throw new Error('تعذر فك تشفير رابط الـ Webhook');
+    }
+    if (rule.channel === 'discord') {
+        await postAlertWebhook(url, {
+            username: 'Dexster Pro',
+            embeds: [{
+                title: title.slice(0, 256),
+                description: message.slice(0, 4000),
+                color: alert.test ? 0x3b82f6 : 0xef4444,
+                footer: { text: `${ALERT_TYPES[rule.type]} - ${describeAlertRule(rule)}`.slice(0, 2048) },
+                timestamp: new Date(alert.firedAt).toISOString()
+            }]
+        });
+        return;
+    }
+    await postAlertWebhook(url, {
+        type: 'alert',
+        test: alert.test,
+        rule: { id: rule.id, name: rule.name, type: rule.type, condition: describeAlertRule(rule) },
+        server: { id: serverId, name: alert.serverName },
+        message: alert.message,
+        suppressed: alert.suppressed,
+        firedAt: new Date(alert.firedAt).toISOString()
+    });
+};
+
+// Sends one alert and records the outcome on the rule and in the event log; returns the error, if any
+const fireAlert = async (userId, serverId, serverName, rule, message, { test = false, suppressed = 0 } = {}) => {
+    const firedAt = Date.now();
+    let error = null;
+    try {
+        await sendAlertNotification(userId, serverId, rule, { serverName, message, suppressed, test, firedAt });
+    } catch (err) {
+        error = err.message;
+    }
+    // Re-read so a toggle/edit made while sending isn't overwritten
+    const latest = await AlertRule.findOne({ id: rule.id });
+    if (latest) {
+        if (!test) latest.lastFiredAt = firedAt;
+        latest.lastError = error;
+        await latest.save();
+    }
+    logServerEvent(test ? 'اختبار تنبيه' : 'تنبيه سجلات', { userId, serverId, ruleId: rule.id, name: rule.name, type: rule.type, channel: rule.channel, message, suppressed, error });
+    return error;
+};
+
+// Output-triggered alerts go through the rule's cooldown
+const triggerAlert = (userId, serverId, serverName, rule, message) => {
+    const cooldown = alertCooldowns[rule.id] || (alertCooldowns[rule.id] = { lastFiredAt: rule.lastFiredAt || 0, suppressed: 0 });
+    if (Date.now() - cooldown.lastFiredAt < rule.cooldownMinutes * 60 * 1000) {
+        cooldown.suppressed++;
+        return;
+    }
+    const suppressed = cooldown.suppressed;
+    cooldown.lastFiredAt = Date.now();
+    cooldown.suppressed = 0;
+    fireAlert(userId, serverId, serverName, rule, message, { suppressed })
+        .catch(err => console.error(`Error sending alert ${rule.id}:`, err));
+};
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [userId, processes] of Object.entries(runningProcesses)) {
+        for (const [serverId, serverProcess] of Object.entries(processes)) {
+            const alerts = serverProcess?.alerts;
+            if (!alerts || serverProcess.stopRequested) continue;
+            for (const watch of alerts.rules) {
+                if (watch.rule.type !== 'silence' || watch.silenceFired) continue;
+                if (now - alerts.lastOutputAt < watch.rule.silenceMinutes * 60 * 1000) continue;
+                // Once per quiet period; the next output re-arms it
+                watch.silenceFired = true;
+                triggerAlert(userId, serverId, alerts.serverName, watch.rule, `لا توجد مخرجات منذ ${new Date(alerts.lastOutputAt).toLocaleString('ar-EG')}`);
+            }
+        }
+    }
+}, ALERT_TICK_MS);
+// --- End: Log alerts ---
+
+// --- Stopping servers ---
+// Servers are spawned detached, so each one leads its own process group and a
+// signal to -pid also reaches any workers it forked
+const STOP_SIGNALS = ['SIGTERM', 'SIGINT', 'SIGQUIT', 'SIGHUP', 'SIGUSR1', 'SIGUSR2'];
+const DEFAULT_STOP_SETTINGS = { signal: 'SIGTERM', command: '', graceSeconds: 10 };
+
+const getStopSettings = (server) => {
+    const settings = { ...DEFAULT_STOP_SETTINGS, ...(server?.startupSettings.get('stop') || {}) };
+    if (!STOP_SIGNALS.includes(settings.signal)) settings.signal = DEFAULT_STOP_SETTINGS.signal;
+    return settings;
+};
+
+const killProcessGroup = (serverProcess, signal) => {
+    try {
+        process.kill(-serverProcess.pid, signal);
+    } catch (e) {
+        try { serverProcess.kill(signal); } catch (err) { /* already gone */ }
+    }
+    // Workers that left the process group are still inside the cgroup
+    if (signal === 'SIGKILL' && serverProcess.cgroupDir) {
+        fs.writeFile(path.join(serverProcess.cgroupDir, 'cgroup.kill'), '1').catch(() => {});
+    }
+};
+
+// Sends the stop signal (or stdin stop command), waits for the grace period, then
+// SIGKILLs the whole group. Resolves once the main process has exited.
+const stopServerProcess = (userId, serverId, server) => {
+    const serverProcess = runningProcesses[userId]?.[serverId];
+    if (!serverProcess) return Promise.resolve(false);
+    if (serverProcess.stopping) return serverProcess.stopping;
+
+    const settings = getStopSettings(server);
+    serverProcess.stopRequested = true;
+    setProcessState(userId, serverId, true, serverStartTime[`${userId}-${serverId}`], 'stopping', serverProcess.pid);
+
+    serverProcess.stopping = new Promise(resolve => {
+        let graceTimer = null;
+        const finish = () => {
+            clearTimeout(graceTimer);
+            // The main process is gone; take any orphaned workers with it
+            killProcessGroup(serverProcess, 'SIGKILL');
+            resolve(true);
+        };
+        if (serverProcess.exitCode !== null || serverProcess.signalCode !== null) return finish();
+        serverProcess.once('exit', finish);
+
+        if (settings.command && serverProcess.stdin?.writable) {
+            pushConsoleMessage(userId, serverId, `[معلومات] جاري إيقاف السيرفر (إرسال الأمر: ${settings.command})...`);
+            serverProcess.stdin.write(settings.command + '\n');
+        } else {
+            pushConsoleMessage(userId, serverId, `[معلومات] جاري إيقاف السيرفر (${settings.signal})...`);
+            killProcessGroup(serverProcess, settings.signal);
+        }
+
+        graceTimer = setTimeout(() => {
+            pushConsoleMessage(userId, serverId, `[تحذير] لم يتوقف السيرفر خلال ${settings.graceSeconds} ثانية، جاري الإيقاف القسري (SIGKILL)`);
+            killProcessGroup(serverProcess, 'SIGKILL');
+        }, settings.graceSeconds * 1000);
+    });
+    return serverProcess.stopping;
+};
+
+// After a panel crash, detached servers may outlive it; kill them before relaunching.
+// The cwd check guards against the pid having been reused by an unrelated process.
+const killLeftoverProcess = async (state) => {
+    if (!state.pid) return;
+    try {
+        const cwd = await fs.readlink(`/proc/${state.pid}/cwd`);
+        if (!cwd.startsWith(getServerStoragePaths(state.userId, state.serverId).baseDir)) return;
+        process.kill(-state.pid, 'SIGKILL');
+        console.log(`Killed leftover process group ${state.pid} of server ${state.serverId}`);
+    } catch (e) { /* not running anymore */ }
+};
+
+// --- Automatic restart policy ---
+const RESTART_POLICIES = {
+    never: 'لا تعيد التشغيل',
+    'on-failure': 'عند الفشل فقط (رمز خروج غير صفري)',
+    always: 'دائماً'
+};
+const DEFAULT_RESTART_SETTINGS = { policy: 'never', maxRetries: 5, windowSeconds: 300, backoffSeconds: 2 };
+const MAX_RESTART_DELAY_MS = 5 * 60 * 1000;
+const restartTrackers = {}; // logKey -> { attempts: [timestamps], timer }
+
+const getRestartSettings = (server) => {
+    const stored = server.startupSettings.get('restart') || {};
+    const settings = { ...DEFAULT_RESTART_SETTINGS, ...stored };
+    if (!RESTART_POLICIES[settings.policy]) settings.policy = 'never';
+    return settings;
+};
+
+// Drops any scheduled restart and the retry history, e.g. after a manual start/stop
+const resetRestartTracker = (userId, serverId) => {
+    const tracker = restartTrackers[`${userId}-${serverId}`];
+    const hadPendingRestart = !!tracker?.timer;
+    if (tracker?.timer) clearTimeout(tracker.timer);
+    delete restartTrackers[`${userId}-${serverId}`];
+    return hadPendingRestart;
+};
+
+// Called when a process exits on its own (not through /stop-server, /kill-server, ...)
+const scheduleAutoRestart = async (userId, serverId, exitCode, signal) => {
+    const server = await Server.findOne({ id: serverId });
+    if (!server || server.isSuspended) return;
+
+    const settings = getRestartSettings(server);
+    const failed = exitCode !== 0;
+    if (settings.policy === 'never' || (settings.policy === 'on-failure' && !failed)) return;
+
+    const logKey = `${userId}-${serverId}`;
+    const tracker = restartTrackers[logKey] || (restartTrackers[logKey] = { attempts: [], timer: null });
+    const now = Date.now();
+    tracker.attempts = tracker.attempts.filter(time => now - time < settings.windowSeconds * 1000);
+
+    if (tracker.attempts.length >= settings.maxRetries) {
+        setProcessState(userId, serverId, false, null, 'crash-looping');
+        pushConsoleMessage(userId, serverId, `[خطأ] توقف السيرفر ${tracker.attempts.length} مرات خلال ${settings.windowSeconds} ثانية. تم إيقاف إعادة التشغيل التلقائي (حلقة أعطال)`);
+        logServerEvent('حلقة أعطال', { userId, serverId, exitCode, signal, attempts: tracker.attempts.length, windowSeconds: settings.windowSeconds });
+        delete restartTrackers[logKey];
+        return;
+    }
+
+    tracker.attempts.push(now);
+    const delay = Math.min(settings.backoffSeconds * 1000 * 2 ** (tracker.attempts.length - 1), MAX_RESTART_DELAY_MS);
+    setProcessState(userId, serverId, false, null, 'restarting');
+    pushConsoleMessage(userId, serverId, `[معلومات] إعادة التشغيل التلقائي بعد ${Math.round(delay / 1000)} ثانية (المحاولة ${tracker.attempts.length} من ${settings.maxRetries})`);
+    logServerEvent('إعادة تشغيل تلقائي', { userId, serverId, exitCode, signal, attempt: tracker.attempts.length, delayMs: delay });
+
+    tracker.timer = setTimeout(async () => {
+        tracker.timer = null;
+        // Re-read the server so setting changes made during the backoff apply
+        const latest = await Server.findOne({ id: serverId });
+        if (!latest || latest.isSuspended || runningProcesses[userId]?.[serverId]) return;
+        startServerInBackground(serverId, userId, latest, tempDir, consoleLogs, runningProcesses, serverStartTime, wss, formatConsoleOutput, trimLogs, decodeFilePathKey, logServerEvent, { keepLogs: true });
+    }, delay);
+};
+
+const startServerInBackground = async (serverId, targetUserId, server, _tempDir, consoleLogs, runningProcesses, serverStartTime, wss, formatConsoleOutput, trimLogs, decodeFilePathKey, logServerEvent, options = {}) => {
+    const { baseDir, filesDir } = getServerStoragePaths(targetUserId, serverId);
+    const serverDir = filesDir; // persist all runtime changes inside files
+    if (isInstallActive(targetUserId, serverId)) {
+        pushConsoleMessage(targetUserId, serverId, '[تحذير] جاري تثبيت الحزم بالفعل، انتظر انتهاءه أو قم بإلغائه');
+        return;
+    }
+    // Claim the install slot before the first await so a second start request sees it
+    const install = beginInstall(targetUserId, serverId);
+    try {
+        await fs.ensureDir(serverDir);
+
+        initializeServerLogs(targetUserId, serverId);
+        // تهيئة سجل الكونسول مع مسح السجل السابق عند بدء التشغيل
+        // (automatic restarts keep the log so the crash output stays visible)
+        if (!options.keepLogs) {
+            // Clear in-memory and persistent logs, and every connected console
+            clearServerConsole(targetUserId, serverId);
+        }
+        pushConsoleMessage(targetUserId, serverId, 'جاري تجهيز السيرفر... برجاء الانتظار');
+
+        // كتابة ملفات السيرفر (من المخزن إلى مساحة التشغيل)
+        for (const [encodedFilePath, fileContent] of server.files.entries()) {
+            const filePath = decodeFilePathKey(encodedFilePath);
+            const content = Buffer.from(fileContent, 'base64');
+            const fullPath = path.join(serverDir, filePath);
+            await fs.ensureDir(path.dirname(fullPath));
+            await fs.writeFile(fullPath, content);
+        }
+
+        // Servers created before the port pool have no port; give them one instead of sharing 3000
+        if (!server.startupSettings.get('port')) {
+            const assignedPort = await allocatePort(server);
+            if (!assignedPort) throw new Error('لا توجد منافذ متاحة في نطاق المنافذ، تواصل مع الإدارة');
+            server.startupSettings.set('port', String(assignedPort));
+            await server.save();
+            pushConsoleMessage(targetUserId, serverId, `[معلومات] تم تخصيص المنفذ ${assignedPort} لهذا السيرفر`);
+            logServerEvent('تخصيص منفذ', { userId: targetUserId, serverId, port: assignedPort });
+        }
+
+        // قراءة إعدادات بدء التشغيل
+        const runtimeId = getServerRuntime(server);
+        const runtime = RUNTIMES[runtimeId];
+        const mainFile = server.startupSettings.get('mainFile') || runtime.defaultMainFile;
+        const userPackages = server.startupSettings.get('packages');
+        const port = server.startupSettings.get('port') || '3000';
+        const startupCommand = (server.startupSettings.get('startupCommand') || '').trim();
+        const runtimeCtx = {
+            serverDir,
+            venvDir: path.join(baseDir, 'venv'),
+            mainFilePath: path.join(serverDir, mainFile)
+        };
+        const nodeInstall = getServerNodeInstall(server);
+        if (server.startupSettings.get('nodeVersion') && !nodeInstall) {
+            pushConsoleMessage(targetUserId, serverId, '[تحذير] إصدار Node.js المحدد لم يعد متاحاً، سيتم استخدام الإصدار الافتراضي');
+        }
+        // The selected Node.js comes first so a `node` package in node_modules/.bin cannot shadow it
+        const binPath = [...getNodeBinDirs(server), ...runtime.binDirs(runtimeCtx), process.env.PATH].filter(Boolean).join(path.delimiter);
+        const serverEnvironment = getServerEnvironment(server);
+        refreshServerSecrets(targetUserId, serverId, server);
+        if (serverEnvironment.failedKeys.length > 0) {
+            pushConsoleMessage(targetUserId, serverId, `[تحذير] تعذر فك تشفير المتغيرات السرية: ${serverEnvironment.failedKeys.join(', ')}`);
+        }
+        const isolation = await getServerIsolation(targetUserId, serverId, server);
+        const isolate = (step) => isolation ? isolation.wrap(step) : step;
+        const installEnv = { ...getBaseEnvironment(isolation), ...runtime.env, ...serverEnvironment.env, ...getPackageCacheEnv(isolation?.cacheDir), PATH: binPath };
+
+        // Resolve the launch command up front so template errors fail fast
+        let launch = runtime.launch(runtimeCtx);
+        if (startupCommand) {
+            const variables = buildStartupVariables(server, { MAIN_FILE: mainFile, ...getPortVariables(server), SERVER_ID: serverId, SERVER_DIR: serverDir });
+            const argv = resolveStartupCommand(startupCommand, variables);
+            launch = { command: argv[0], args: argv.slice(1) };
+        }
+
+        const limits = getServerLimits(server);
+        if (limits.diskMb) {
+            const usedMb = await getDirectorySizeMb(baseDir).catch(() => 0);
+            if (usedMb > limits.diskMb) {
+                pushConsoleMessage(targetUserId, serverId, `[خطأ] لا يمكن تشغيل السيرفر: ملفاته تستخدم ${usedMb}MB من أصل ${limits.diskMb}MB المسموحة`);
+                logServerEvent('تجاوز حدود الموارد', { userId: targetUserId, serverId, limit: 'diskMb', usedMb, diskMb: limits.diskMb });
+                return;
+            }
+        }
+
+        pushConsoleMessage(targetUserId, serverId, `بيئة التشغيل: ${runtime.label}`);
+        if (nodeInstall) pushConsoleMessage(targetUserId, serverId, `إصدار Node.js: ${nodeInstall.label} (${nodeInstall.version})`);
+        if (isolation) pushConsoleMessage(targetUserId, serverId, `العزل: ${isolation.label}`);
+        for (const step of runtime.setupSteps(runtimeCtx)) {
+            if (step.message) pushConsoleMessage(targetUserId, serverId, step.message);
+            await runInstallStep(targetUserId, serverId, isolate(step), serverDir, installEnv, install);
+        }
+
+        let skipInstall = false;
+        if (server.startupSettings.get('skipUnchangedInstall')) {
+            try {
+                skipInstall = isInstallUnchanged(runtimeId, runtimeCtx, userPackages, nodeInstall?.version || process.version, baseDir);
+            } catch (e) { /* no fingerprint yet */ }
+            if (skipInstall) pushConsoleMessage(targetUserId, serverId, '[معلومات] لم تتغير ملفات الحزم منذ آخر تثبيت ناجح، تم تخطي التثبيت');
+        }
+        // Forget the old fingerprint first so an interrupted install is never skipped
+        if (!skipInstall) fs.removeSync(path.join(baseDir, INSTALL_FINGERPRINT_FILE));
+        let packagesFailed = false;
+
+        // تثبيت الحزم المحددة من قبل المستخدم أولاً
+        if (!skipInstall && userPackages && userPackages.trim() !== '') {
+            const packagesToInstall = userPackages.trim().split(/\s+/).filter(pkg => pkg);
+            const packageSteps = runtime.packageSteps(runtimeCtx, packagesToInstall);
+            if (packagesToInstall.length > 0 && packageSteps.length > 0) {
+                pushConsoleMessage(targetUserId, serverId, `جاري تثبيت الحزم المحددة من إعدادات بدء التشغيل: ${packagesToInstall.join(', ')}...`);
+                try {
+                    for (const step of packageSteps) {
+                        await runInstallStep(targetUserId, serverId, isolate(step), serverDir, installEnv, install);
+                    }
+                    pushConsoleMessage(targetUserId, serverId, 'تم تثبيت الحزم المحددة من إعدادات بدء التشغيل بنجاح.');
+                } catch (error) {
+                    if (error.cancelled) throw error;
+                    packagesFailed = true;
+                    pushConsoleMessage(targetUserId, serverId, `خطأ في تثبيت الحزم المحددة من إعدادات بدء التشغيل: ${error.message}`);
+                }
+            }
+        }
+
+        // التحقق من وجود الملف الرئيسي (إلا إذا كان الأمر المخصص لا يستخدمه)
+        const usesMainFile = !startupCommand || /\{\{\s*MAIN_FILE\s*\}\}/.test(startupCommand);
+        if (usesMainFile && !fs.existsSync(runtimeCtx.mainFilePath)) {
+            pushConsoleMessage(targetUserId, serverId, `ملف التشغيل الرئيسي (${mainFile}) غير موجود`);
+            return;
+        }
+
+        // تثبيت الاعتماديات الخاصة ببيئة التشغيل (package.json, requirements.txt, ...)
+        const dependencySteps = skipInstall ? [] : runtime.dependencySteps(runtimeCtx);
+        if (dependencySteps.length > 0) {
+            pushConsoleMessage(targetUserId, serverId, 'جاري تثبيت الحزم المطلوبة...');
+            try {
+                for (const step of dependencySteps) {
+                    await runInstallStep(targetUserId, serverId, isolate(step), serverDir, installEnv, install);
+                }
+                pushConsoleMessage(targetUserId, serverId, 'تم تثبيت الحزم بنجاح. جاري تشغيل السيرفر...');
+            } catch (error) {
+                if (!error.cancelled) pushConsoleMessage(targetUserId, serverId, `خطأ في تثبيت الحزم: ${error.message}`);
+                throw error;
+            }
+        }
+        // A failing build or preStart aborts here, so a stale build is never launched
+        const hooks = getLifecycleHooks(server);
+        const hookEnv = { ...installEnv, ...getPortVariables(server) };
+        for (const hook of ['build', 'preStart']) {
+            if (hooks[hook]) await runLifecycleHook(targetUserId, serverId, hook, hooks[hook], serverDir, hookEnv, install, isolation);
+        }
+
+        if (install.cancelled) throw createInstallCancelledError();
+        if (!skipInstall && !packagesFailed) saveInstallFingerprint(runtimeId, runtimeCtx, userPackages, nodeInstall?.version || process.version, baseDir);
+
+        // تشغيل السيرفر
+        pushConsoleMessage(targetUserId, serverId, `أمر التشغيل: ${formatArgv([launch.command, ...launch.args])}`);
+        const alertWatches = await loadAlertWatches(serverId).catch(err => {
+            console.error('Error loading alert rules:', err);
+            return [];
+        });
+        const limited = await applyResourceLimits(targetUserId, serverId, limits, isolate(launch));
+        const limitBaseline = limited.cgroupDir
+            ? { memory: await readCgroupCounters(limited.cgroupDir, 'memory.events'), pids: await readCgroupCounters(limited.cgroupDir, 'pids.events') }
+            : null;
+        // The install slot stays claimed until the process is registered, so nothing can
+        // start a second child during the awaits above; a cancel made meanwhile still applies
+        if (install.cancelled) throw createInstallCancelledError();
+        const serverProcess = spawn(limited.command, limited.args, {
+            cwd: serverDir,
+            env: {
+                ...getBaseEnvironment(isolation),
+                ...runtime.env,
+                ...serverEnvironment.env,
+                ...limited.env,
+                PATH: binPath,
+                ...getPortVariables(server)
+            },
+            stdio: ['pipe', 'pipe', 'pipe'],
+            detached: true // own process group, see killProcessGroup
+        });
+        serverProcess.cgroupDir = limited.cgroupDir;
+        serverProcess.launchSecrets = serverEnvironment.secrets;
+        // Resolves once the close handler, including the postStop hook, has finished
+        serverProcess.closed = new Promise(resolve => { serverProcess.resolveClosed = resolve; });
+        const limitWatch = watchResourceLimits(targetUserId, serverId, serverProcess, limits, limited.cgroupDir, baseDir);
+        startHealthMonitor(serverProcess, server);
+        startAlertWatch(serverProcess, server, alertWatches);
+
+        if (!runningProcesses[targetUserId]) {
+            runningProcesses[targetUserId] = {};
+        }
+        runningProcesses[targetUserId][serverId] = serverProcess;
+        endInstall(targetUserId, serverId, install);
+        serverStartTime[`${targetUserId}-${serverId}`] = Date.now();
+        setProcessState(targetUserId, serverId, true, serverStartTime[`${targetUserId}-${serverId}`], 'running', serverProcess.pid);
+
+        pushConsoleMessage(targetUserId, serverId, `تم تشغيل السيرفر بنجاح على المنفذ ${port}`);
+
+        // Whole lines, so a secret split across two chunks is still redacted
+        const createOutputBuffer = (stream) => createLineBuffer(line => {
+            noteHealthOutput(serverProcess, line);
+            noteAlertOutput(targetUserId, serverId, serverProcess, line);
+            pushConsoleMessage(targetUserId, serverId, line, stream);
+        }, OUTPUT_FLUSH_MS);
+        const stdoutLines = createOutputBuffer('stdout');
+        const stderrLines = createOutputBuffer('stderr');
+        serverProcess.stdout.on('data', (data) => stdoutLines.write(data));
+        serverProcess.stderr.on('data', (data) => stderrLines.write(data));
+
+        const runPostStopHook = async () => {
+            if (!hooks.postStop) return;
+            await runLifecycleHook(targetUserId, serverId, 'postStop', hooks.postStop, serverDir, hookEnv, null, isolation)
+                .catch(err => pushConsoleMessage(targetUserId, serverId, `[خطأ] ${err.message}`));
+        };
+
+        serverProcess.on('close', async (code, signal) => {
+            stdoutLines.flush();
+            stderrLines.flush();
+            limitWatch.stop();
+            // While the panel shuts down children die with it; keep their persisted
+            // running state so resumeServersAfterBoot can relaunch them
+            if (panelShuttingDown) {
+                await runPostStopHook();
+                serverProcess.resolveClosed();
+                return;
+            }
+            endHealthMonitor(targetUserId, serverId, serverProcess, `توقف السيرفر (رمز الخروج: ${code ?? signal})`);
+            const isCurrent = runningProcesses[targetUserId]?.[serverId] === serverProcess;
+            if (isCurrent) {
+                delete runningProcesses[targetUserId][serverId];
+                setProcessState(targetUserId, serverId, false, null);
+                refreshServerSecrets(targetUserId, serverId, server);
+            }
+            // do not remove files; keep persisted changes
+            const limitReason = await limitWatch.describeExit(limitBaseline);
+            if (limitReason) {
+                pushConsoleMessage(targetUserId, serverId, `[خطأ] ${limitReason}`);
+                logServerEvent('تجاوز حدود الموارد', { userId: targetUserId, serverId, reason: limitReason, limits });
+            }
+            pushConsoleMessage(targetUserId, serverId, `توقف السيرفر (رمز الخروج: ${code ?? signal})`);
+            await runPostStopHook();
+            serverProcess.resolveClosed();
+            // stopRequested is set by the stop/kill/restart/delete routes
+            if (isCurrent && !serverProcess.stopRequested) {
+                scheduleAutoRestart(targetUserId, serverId, code, signal).catch(err => console.error('Error scheduling auto restart:', err));
+            }
+        });
+
+        serverProcess.on('error', async (error) => {
+            limitWatch.stop();
+            serverProcess.resolveClosed();
+            endHealthMonitor(targetUserId, serverId, serverProcess, error.message);
+            if (runningProcesses[targetUserId]?.[serverId] === serverProcess) {
+                delete runningProcesses[targetUserId][serverId];
+                setProcessState(targetUserId, serverId, false, null);
+            }
+            // do not remove files; keep persisted changes
+            const reason = error.code === 'ENOENT' ? `الأمر ${launch.command} غير مثبت على الخادم` : error.message;
+            pushConsoleMessage(targetUserId, serverId, `خطأ في بدء تشغيل السيرفر: ${reason}`);
+        });
+
+        logServerEvent('تشغيل سيرفر', { userId: targetUserId, serverId, port, runtime: runtimeId });
+    } catch (error) {
+        if (error.cancelled) {
+            pushConsoleMessage(targetUserId, serverId, '[تحذير] تم إلغاء تثبيت الحزم ولم يتم تشغيل السيرفر');
+            logServerEvent('إلغاء تثبيت الحزم', { userId: targetUserId, serverId });
+            return;
+        }
+        pushConsoleMessage(targetUserId, serverId, `حدث خطأ أثناء تشغيل السيرفر: ${error.message}`);
+        console.error('Error starting server:', error);
+        // do not remove files; keep persisted changes
+    } finally {
+        endInstall(targetUserId, serverId, install);
+    }
+};
+
+app.post('/start-server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { serverId, userId } = req.body;
+    const targetUserId = userId || req.userId;
+    const server = await Server.findOne({ id: serverId });
+
+    if (!server) {
+        return res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('السيرفر غير موجود')}`);
+    }
+
+    if (server.isSuspended) {
+        return res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('هذا السيرفر معلق. يرجى التواصل مع الإدارة')}`);
+    }
+
+    if (runningProcesses[targetUserId]?.[serverId]) {
+        return res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('السيرفر يعمل بالفعل')}`);
+    }
+    if (isInstallActive(targetUserId, serverId)) {
+        return res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('جاري تثبيت الحزم بالفعل')}`);
+    }
+
+    // A manual start clears any crash-loop state and pending automatic restart
+    resetRestartTracker(targetUserId, serverId);
+
+    // تشغيل العملية في الخلفية
+    startServerInBackground(serverId, targetUserId, server, tempDir, consoleLogs, runningProcesses, serverStartTime, wss, formatConsoleOutput, trimLogs, decodeFilePathKey, logServerEvent);
+
+    // إرجاع استجابة فورية
+    res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&success=${encodeURIComponent('جاري تشغيل السيرفر... تحقق من الكونسول لمتابعة العملية')}`);
+});
+
+app.post('/stop-server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { userId, serverId } = req.body;
+    const targetUserId = userId || req.userId;
+    const user = await User.findOne({ userId: req.userId });
+    const server = req.server;
+
+    const permissions = server.users.get(req.userId) || {};
+    if (!req.isServerOwner && !user.isAdmin && !permissions.editSettings) {
+        return res.redirect('/?error=غير مصرح لك بإيقاف السيرفر');
+    }
+
+    const cancelledRestart = resetRestartTracker(targetUserId, serverId);
     if (!runningProcesses[targetUserId]?.[serverId]) {
+        if (cancelInstall(targetUserId, serverId)) {
+            return res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&success=${encodeURIComponent('جاري إلغاء تثبيت الحزم...')}`);
+        }
+        if (cancelledRestart || getProcessState(targetUserId, serverId).status === 'crash-looping') {
+            setProcessState(targetUserId, serverId, false, null);
+            pushConsoleMessage(targetUserId, serverId, '[معلومات] تم إلغاء إعادة التشغيل التلقائي');
+            logServerEvent('إيقاف سيرفر', { userId: req.userId, serverId });
+            return res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&success=${encodeURIComponent('تم إلغاء إعادة التشغيل التلقائي')}`);
+        }
         return res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&error=السيرفر متوقف بالفعل`);
     }
 
-    runningProcesses[targetUserId][serverId].kill();
-    delete runningProcesses[targetUserId][serverId];
-    setProcessState(targetUserId, serverId, false, null);
-    const stopMsg = formatConsoleOutput('[معلومات] تم إيقاف السيرفر');
-    consoleLogs[`${targetUserId}-${serverId}`].push(stopMsg);
-    saveConsoleLog(targetUserId, serverId, stopMsg);
-    trimLogs(consoleLogs[`${targetUserId}-${serverId}`]);
-    // لا نقوم بحذف أي ملفات من مساحة السيرفر بعد الإيقاف للحفاظ على البيانات
-    try { setProcessState(targetUserId, serverId, false, null); } catch {}
+    if (runningProcesses[targetUserId][serverId].stopping) {
+        return res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('جاري إيقاف السيرفر بالفعل')}`);
+    }
+
+    // لا نقوم بحذف أي ملفات من مساحة السيرفر بعد الإيقاف للحفاظ على البيانات
+    // The close handler clears runningProcesses and the persisted state once it has exited
+    stopServerProcess(targetUserId, serverId, server).then(() => {
+        pushConsoleMessage(targetUserId, serverId, '[معلومات] تم إيقاف السيرفر');
+    });
+
+    logServerEvent('إيقاف سيرفر', { userId: req.userId, serverId });
+    res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&success=${encodeURIComponent('جاري إيقاف السيرفر...')}`);
+});
+
+app.post('/cancel-install', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { userId, serverId } = req.body;
+    const targetUserId = userId || req.userId;
+    const user = await User.findOne({ userId: req.userId });
+    const server = req.server;
+
+    const permissions = server.users.get(req.userId) || {};
+    if (!req.isServerOwner && !user.isAdmin && !permissions.editSettings) {
+        return res.redirect('/?error=' + encodeURIComponent('غير مصرح لك بإيقاف السيرفر'));
+    }
+
+    if (!cancelInstall(targetUserId, serverId)) {
+        return res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('لا يوجد تثبيت جارٍ لإلغائه')}`);
+    }
+    res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&success=${encodeURIComponent('جاري إلغاء تثبيت الحزم...')}`);
+});
+
+// Stops the server (waiting for the full stop sequence), clears its console and starts it
+// again with the current settings. Shared by /restart-server and scheduled tasks.
+const restartServer = async (targetUserId, serverId, server) => {
+    // Initialize logs for this server if they don't exist yet
+    initializeServerLogs(targetUserId, serverId);
+    resetRestartTracker(targetUserId, serverId);
+    await cancelInstallAndWait(targetUserId, serverId);
+
+    const { filesDir } = getServerStoragePaths(targetUserId, serverId);
+    const serverSpecificTempDir = filesDir; // no cleanup
+
+    if (runningProcesses[targetUserId]?.[serverId]) {
+        pushConsoleMessage(targetUserId, serverId, '[معلومات] إيقاف السيرفر لإعادة التشغيل...');
+
+        // Wait for the full stop sequence (and the postStop hook) so the new process doesn't
+        // race the old one for the port
+        const previousProcess = runningProcesses[targetUserId][serverId];
+        await stopServerProcess(targetUserId, serverId, server);
+        await previousProcess.closed;
+        // لا نقوم بإزالة ملفات السيرفر عند إعادة التشغيل
+    } else {
+        // If server wasn't running, still good to ensure temp dir is clean for a fresh start
+        // لا نقوم بإزالة ملفات السيرفر حتى إن لم يكن يعمل
+    }
+
+    // Clear logs on restart as well
+    clearServerConsole(targetUserId, serverId);
+    pushConsoleMessage(targetUserId, serverId, '[معلومات] جاري إعادة تشغيل السيرفر مع الإعدادات المحدثة...');
+
+    const globalTempDir = tempDir; // not used anymore for runtime, kept for signature
+
+    // Call startServerInBackground to handle the actual start with current settings
+    startServerInBackground(
+        serverId,
+        targetUserId,
+        server, // The Mongoose server object, which includes startupSettings
+        globalTempDir,
+        consoleLogs,
+        runningProcesses,
+        serverStartTime,
+        wss,
+        formatConsoleOutput,
+        trimLogs,
+        decodeFilePathKey,
+        logServerEvent,
+        { keepLogs: true } // the console was already cleared above
+    ).catch(err => {
+        console.error(`Error during startServerInBackground from restart for server ${serverId}, user ${targetUserId}:`, err);
+        pushConsoleMessage(targetUserId, serverId, `خطأ فادح أثناء عملية إعادة التشغيل: ${err.message}`);
+    });
+};
+
+app.post('/restart-server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { userId, serverId } = req.body;
+    const targetUserId = userId || req.userId;
+    const server = req.server; // From ensureServerAccess
+
+    const requestingUser = await User.findOne({ userId: req.originalUserId }); // User performing the action
+    const permissions = server.users.get(req.originalUserId) || {};
+
+    // Check if the user has permission to edit startup settings, or is owner/admin
+    if (!req.isServerOwner && !requestingUser.isAdmin && !permissions.editStartup) {
+        return res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('غير مصرح لك بإعادة تشغيل السيرفر (يتطلب إذن تعديل بدء التشغيل)')}`);
+    }
+
+    await restartServer(targetUserId, serverId, server);
+
+    logServerEvent('إعادة تشغيل سيرفر', { userId: req.originalUserId, serverId });
+    res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&success=${encodeURIComponent('جاري إعادة تشغيل السيرفر... تحقق من الكونسول لمتابعة العملية')}`);
+});
+
+// إضافة دالة للحصول على عنوان IP
+const getServerIP = () => {
+    const interfaces = os.networkInterfaces();
+    for (const name of Object.keys(interfaces)) {
+        for (const iface of interfaces[name]) {
+            // تجاهل عناوين IPv6 والعناوين الداخلية
+            if (iface.family === 'IPv4' && !iface.internal) {
+                return iface.address;
+            }
+        }
+    }
+    return '69.30.219.180'; // عنوان افتراضي إذا لم يتم العثور على عنوان
+};
+
+app.get('/startup', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { serverId, userId: targetUserId } = req.query;
+    const userId = targetUserId || req.userId;
+    const user = await User.findOne({ userId: req.userId });
+    const server = req.server;
+
+    const permissions = server.users.get(req.userId) || {};
+    if (!req.isServerOwner && !user.isAdmin && !permissions.viewStartup) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بمشاهدة إعدادات بدء التشغيل')}`);
+    }
+
+    const currentRuntime = getServerRuntime(server);
+    const currentMainFile = server.startupSettings.get('mainFile') || RUNTIMES[currentRuntime].defaultMainFile;
+    const currentPackages = server.startupSettings.get('packages') || '';
+    const currentPort = server.startupSettings.get('port') || '3000';
+    const currentStartupCommand = server.startupSettings.get('startupCommand') || '';
+    const currentVariables = Object.entries(server.startupSettings.get('variables') || {}).map(([name, value]) => `${name}=${value}`).join('\n');
+    const currentRestart = getRestartSettings(server);
+    const currentAutoStart = !!server.startupSettings.get('autoStart');
+    const currentSkipUnchangedInstall = !!server.startupSettings.get('skipUnchangedInstall');
+    const currentNodeVersion = server.startupSettings.get('nodeVersion') || '';
+    const currentHooks = getLifecycleHooks(server);
+    const canEditHooks = req.isServerOwner || user.isAdmin || (!!permissions.useShell && isIsolationEnabled());
+    const nodeInstalls = getNodeInstalls();
+    const currentStop = getStopSettings(server);
+    const currentHealth = getHealthSettings(server);
+    const extraPorts = server.startupSettings.get('extraPorts') || [];
+    const portRange = getPortRange();
+    const proxySettings = getProxySettings(server);
+    const proxyDomain = getProxyDomain();
+    const proxyUrls = [
+        `${req.protocol}://${req.get('host')}${PROXY_PATH_PREFIX}${serverId}/`,
+        ...(proxySettings.subdomain ? [`${req.protocol}://${req.get('host')}${PROXY_PATH_PREFIX}${proxySettings.subdomain}/`] : []),
+        ...(proxySettings.subdomain && proxyDomain ? [`https://${proxySettings.subdomain}.${proxyDomain}/`] : [])
+    ];
+    const escapeAttr = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    const serverIP = getServerIP(); // استخدام الدالة الجديدة للحصول على IP
+
+    const queryParams = new URLSearchParams({ serverId });
+    if (targetUserId) queryParams.append('userId', targetUserId);
+
+    // --- Fetch impersonated username --- Start
+    let impersonatedUsername = null;
+    if (req.session.impersonating) {
+        try {
+            const impersonatedUser = await User.findOne({ userId: req.session.impersonating });
+            impersonatedUsername = impersonatedUser ? impersonatedUser.username : 'مستخدم غير معروف';
+        } catch (err) {
+            console.error("Error fetching impersonated user:", err);
+            impersonatedUsername = 'خطأ في جلب الاسم'; 
+        }
+    }
+    // --- Fetch impersonated username --- End
+
+    res.send(baseTemplate(`
+        <h1 class="text-3xl font-bold mb-6"><i class="fas fa-play-circle mr-2 icon"></i>إعدادات بدء تشغيل ${server.name}</h1>
+        
+        <div class="card max-w-lg mx-auto mb-6">
+            <div class="p-4 bg-slate-800 rounded-lg">
+                <h2 class="text-xl font-semibold mb-2 text-white"><i class="fas fa-globe mr-2"></i>عنوان السيرفر</h2>
+                <div class="flex items-center space-x-2">
+                    <code class="text-green-400 text-lg">${serverIP}:${currentPort}</code>
+                    <button onclick="copyToClipboard('${serverIP}:${currentPort}')" class="btn btn-sm btn-ghost">
+                        <i class="fas fa-copy"></i>
+                    </button>
+                </div>
+                <p class="text-slate-400 text-sm mt-2">استخدم هذا العنوان للوصول إلى موقعك</p>
+            </div>
+            <div class="p-4">
+                <h3 class="font-semibold mb-2"><i class="fas fa-network-wired mr-2"></i>المنافذ الإضافية</h3>
+                ${extraPorts.length === 0 ? '<p class="text-slate-400 text-sm">لا توجد منافذ إضافية</p>' : extraPorts.map((extra, index) => `
+                    <div class="flex items-center justify-between py-1">
+                        <code class="text-green-400">PORT_${index + 1} = ${extra}</code>
+                        ${(req.isServerOwner || user.isAdmin || permissions.editStartup) ? `
+                            <form action="/ports/release" method="POST">
+                                <input type="hidden" name="userId" value="${userId}">
+                                <input type="hidden" name="serverId" value="${serverId}">
+                                <input type="hidden" name="port" value="${extra}">
+                                <button type="submit" class="btn btn-sm btn-danger"><i class="fas fa-times"></i></button>
+                            </form>
+                        ` : ''}
+                    </div>
+                `).join('')}
+                ${(req.isServerOwner || user.isAdmin || permissions.editStartup) && extraPorts.length < MAX_EXTRA_PORTS ? `
+                    <form action="/ports/allocate" method="POST" class="mt-2">
+                        <input type="hidden" name="userId" value="${userId}">
+                        <input type="hidden" name="serverId" value="${serverId}">
+                        <button type="submit" class="btn btn-sm btn-primary"><i class="fas fa-plus mr-1"></i>تخصيص منفذ إضافي</button>
+                    </form>
+                ` : ''}
+                <p class="text-slate-400 text-xs mt-2">تتوفر داخل السيرفر كمتغيرات بيئة PORT_1، PORT_2 ... نطاق المنافذ المتاح: ${portRange.start}-${portRange.end}.</p>
+            </div>
+            <div class="p-4">
+                <h3 class="font-semibold mb-2"><i class="fas fa-route mr-2"></i>الوصول عبر اللوحة</h3>
+                ${proxySettings.enabled ? proxyUrls.map(url => `
+                    <div class="flex items-center space-x-2 py-1">
+                        <code class="text-green-400 text-sm break-all">${escapeAttr(url)}</code>
+                        <button onclick="copyToClipboard('${escapeAttr(url)}')" class="btn btn-sm btn-ghost"><i class="fas fa-copy"></i></button>
+                    </div>
+                `).join('') : '<p class="text-slate-400 text-sm">الوصول عبر اللوحة غير مفعل لهذا السيرفر</p>'}
+                ${(req.isServerOwner || user.isAdmin || permissions.editStartup) ? `
+                    <form action="/update-proxy" method="POST" class="mt-3">
+                        <input type="hidden" name="userId" value="${userId}">
+                        <input type="hidden" name="serverId" value="${serverId}">
+                        <label class="flex items-center gap-2 mb-3">
+                            <input type="checkbox" name="enabled" value="1" ${proxySettings.enabled ? 'checked' : ''}>
+                            <span class="text-sm">تمرير طلبات HTTP وWebSocket إلى المنفذ ${currentPort} عبر اللوحة</span>
+                        </label>
+                        <label class="block text-sm mb-2">النطاق الفرعي (اختياري)</label>
+                        <input type="text" name="subdomain" class="form-input" value="${escapeAttr(proxySettings.subdomain)}" placeholder="mybot" dir="ltr">
+                        <p class="text-xs text-slate-400 mb-3">${proxyDomain ? `يصبح السيرفر متاحاً على <code>&lt;النطاق الفرعي&gt;.${escapeAttr(proxyDomain)}</code> بالإضافة إلى المسار.` : 'يمكن استخدامه في المسار بدلاً من معرف السيرفر. لم تحدد الإدارة نطاقاً رئيسياً للنطاقات الفرعية بعد.'}</p>
+                        <button type="submit" class="btn btn-sm btn-primary"><i class="fas fa-save mr-1"></i>حفظ</button>
+                    </form>
+                ` : ''}
+            </div>
+        </div>
+
+        <div class="card max-w-lg mx-auto">
+            ${(req.isServerOwner || user.isAdmin || permissions.editStartup) ? `
+                <form action="/update-startup" method="POST">
+                    <input type="hidden" name="userId" value="${userId}">
+                    <input type="hidden" name="serverId" value="${serverId}">
+                    
+                    <label class="block text-sm mb-2">بيئة التشغيل (Runtime)</label>
+                    <select name="runtime" class="form-input">
+                        ${Object.entries(RUNTIMES).map(([id, runtime]) => `<option value="${id}" ${currentRuntime === id ? 'selected' : ''}>${runtime.label}</option>`).join('')}
+                    </select>
+                    <p class="text-xs text-slate-400 mb-4">تحدد طريقة تثبيت الاعتماديات (npm, pip, bun...) وأمر تشغيل الملف الرئيسي.</p>
+
+                    <label class="block text-sm mb-2">إصدار Node.js</label>
+                    <select name="nodeVersion" class="form-input">
+                        <option value="">الإصدار الافتراضي للخادم (${process.version})</option>
+                        ${nodeInstalls.map(install => `<option value="${install.id}" ${currentNodeVersion === install.id ? 'selected' : ''}>${escapeAttr(install.label)} (${install.version})</option>`).join('')}
+                        ${currentNodeVersion && !nodeInstalls.some(install => install.id === currentNodeVersion) ? '<option value="" selected>الإصدار المحدد لم يعد متاحاً</option>' : ''}
+                    </select>
+                    <p class="text-xs text-slate-400 mb-4">يُستخدم لتشغيل السيرفر ولأوامر npm و npx أثناء التثبيت. تضيف الإدارة الإصدارات المتاحة.</p>
+
+                    <label class="block text-sm mb-2">ملف التشغيل الرئيسي</label>
+                    <input type="text" name="mainFile" class="form-input" value="${currentMainFile}" placeholder="مثال: index.js, bot.py, start.sh" required>
+                    <p class="text-xs text-slate-400 mb-4">اسم الملف الرئيسي الذي سيتم تشغيله (مثل index.js أو main.py).</p>
+
+                    <label class="block text-sm mb-2">المنفذ (Port)</label>
+                    <input type="number" name="port" class="form-input" value="${currentPort}" placeholder="مثال: 3000" required>
+                    <p class="text-xs text-slate-400 mb-4">المنفذ الذي سيعمل عليه التطبيق (مثل 3000 أو 8080).</p>
+
+                    <label class="block text-sm mb-2">الحزم الإضافية للتثبيت</label>
+                    <input type="text" name="packages" class="form-input" value="${currentPackages}" placeholder="مثال: express discord.js moment">
+                    <p class="text-xs text-slate-400 mb-4">أسماء الحزم مفصولة بمسافات (مثل express axios). سيتم تثبيتها بمدير الحزم الخاص ببيئة التشغيل (npm, pip, bun, deno).</p>
+
+                    <label class="flex items-center gap-2 text-sm mb-1">
+                        <input type="checkbox" name="skipUnchangedInstall" value="1" ${currentSkipUnchangedInstall ? 'checked' : ''}>
+                        تخطي تثبيت الحزم إذا لم تتغير
+                    </label>
+                    <p class="text-xs text-slate-400 mb-4">إذا لم يتغير package.json أو ملف القفل (أو requirements.txt) منذ آخر تثبيت ناجح يتم التشغيل مباشرة دون إعادة التثبيت.</p>
+
+                    <label class="block text-sm mb-2">أمر التشغيل المخصص (اختياري)</label>
+                    <input type="text" name="startupCommand" class="form-input font-mono" dir="ltr" value="${escapeAttr(currentStartupCommand)}" placeholder="node --enable-source-maps {{MAIN_FILE}} --port {{PORT}}">
+                    <p class="text-xs text-slate-400 mb-4">يستبدل أمر التشغيل الافتراضي. المتغيرات المتاحة: {{MAIN_FILE}}، {{PORT}}، {{PORT_1}}...، {{RUNTIME}}، {{SERVER_ID}}، {{SERVER_DIR}} وأي متغير تعرّفه بالأسفل. لا يتم تنفيذ الأمر عبر shell، لذا الرموز مثل | و ; و && غير مسموحة.</p>
+
+                    <label class="block text-sm mb-2">متغيرات أمر التشغيل</label>
+                    <textarea name="variables" rows="4" class="form-input font-mono" dir="ltr" placeholder="LOG_LEVEL=info">${escapeAttr(currentVariables)}</textarea>
+                    <p class="text-xs text-slate-400 mb-4">متغير في كل سطر بصيغة NAME=value (أحرف كبيرة وأرقام و _ فقط).</p>
+
+                    <label class="block text-sm mb-2">أوامر دورة التشغيل (اختياري)</label>
+                    ${Object.entries(LIFECYCLE_HOOKS).map(([hook, label]) => `
+                        <label class="block text-xs mb-1">${label} <code>${hook}</code></label>
+                        <input type="text" name="hook_${hook}" class="form-input font-mono mb-2" dir="ltr" maxlength="${MAX_HOOK_LENGTH}" value="${escapeAttr(currentHooks[hook])}" ${canEditHooks ? '' : 'disabled'} placeholder="${hook === 'build' ? 'npm run build' : hook === 'preStart' ? 'node migrate.js' : 'rm -rf tmp/cache'}">
+                    `).join('')}
+                    <p class="text-xs text-slate-400 mb-4">تُنفذ عبر shell داخل مجلد السيرفر. يعمل أمر البناء ثم أمر ما قبل التشغيل بعد تثبيت الحزم، وإذا فشل أي منهما يتم إلغاء التشغيل. أمر ما بعد الإيقاف يعمل بعد كل توقف للسيرفر.${canEditHooks ? '' : ' تعديلها يتطلب صلاحية الطرفية (Shell).'}</p>
+
+                    <label class="block text-sm mb-2">إعادة التشغيل التلقائي عند التوقف</label>
+                    <select name="restartPolicy" class="form-input">
+                        ${Object.entries(RESTART_POLICIES).map(([id, label]) => `<option value="${id}" ${currentRestart.policy === id ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <div class="grid grid-cols-3 gap-2 mt-2">
+                        <div>
+                            <label class="block text-xs mb-1">أقصى عدد محاولات</label>
+                            <input type="number" name="restartMaxRetries" class="form-input" min="1" max="100" value="${currentRestart.maxRetries}">
+                        </div>
+                        <div>
+                            <label class="block text-xs mb-1">خلال (ثانية)</label>
+                            <input type="number" name="restartWindowSeconds" class="form-input" min="10" max="86400" value="${currentRestart.windowSeconds}">
+                        </div>
+                        <div>
+                            <label class="block text-xs mb-1">التأخير الأولي (ثانية)</label>
+                            <input type="number" name="restartBackoffSeconds" class="form-input" min="1" max="300" value="${currentRestart.backoffSeconds}">
+                        </div>
+                    </div>
+                    <p class="text-xs text-slate-400 mb-4">يتضاعف التأخير بعد كل محاولة. إذا تجاوز السيرفر عدد المحاولات خلال المدة المحددة يتم اعتباره في حلقة أعطال ويتوقف إعادة التشغيل. الإيقاف اليدوي لا يؤدي لإعادة التشغيل.</p>
+
+                    <label class="block text-sm mb-2">فحص السلامة</label>
+                    <select name="healthType" class="form-input">
+                        ${Object.entries(HEALTH_CHECK_TYPES).map(([id, label]) => `<option value="${id}" ${currentHealth.type === id ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <div class="grid grid-cols-2 gap-2 mt-2">
+                        <div>
+                            <label class="block text-xs mb-1">مسار HTTP</label>
+                            <input type="text" name="healthPath" class="form-input font-mono" dir="ltr" value="${escapeAttr(currentHealth.path)}" placeholder="/health">
+                        </div>
+                        <div>
+                            <label class="block text-xs mb-1">تعبير السجل (Regex)</label>
+                            <input type="text" name="healthPattern" class="form-input font-mono" dir="ltr" value="${escapeAttr(currentHealth.pattern)}" placeholder="heartbeat ok" maxlength="${MAX_USER_PATTERN_LENGTH}">
+                        </div>
+                    </div>
+                    <div class="grid grid-cols-4 gap-2 mt-2">
+                        <div>
+                            <label class="block text-xs mb-1">كل (ثانية)</label>
+                            <input type="number" name="healthIntervalSeconds" class="form-input" min="5" max="3600" value="${currentHealth.intervalSeconds}">
+                        </div>
+                        <div>
+                            <label class="block text-xs mb-1">المهلة (ثانية)</label>
+                            <input type="number" name="healthTimeoutSeconds" class="form-input" min="1" max="60" value="${currentHealth.timeoutSeconds}">
+                        </div>
+                        <div>
+                            <label class="block text-xs mb-1">فشل متتالي</label>
+                            <input type="number" name="healthUnhealthyThreshold" class="form-input" min="1" max="20" value="${currentHealth.unhealthyThreshold}">
+                        </div>
+                        <div>
+                            <label class="block text-xs mb-1">نجاح متتالي</label>
+                            <input type="number" name="healthHealthyThreshold" class="form-input" min="1" max="20" value="${currentHealth.healthyThreshold}">
+                        </div>
+                    </div>
+                    <p class="text-xs text-slate-400 mb-4">يتم الفحص على المنفذ الرئيسي للسيرفر. يعتبر السيرفر غير سليم بعد عدد مرات الفشل المتتالية المحددة، ويعود سليماً بعد عدد مرات النجاح المحددة. يظهر تاريخ الأعطال ونسبة التشغيل في صفحة الكونسول.</p>
+
+                    <label class="block text-sm mb-2">طريقة الإيقاف</label>
+                    <div class="grid grid-cols-2 gap-2">
+                        <div>
+                            <label class="block text-xs mb-1">إشارة الإيقاف</label>
+                            <select name="stopSignal" class="form-input">
+                                ${STOP_SIGNALS.map(signal => `<option value="${signal}" ${currentStop.signal === signal ? 'selected' : ''}>${signal}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label class="block text-xs mb-1">مهلة الإيقاف (ثانية)</label>
+                            <input type="number" name="stopGraceSeconds" class="form-input" min="1" max="120" value="${currentStop.graceSeconds}">
+                        </div>
+                    </div>
+                    <input type="text" name="stopCommand" class="form-input font-mono mt-2" dir="ltr" value="${escapeAttr(currentStop.command)}" placeholder="أمر إيقاف عبر الكونسول (اختياري)، مثال: stop">
+                    <p class="text-xs text-slate-400 mb-4">عند الإيقاف يتم إرسال أمر الإيقاف (إن وُجد) أو الإشارة المحددة، ثم انتظار المهلة قبل إيقاف السيرفر وكل العمليات التابعة له قسراً (SIGKILL).</p>
+
+                    <label class="flex items-center gap-2 text-sm mb-1">
+                        <input type="checkbox" name="autoStart" value="1" ${currentAutoStart ? 'checked' : ''}>
+                        تشغيل تلقائي بعد إعادة تشغيل اللوحة
+                    </label>
+                    <p class="text-xs text-slate-400 mb-4">إذا كان السيرفر يعمل عند توقف اللوحة (مثل إعادة تشغيل الخادم) سيتم تشغيله من جديد تلقائياً.</p>
+
+                    <button type="submit" class="mt-4 btn btn-success w-full"><i class="fas fa-save mr-2 icon"></i>حفظ إعدادات بدء التشغيل</button>
+                </form>
+            ` : `
+                <div class="p-4">
+                    <p class="text-red-500"><i class="fas fa-lock mr-2"></i>غير مصرح لك بتعديل إعدادات بدء التشغيل</p>
+                </div>
+            `}
+        </div>
+
+        <script>
+            function copyToClipboard(text) {
+                navigator.clipboard.writeText(text).then(() => {
+                    // يمكنك إضافة إشعار نجاح النسخ هنا
+                    alert('تم نسخ العنوان بنجاح!');
+                }).catch(err => {
+                    console.error('فشل نسخ العنوان:', err);
+                });
+            }
+        </script>
+    `, 'startup', user, true, serverId, server.name, userId, server, req, impersonatedUsername));
+});
+
+app.post('/update-startup', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { userId, serverId, mainFile, packages, port, runtime, startupCommand, variables, restartPolicy, restartMaxRetries, restartWindowSeconds, restartBackoffSeconds, autoStart, skipUnchangedInstall, nodeVersion, stopSignal, stopCommand, stopGraceSeconds, healthType, healthPath, healthPattern, healthIntervalSeconds, healthTimeoutSeconds, healthUnhealthyThreshold, healthHealthyThreshold } = req.body;
+    const targetUserId = userId || req.userId;
+    const user = await User.findOne({ userId: req.userId });
+    const server = req.server;
+
+    const permissions = server.users.get(req.userId) || {};
+    if (!req.isServerOwner && !user.isAdmin && !permissions.editStartup) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بتعديل إعدادات بدء التشغيل')}`);
+    }
+
+    if (!mainFile || typeof mainFile !== 'string' || mainFile.trim() === '') {
+        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('اسم ملف التشغيل الرئيسي غير صالح')}`);
+    }
+
+    if (!port || isNaN(port) || port < 1 || port > 65535) {
+        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('المنفذ غير صالح. يجب أن يكون رقم بين 1 و 65535')}`);
+    }
+
+    if (runtime && !RUNTIMES[runtime]) {
+        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('بيئة التشغيل غير مدعومة')}`);
+    }
+
+    const portOwner = (await getAllocatedPorts(serverId)).get(parseInt(port, 10));
+    if (portOwner) {
+        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent(`المنفذ ${parseInt(port, 10)} مستخدم بالفعل من قبل: ${portOwner}`)}`);
+    }
+    if ((server.startupSettings.get('extraPorts') || []).includes(parseInt(port, 10))) {
+        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('هذا المنفذ مخصص بالفعل كمنفذ إضافي لهذا السيرفر')}`);
+    }
+
+    if (restartPolicy && !RESTART_POLICIES[restartPolicy]) {
+        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('سياسة إعادة التشغيل غير صالحة')}`);
+    }
+    const restartSettings = {
+        policy: restartPolicy || 'never',
+        maxRetries: parseInt(restartMaxRetries, 10) || DEFAULT_RESTART_SETTINGS.maxRetries,
+        windowSeconds: parseInt(restartWindowSeconds, 10) || DEFAULT_RESTART_SETTINGS.windowSeconds,
+        backoffSeconds: parseInt(restartBackoffSeconds, 10) || DEFAULT_RESTART_SETTINGS.backoffSeconds
+    };
+    if (restartSettings.maxRetries < 1 || restartSettings.maxRetries > 100 || restartSettings.windowSeconds < 10 || restartSettings.windowSeconds > 86400 || restartSettings.backoffSeconds < 1 || restartSettings.backoffSeconds > 300) {
+        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('قيم إعادة التشغيل التلقائي خارج النطاق المسموح')}`);
+    }
 
-    wss.clients.forEach(client => {
-        if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-            client.send('[معلومات] تم إيقاف السيرفر');
+    if (stopSignal && !STOP_SIGNALS.includes(stopSignal)) {
+        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('إشارة الإيقاف غير مدعومة')}`);
+    }
+    const stopSettings = {
+        signal: stopSignal || DEFAULT_STOP_SETTINGS.signal,
+        command: typeof stopCommand === 'string' ? stopCommand.trim() : '',
+        graceSeconds: parseInt(stopGraceSeconds, 10) || DEFAULT_STOP_SETTINGS.graceSeconds
+    };
+    if (stopSettings.graceSeconds < 1 || stopSettings.graceSeconds > 120) {
+        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('مهلة الإيقاف يجب أن تكون بين 1 و 120 ثانية')}`);
+    }
+
+    // Hooks are shell commands: without shell rights the submitted ones are ignored
+    const canEditHooks = req.isServerOwner || user.isAdmin || (!!permissions.useShell && isIsolationEnabled());
+    const hooks = getLifecycleHooks(server);
+    if (canEditHooks) {
+        for (const hook of Object.keys(LIFECYCLE_HOOKS)) {
+            const value = req.body[`hook_${hook}`];
+            hooks[hook] = typeof value === 'string' ? value.trim() : '';
+            if (hooks[hook].length > MAX_HOOK_LENGTH) {
+                return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent(`${LIFECYCLE_HOOKS[hook]} أطول من المسموح (${MAX_HOOK_LENGTH} حرف)`)}`);
+            }
+        }
+    }
+
+    if (nodeVersion && !getNodeInstalls().some(install => install.id === nodeVersion)) {
+        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('إصدار Node.js غير متاح')}`);
+    }
+
+    if (healthType && !HEALTH_CHECK_TYPES[healthType]) {
+        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('نوع فحص السلامة غير مدعوم')}`);
+    }
+    const healthSettings = {
+        type: healthType || 'none',
+        path: typeof healthPath === 'string' && healthPath.trim() ? healthPath.trim() : DEFAULT_HEALTH_SETTINGS.path,
+        pattern: typeof healthPattern === 'string' ? healthPattern.trim() : '',
+        intervalSeconds: parseInt(healthIntervalSeconds, 10) || DEFAULT_HEALTH_SETTINGS.intervalSeconds,
+        timeoutSeconds: parseInt(healthTimeoutSeconds, 10) || DEFAULT_HEALTH_SETTINGS.timeoutSeconds,
+        unhealthyThreshold: parseInt(healthUnhealthyThreshold, 10) || DEFAULT_HEALTH_SETTINGS.unhealthyThreshold,
+        healthyThreshold: parseInt(healthHealthyThreshold, 10) || DEFAULT_HEALTH_SETTINGS.healthyThreshold
+    };
+    if (healthSettings.intervalSeconds < 5 || healthSettings.intervalSeconds > 3600 || healthSettings.timeoutSeconds < 1 || healthSettings.timeoutSeconds > 60 || healthSettings.unhealthyThreshold < 1 || healthSettings.unhealthyThreshold > 20 || healthSettings.healthyThreshold < 1 || healthSettings.healthyThreshold > 20) {
+        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('قيم فحص السلامة خارج النطاق المسموح')}`);
+    }
+    if (healthSettings.timeoutSeconds >= healthSettings.intervalSeconds) {
+        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('مهلة فحص السلامة يجب أن تكون أقل من الفترة بين الفحوصات')}`);
+    }
+    if (healthSettings.type === 'http' && !healthSettings.path.startsWith('/')) {
+        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('مسار فحص HTTP يجب أن يبدأ بـ /')}`);
+    }
+    if (healthSettings.type === 'log') {
+        if (!healthSettings.pattern) {
+            return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('أدخل تعبير البحث في السجل لفحص السلامة')}`);
+        }
+        try {
+            compileUserPattern(healthSettings.pattern);
+        } catch (err) {
+            return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent(`تعبير البحث غير صالح: ${err.message}`)}`);
+        }
+    }
+
+    const commandTemplate = typeof startupCommand === 'string' ? startupCommand.trim() : '';
+    let parsedVariables;
+    try {
+        parsedVariables = parseVariablesText(variables);
+    } catch (err) {
+        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent(err.message)}`);
+    }
+
+    try {
+        server.startupSettings.set('mainFile', mainFile.trim());
+        server.startupSettings.set('packages', packages ? packages.trim() : '');
+        server.startupSettings.set('port', port.trim());
+        server.startupSettings.set('runtime', runtime || 'node');
+        server.startupSettings.set('startupCommand', commandTemplate);
+        server.startupSettings.set('variables', parsedVariables);
+        server.startupSettings.set('restart', restartSettings);
+        server.startupSettings.set('autoStart', autoStart === '1');
+        server.startupSettings.set('skipUnchangedInstall', skipUnchangedInstall === '1');
+        server.startupSettings.set('nodeVersion', nodeVersion || '');
+        server.startupSettings.set('hooks', hooks);
+        server.startupSettings.set('stop', stopSettings);
+        server.startupSettings.set('healthCheck', healthSettings);
+
+        // Validate the template now rather than at the next start
+        if (commandTemplate) {
+            try {
+                resolveStartupCommand(commandTemplate, buildStartupVariables(server, { MAIN_FILE: mainFile.trim(), ...getPortVariables(server), SERVER_ID: serverId, SERVER_DIR: '' }));
+            } catch (err) {
+                return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent(err.message)}`);
+            }
+        }
+
+        await server.save();
+        invalidateProxyRoutes();
+        logServerEvent('تعديل إعدادات بدء التشغيل', { userId: req.userId, serverId, mainFile: mainFile.trim(), packages: packages ? packages.trim() : '', port: port.trim(), runtime: runtime || 'node', startupCommand: commandTemplate, restartPolicy: restartSettings.policy, autoStart: autoStart === '1' });
+        res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&success=${encodeURIComponent('تم تحديث إعدادات بدء التشغيل بنجاح')}`);
+    } catch (err) {
+        console.error('Error updating startup settings:', err);
+        res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('خطأ أثناء تحديث إعدادات بدء التشغيل')}`);
+    }
+});
+
+app.post('/update-proxy', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { userId, serverId, enabled } = req.body;
+    const targetUserId = userId || req.userId;
+    const subdomain = (req.body.subdomain || '').trim().toLowerCase();
+    const user = await User.findOne({ userId: req.userId });
+    const server = req.server;
+
+    const permissions = server.users.get(req.userId) || {};
+    if (!req.isServerOwner && !user.isAdmin && !permissions.editStartup) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بتعديل إعدادات بدء التشغيل')}`);
+    }
+
+    if (subdomain && !SUBDOMAIN_PATTERN.test(subdomain)) {
+        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('النطاق الفرعي يجب أن يحتوي على أحرف إنجليزية صغيرة وأرقام وشرطات فقط')}`);
+    }
+
+    try {
+        if (subdomain) {
+            const holder = (await Server.find().lean()).find(other => other.id !== serverId && getProxySettings(other).subdomain === subdomain);
+            if (holder) {
+                return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent(`النطاق الفرعي ${subdomain} مستخدم بالفعل من سيرفر آخر`)}`);
+            }
+        }
+        server.startupSettings.set('proxy', { enabled: enabled === '1', subdomain });
+        await server.save();
+        invalidateProxyRoutes();
+        logServerEvent('تعديل إعدادات الوكيل العكسي', { userId: req.userId, serverId, enabled: enabled === '1', subdomain });
+        res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&success=${encodeURIComponent('تم حفظ إعدادات الوصول عبر اللوحة')}`);
+    } catch (err) {
+        console.error('Error updating proxy settings:', err);
+        res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('خطأ أثناء حفظ إعدادات الوصول عبر اللوحة')}`);
+    }
+});
+
+app.post('/ports/allocate', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { userId, serverId } = req.body;
+    const targetUserId = userId || req.userId;
+    const user = await User.findOne({ userId: req.userId });
+    const server = req.server;
+
+    const permissions = server.users.get(req.userId) || {};
+    if (!req.isServerOwner && !user.isAdmin && !permissions.editStartup) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بتعديل إعدادات بدء التشغيل')}`);
+    }
+
+    const extraPorts = server.startupSettings.get('extraPorts') || [];
+    if (extraPorts.length >= MAX_EXTRA_PORTS) {
+        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent(`الحد الأقصى ${MAX_EXTRA_PORTS} منافذ إضافية`)}`);
+    }
+
+    try {
+        const allocated = await allocatePort(server);
+        if (!allocated) {
+            return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('لا توجد منافذ متاحة في النطاق المحدد. تواصل مع الإدارة')}`);
+        }
+        server.startupSettings.set('extraPorts', [...extraPorts, allocated]);
+        await server.save();
+        logServerEvent('تخصيص منفذ إضافي', { userId: req.userId, serverId, port: allocated });
+        res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&success=${encodeURIComponent(`تم تخصيص المنفذ ${allocated} (PORT_${extraPorts.length + 1})`)}`);
+    } catch (err) {
+        console.error('Error allocating port:', err);
+        res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('خطأ أثناء تخصيص المنفذ')}`);
+    }
+});
+
+app.post('/ports/release', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { userId, serverId } = req.body;
+    const targetUserId = userId || req.userId;
+    const releasedPort = parseInt(req.body.port, 10);
+    const user = await User.findOne({ userId: req.userId });
+    const server = req.server;
+
+    const permissions = server.users.get(req.userId) || {};
+    if (!req.isServerOwner && !user.isAdmin && !permissions.editStartup) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بتعديل إعدادات بدء التشغيل')}`);
+    }
+
+    try {
+        const extraPorts = server.startupSettings.get('extraPorts') || [];
+        server.startupSettings.set('extraPorts', extraPorts.filter(extra => extra !== releasedPort));
+        await server.save();
+        logServerEvent('إلغاء تخصيص منفذ إضافي', { userId: req.userId, serverId, port: releasedPort });
+        res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&success=${encodeURIComponent('تم إلغاء تخصيص المنفذ، قد تتغير أرقام PORT_n للمنافذ التالية')}`);
+    } catch (err) {
+        console.error('Error releasing port:', err);
+        res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('خطأ أثناء إلغاء تخصيص المنفذ')}`);
+    }
+});
+
+app.get('/environment', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { serverId, userId: targetUserId } = req.query;
+    const userId = targetUserId || req.userId;
+    const user = await User.findOne({ userId: req.userId });
+    const server = req.server;
+
+    const permissions = server.users.get(req.userId) || {};
+    if (!req.isServerOwner && !user.isAdmin && !permissions.viewStartup) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بمشاهدة متغيرات البيئة')}`);
+    }
+    const canEdit = req.isServerOwner || user.isAdmin || permissions.editStartup;
+    const entries = Array.from(server.environment.entries()).sort(([a], [b]) => a.localeCompare(b));
+
+    // --- Fetch impersonated username --- Start
+    let impersonatedUsername = null;
+    if (req.session.impersonating) {
+        try {
+            const impersonatedUser = await User.findOne({ userId: req.session.impersonating });
+            impersonatedUsername = impersonatedUser ? impersonatedUser.username : 'مستخدم غير معروف';
+        } catch (err) {
+            console.error("Error fetching impersonated user:", err);
+            impersonatedUsername = 'خطأ في جلب الاسم'; 
         }
+    }
+    // --- Fetch impersonated username --- End
+
+    res.send(baseTemplate(`
+        <h1 class="text-3xl font-bold mb-6"><i class="fas fa-key mr-2 icon"></i>متغيرات البيئة لـ ${server.name}</h1>
+
+        <div class="card max-w-3xl mx-auto mb-6">
+            <h2 class="text-xl font-semibold mb-4">المتغيرات الحالية</h2>
+            ${entries.length === 0 ? `
+                <p class="text-slate-400"><i class="fas fa-exclamation-circle mr-2 icon"></i>لا توجد متغيرات بعد</p>
+            ` : `
+                <div class="space-y-2">
+                    ${entries.map(([key, entry]) => `
+                        <div class="flex items-center justify-between p-3 bg-slate-700 rounded-lg" dir="ltr">
+                            <div class="font-mono text-sm break-all">
+                                <span class="text-purple-300">${escapeHtml(key)}</span>=<span class="${entry.secret ? 'text-gray-400' : 'text-white'}">${entry.secret ? SECRET_MASK : escapeHtml(entry.value)}</span>
+                                ${entry.secret ? '<span class="ml-2 text-xs text-yellow-400"><i class="fas fa-lock"></i> سري</span>' : ''}
+                            </div>
+                            ${canEdit ? `
+                                <form action="/environment/delete" method="POST" onsubmit="return confirm('هل أنت متأكد من حذف هذا المتغير؟');">
+                                    <input type="hidden" name="userId" value="${userId}">
+                                    <input type="hidden" name="serverId" value="${serverId}">
+                                    <input type="hidden" name="key" value="${escapeHtml(key)}">
+                                    <button type="submit" class="btn btn-danger"><i class="fas fa-trash icon"></i></button>
+                                </form>
+                            ` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            `}
+            <p class="text-xs text-slate-400 mt-4">يتم تمرير المتغيرات إلى عملية السيرفر عند التشغيل. القيم السرية مشفرة في قاعدة البيانات ولا تظهر في الكونسول أو سجل الأحداث.</p>
+        </div>
+
+        ${canEdit ? `
+            <div class="card max-w-3xl mx-auto">
+                <h2 class="text-xl font-semibold mb-4">إضافة / تعديل متغير</h2>
+                <form action="/environment/set" method="POST">
+                    <input type="hidden" name="userId" value="${userId}">
+                    <input type="hidden" name="serverId" value="${serverId}">
+                    <label class="block text-sm mb-2">الاسم</label>
+                    <input type="text" name="key" class="form-input font-mono" dir="ltr" placeholder="DISCORD_TOKEN" required>
+                    <label class="block text-sm mb-2">القيمة</label>
+                    <input type="password" name="value" class="form-input font-mono" dir="ltr" autocomplete="new-password" placeholder="••••••••">
+                    <label class="flex items-center mb-4"><input type="checkbox" name="secret" class="mr-2 accent-blue-500" checked>قيمة سرية (تشفير وإخفاء)</label>
+                    <button type="submit" class="btn btn-success w-full"><i class="fas fa-save mr-2 icon"></i>حفظ المتغير</button>
+                </form>
+            </div>
+        ` : ''}
+    `, 'المتغيرات', user, true, serverId, server.name, targetUserId, server, req, impersonatedUsername));
+});
+
+app.post('/environment/set', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { userId, serverId, key, value, secret } = req.body;
+    const targetUserId = userId || req.userId;
+    const user = await User.findOne({ userId: req.userId });
+    const server = req.server;
+
+    const permissions = server.users.get(req.userId) || {};
+    if (!req.isServerOwner && !user.isAdmin && !permissions.editStartup) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بتعديل متغيرات البيئة')}`);
+    }
+
+    const envKey = typeof key === 'string' ? key.trim() : '';
+    if (!ENV_KEY_PATTERN.test(envKey)) {
+        return res.redirect(`/environment?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('اسم المتغير غير صالح (أحرف وأرقام و _ فقط، ولا يبدأ برقم)')}`);
+    }
+    const envValue = typeof value === 'string' ? value : '';
+    if (secret && envValue === '') {
+        return res.redirect(`/environment?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('يجب إدخال قيمة للمتغير السري')}`);
+    }
+
+    try {
+        server.environment.set(envKey, secret
+            ? { value: encryptSecret(envValue), secret: true }
+            : { value: envValue, secret: false });
+        await server.save();
+        refreshServerSecrets(targetUserId, serverId, server);
+        logServerEvent('تعديل متغير بيئة', { userId: req.userId, serverId, key: envKey, secret: !!secret });
+        res.redirect(`/environment?serverId=${serverId}&userId=${targetUserId}&success=${encodeURIComponent('تم حفظ المتغير بنجاح. سيتم تطبيقه عند التشغيل القادم')}`);
+    } catch (err) {
+        console.error('Error saving environment variable:', err.message);
+        res.redirect(`/environment?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('خطأ أثناء حفظ المتغير')}`);
+    }
+});
+
+app.post('/environment/delete', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { userId, serverId, key } = req.body;
+    const targetUserId = userId || req.userId;
+    const user = await User.findOne({ userId: req.userId });
+    const server = req.server;
+
+    const permissions = server.users.get(req.userId) || {};
+    if (!req.isServerOwner && !user.isAdmin && !permissions.editStartup) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بتعديل متغيرات البيئة')}`);
+    }
+    if (!server.environment.has(key)) {
+        return res.redirect(`/environment?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('المتغير غير موجود')}`);
+    }
+
+    try {
+        server.environment.delete(key);
+        await server.save();
+        refreshServerSecrets(targetUserId, serverId, server);
+        logServerEvent('حذف متغير بيئة', { userId: req.userId, serverId, key });
+        res.redirect(`/environment?serverId=${serverId}&userId=${targetUserId}&success=${encodeURIComponent('تم حذف المتغير بنجاح')}`);
+    } catch (err) {
+        console.error('Error deleting environment variable:', err.message);
+        res.redirect(`/environment?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('خطأ أثناء حذف المتغير')}`);
+    }
+});
+
+// --- Scheduled tasks ---
+const SCHEDULE_ACTIONS = {
+    start: 'تشغيل السيرفر',
+    stop: 'إيقاف السيرفر',
+    restart: 'إعادة تشغيل السيرفر',
+    command: 'إرسال أمر للكونسول',
+    backup: 'إنشاء نسخة احتياطية',
+    script: 'تشغيل سكربت في مجلد السيرفر'
+};
+const CRON_MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+const CRON_FIELDS = [
+    { name: 'الدقيقة', min: 0, max: 59 },
+    { name: 'الساعة', min: 0, max: 23 },
+    { name: 'يوم الشهر', min: 1, max: 31 },
+    { name: 'الشهر', min: 1, max: 12 },
+    { name: 'يوم الأسبوع', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+// What a schedule may only do for someone who could also do it by hand: the permission the
+// matching console button or route checks (start/stop/kill need editSettings, restart editStartup)
+const SCHEDULE_ACTION_PERMISSIONS = {
+    start: 'editSettings',
+    stop: 'editSettings',
+    restart: 'editStartup',
+    command: 'sendConsoleCommand',
+    backup: null,
+    script: 'useShell'
+};
+const MAX_BACKUPS_PER_SERVER = 10;
+const SCHEDULED_SCRIPT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Standard 5-field cron: lists, ranges, steps and the @daily style macros
+const parseCronExpression = (expression) => {
+    const source = CRON_MACROS[expression.trim()] || expression.trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5) throw new Error('تعبير cron يجب أن يحتوي على 5 حقول: الدقيقة الساعة يوم-الشهر الشهر يوم-الأسبوع');
+
+    const fields = parts.map((part, index) => {
+        const { name, min, max } = CRON_FIELDS[index];
+        const values = new Set();
+        for (const item of part.split(',')) {
+            const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+            if (!match) throw new Error(`قيمة غير صالحة في حقل ${name}: ${item}`);
+            const from = match[1] === '*' ? min : parseInt(match[2], 10);
+            const to = match[1] === '*' ? max : match[3] !== undefined ? parseInt(match[3], 10) : match[4] ? max : from;
+            const step = match[4] ? parseInt(match[4], 10) : 1;
+            if (from < min || to > max || from > to || step < 1) throw new Error(`قيمة خارج النطاق في حقل ${name}: ${item}`);
+            for (let value = from; value <= to; value += step) values.add(index === 4 && value === 7 ? 0 : value);
+        }
+        return values;
     });
+    return {
+        minute: fields[0], hour: fields[1], dayOfMonth: fields[2], month: fields[3], dayOfWeek: fields[4],
+        // As in cron, when both day fields are restricted either one matching is enough
+        anyDayOfMonth: parts[2] === '*', anyDayOfWeek: parts[4] === '*'
+    };
+};
 
-    logServerEvent('إيقاف سيرفر', { userId: req.userId, serverId });
-    res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&success=تم إيقاف السيرفر بنجاح`);
+const cronDayMatches = (cron, date) => {
+    const domMatch = cron.dayOfMonth.has(date.getDate());
+    const dowMatch = cron.dayOfWeek.has(date.getDay());
+    const dayMatch = cron.anyDayOfMonth || cron.anyDayOfWeek ? domMatch && dowMatch : domMatch || dowMatch;
+    return dayMatch && cron.month.has(date.getMonth() + 1);
+};
+
+const cronMatches = (cron, date) => cronDayMatches(cron, date) && cron.hour.has(date.getHours()) && cron.minute.has(date.getMinutes());
+
+// Next matching minute within a year, skipping whole days/hours that can't match
+const getNextCronRun = (cron, from = new Date()) => {
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= limit) {
+        if (!cronDayMatches(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cron.hour.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minute.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+    return null;
+};
+
+// tar.gz of the server files under baseDir/backups, keeping the newest MAX_BACKUPS_PER_SERVER
+const createServerBackup = async (userId, serverId) => {
+    const { baseDir, filesDir } = getServerStoragePaths(userId, serverId);
+    const backupsDir = path.join(baseDir, 'backups');
+    await fs.ensureDir(backupsDir);
+    await fs.ensureDir(filesDir);
+    const fileName = `backup-${new Date().toISOString().replace(/[:.]/g, '-')}.tar.gz`;
+    await execFilePromise('tar', ['-czf', path.join(backupsDir, fileName), '--exclude=./node_modules', '--exclude=./venv', '-C', filesDir, '.'], { timeout: SCHEDULED_SCRIPT_TIMEOUT_MS });
+
+    const backups = (await fs.readdir(backupsDir)).filter(name => name.startsWith('backup-')).sort();
+    for (const old of backups.slice(0, Math.max(backups.length - MAX_BACKUPS_PER_SERVER, 0))) {
+        await fs.remove(path.join(backupsDir, old));
+    }
+    return fileName;
+};
+
+const runServerScript = async (userId, serverId, server, script) => {
+    const { filesDir } = getServerStoragePaths(userId, serverId);
+    await fs.ensureDir(filesDir);
+    const isolation = await getServerIsolation(userId, serverId, server);
+    const step = { command: 'sh', args: ['-c', script] };
+    const { command, args } = isolation ? isolation.wrap(step) : step;
+    const env = {
+        ...getBaseEnvironment(isolation),
+        ...getServerEnvironment(server).env,
+        ...getPortVariables(server),
+        PATH: [...getNodeBinDirs(server), process.env.PATH].filter(Boolean).join(path.delimiter)
+    };
+    try {
+        const { stdout, stderr } = await execFilePromise(command, args, { cwd: filesDir, env, timeout: SCHEDULED_SCRIPT_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 });
+        if (stdout) pushConsoleMessage(userId, serverId, stdout, 'stdout');
+        if (stderr) pushConsoleMessage(userId, serverId, stderr, 'stderr');
+    } catch (error) {
+        if (error.stdout) pushConsoleMessage(userId, serverId, error.stdout, 'stdout');
+        if (error.stderr) pushConsoleMessage(userId, serverId, error.stderr, 'stderr');
+        throw new Error(error.killed ? 'انتهت مهلة تنفيذ السكربت' : `فشل السكربت (رمز الخروج: ${error.code})`);
+    }
+};
+
+// Runs one schedule through the same code paths as the console buttons and records the result.
+// actorId is whoever makes it run: its creator for cron, or the user pressing "run now".
+const runScheduledTask = async (schedule, trigger = 'cron', actorId = schedule.createdBy) => {
+    const server = await Server.findOne({ id: schedule.serverId });
+    if (!server) return;
+    const userId = server.ownerId;
+    const serverId = server.id;
+    let result = 'success';
+    let error = null;
+
+    try {
+        if (server.isSuspended) throw new Error('السيرفر معلق');
+        // Permissions may have been revoked since the schedule was created
+        if (!canRunScheduleAction(await User.findOne({ userId: actorId || server.ownerId }), server, schedule.action)) {
+            throw new Error('لم يعد لدى منشئ المهمة صلاحية تنفيذها');
+        }
+        pushConsoleMessage(userId, serverId, `[معلومات] تنفيذ المهمة المجدولة "${schedule.name}" (${SCHEDULE_ACTIONS[schedule.action]})`);
+        switch (schedule.action) {
+            case 'start':
+                if (runningProcesses[userId]?.[serverId]) {
+                    result = 'skipped';
+                    break;
+                }
+                resetRestartTracker(userId, serverId);
+                await startServerInBackground(serverId, userId, server, tempDir, consoleLogs, runningProcesses, serverStartTime, wss, formatConsoleOutput, trimLogs, decodeFilePathKey, logServerEvent);
+                break;
+            case 'stop':
+                resetRestartTracker(userId, serverId);
+                if (!await stopServerProcess(userId, serverId, server)) result = 'skipped';
+                break;
+            case 'restart':
+                await restartServer(userId, serverId, server);
+                break;
+            case 'command': {
+                const sendError = sendCommandToServer(userId, serverId, schedule.payload);
+                if (sendError) throw new Error(sendError);
+                break;
+            }
+            case 'backup': {
+                const fileName = await createServerBackup(userId, serverId);
+                pushConsoleMessage(userId, serverId, `[معلومات] تم إنشاء النسخة الاحتياطية ${fileName}`);
+                break;
+            }
+            case 'script':
+                await runServerScript(userId, serverId, server, schedule.payload);
+                break;
+            default:
+                throw new Error('نوع المهمة غير معروف');
+        }
+    } catch (err) {
+        result = 'error';
+        error = err.message;
+        pushConsoleMessage(userId, serverId, `[خطأ] فشلت المهمة المجدولة "${schedule.name}": ${err.message}`);
+    }
+
+    // Re-read so a toggle/edit made while the task was running isn't overwritten
+    const latest = await Schedule.findOne({ id: schedule.id });
+    if (latest) {
+        latest.lastRunAt = Date.now();
+        latest.lastResult = result;
+        latest.lastError = error;
+        await latest.save();
+    }
+    logServerEvent('تنفيذ مهمة مجدولة', { serverId, scheduleId: schedule.id, name: schedule.name, action: schedule.action, trigger, result, error });
+};
+
+const runDueSchedules = async () => {
+    const now = new Date();
+    for (const schedule of await Schedule.find({ enabled: true }).lean()) {
+        let cron;
+        try {
+            cron = parseCronExpression(schedule.cron);
+        } catch (err) {
+            continue; // validated on save; skip anything edited by hand
+        }
+        if (cronMatches(cron, now)) {
+            runScheduledTask(schedule).catch(err => console.error(`Error running schedule ${schedule.id}:`, err));
+        }
+    }
+};
+
+// Fire just after each minute boundary
+const scheduleNextCronTick = () => {
+    setTimeout(() => {
+        runDueSchedules().catch(err => console.error('Error running schedules:', err));
+        scheduleNextCronTick();
+    }, 60000 - (Date.now() % 60000) + 100);
+};
+scheduleNextCronTick();
+
+const canManageSchedules = (req, user, server) => req.isServerOwner || user.isAdmin || !!(server.users.get(req.userId) || {}).manageSchedules;
+
+// Sub-users need manageSchedules plus the action's own permission; scripts run as the
+// panel's user without isolation, so sub-users only get them with isolation on
+const canRunScheduleAction = (user, server, action) => {
+    if (!user) return false;
+    if (server.ownerId === user.userId || user.isAdmin) return true;
+    const permissions = server.users.get(user.userId) || {};
+    if (action === 'script' && !isIsolationEnabled()) return false;
+    const required = SCHEDULE_ACTION_PERMISSIONS[action];
+    return !!permissions.manageSchedules && (!required || !!permissions[required]);
+};
+
+app.get('/schedules', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { serverId, userId: targetUserId } = req.query;
+    const userId = targetUserId || req.userId;
+    const user = await User.findOne({ userId: req.userId });
+    const server = req.server;
+
+    if (!canManageSchedules(req, user, server)) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بإدارة المهام المجدولة')}`);
+    }
+    const schedules = await Schedule.find({ serverId }).lean();
+    const describeNextRun = (schedule) => {
+        if (!schedule.enabled) return 'معطلة';
+        try {
+            const next = getNextCronRun(parseCronExpression(schedule.cron));
+            return next ? next.toLocaleString('ar-EG') : 'لا يوجد خلال سنة';
+        } catch (err) {
+            return 'تعبير غير صالح';
+        }
+    };
+
+    // --- Fetch impersonated username --- Start
+    let impersonatedUsername = null;
+    if (req.session.impersonating) {
+        try {
+            const impersonatedUser = await User.findOne({ userId: req.session.impersonating });
+            impersonatedUsername = impersonatedUser ? impersonatedUser.username : 'مستخدم غير معروف';
+        } catch (err) {
+            console.error("Error fetching impersonated user:", err);
+            impersonatedUsername = 'خطأ في جلب الاسم'; 
+        }
+    }
+    // --- Fetch impersonated username --- End
+
+    res.send(baseTemplate(`
+        <h1 class="text-3xl font-bold mb-6"><i class="fas fa-clock mr-2 icon"></i>المهام المجدولة لـ ${server.name}</h1>
+
+        <div class="card max-w-4xl mx-auto mb-6">
+            <h2 class="text-xl font-semibold mb-4">المهام الحالية</h2>
+            ${schedules.length === 0 ? `
+                <p class="text-slate-400"><i class="fas fa-exclamation-circle mr-2 icon"></i>لا توجد مهام مجدولة بعد</p>
+            ` : `
+                <div class="space-y-3">
+                    ${schedules.map(schedule => `
+                        <div class="p-4 bg-slate-700 rounded-lg ${schedule.enabled ? '' : 'opacity-60'}">
+                            <div class="flex items-center justify-between">
+                                <div>
+                                    <p class="font-semibold">${escapeHtml(schedule.name)} <span class="text-xs text-slate-400">(${SCHEDULE_ACTIONS[schedule.action] || schedule.action})</span></p>
+                                    <p class="text-sm font-mono text-purple-300" dir="ltr">${escapeHtml(schedule.cron)}${schedule.payload ? ` → ${escapeHtml(schedule.payload)}` : ''}</p>
+                                    <p class="text-xs text-slate-400">التنفيذ القادم: ${describeNextRun(schedule)}</p>
+                                    ${schedule.lastRunAt ? `<p class="text-xs ${schedule.lastResult === 'error' ? 'text-red-400' : 'text-slate-400'}">آخر تنفيذ: ${new Date(schedule.lastRunAt).toLocaleString('ar-EG')} - ${schedule.lastResult === 'error' ? `فشل: ${escapeHtml(schedule.lastError || '')}` : schedule.lastResult === 'skipped' ? 'تم التخطي' : 'نجح'}</p>` : ''}
+                                </div>
+                                <div class="flex gap-2">
+                                    <form action="/schedules/run" method="POST">
+                                        <input type="hidden" name="userId" value="${userId}">
+                                        <input type="hidden" name="serverId" value="${serverId}">
+                                        <input type="hidden" name="scheduleId" value="${schedule.id}">
+                                        <button type="submit" class="btn btn-info" title="تنفيذ الآن"><i class="fas fa-play"></i></button>
+                                    </form>
+                                    <form action="/schedules/toggle" method="POST">
+                                        <input type="hidden" name="userId" value="${userId}">
+                                        <input type="hidden" name="serverId" value="${serverId}">
+                                        <input type="hidden" name="scheduleId" value="${schedule.id}">
+                                        <button type="submit" class="btn ${schedule.enabled ? 'btn-warning' : 'btn-success'}" title="${schedule.enabled ? 'تعطيل' : 'تفعيل'}"><i class="fas ${schedule.enabled ? 'fa-pause' : 'fa-check'}"></i></button>
+                                    </form>
+                                    <form action="/schedules/delete" method="POST" onsubmit="return confirm('هل أنت متأكد من حذف هذه المهمة؟');">
+                                        <input type="hidden" name="userId" value="${userId}">
+                                        <input type="hidden" name="serverId" value="${serverId}">
+                                        <input type="hidden" name="scheduleId" value="${schedule.id}">
+                                        <button type="submit" class="btn btn-danger" title="حذف"><i class="fas fa-trash"></i></button>
+                                    </form>
+                                </div>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            `}
+            <p class="text-xs text-slate-400 mt-4">يتم تسجيل نتيجة كل تنفيذ في سجل الأحداث. التوقيت حسب ساعة الخادم (${Intl.DateTimeFormat().resolvedOptions().timeZone}).</p>
+        </div>
+
+        <div class="card max-w-4xl mx-auto">
+            <h2 class="text-xl font-semibold mb-4">إضافة مهمة</h2>
+            <form action="/schedules/create" method="POST">
+                <input type="hidden" name="userId" value="${userId}">
+                <input type="hidden" name="serverId" value="${serverId}">
+                <label class="block text-sm mb-2">الاسم</label>
+                <input type="text" name="name" class="form-input" placeholder="مثال: إعادة تشغيل ليلية" required>
+                <label class="block text-sm mb-2">التوقيت (cron)</label>
+                <input type="text" name="cron" class="form-input font-mono" dir="ltr" placeholder="0 3 * * *" required>
+                <p class="text-xs text-slate-400 mb-4">الدقيقة الساعة يوم-الشهر الشهر يوم-الأسبوع. أمثلة: <code dir="ltr">0 3 * * *</code> يومياً الساعة 3 فجراً، <code dir="ltr">*/15 * * * *</code> كل 15 دقيقة، <code dir="ltr">@hourly</code>.</p>
+                <label class="block text-sm mb-2">الإجراء</label>
+                <select name="action" class="form-input">
+                    ${Object.entries(SCHEDULE_ACTIONS).filter(([action]) => canRunScheduleAction(user, server, action)).map(([action, label]) => `<option value="${action}">${label}</option>`).join('')}
+                </select>
+                <label class="block text-sm mb-2">الأمر / السكربت</label>
+                <textarea name="payload" rows="3" class="form-input font-mono" dir="ltr" placeholder="مطلوب فقط لإرسال أمر أو تشغيل سكربت، مثال: rm -rf cache/*"></textarea>
+                <button type="submit" class="btn btn-success w-full mt-4"><i class="fas fa-plus mr-2 icon"></i>إضافة المهمة</button>
+            </form>
+        </div>
+    `, 'الجدولة', user, true, serverId, server.name, targetUserId, server, req, impersonatedUsername));
 });
 
-app.post('/restart-server', ensureLoggedIn, ensureServerAccess, async (req, res) => {
-    const { userId, serverId } = req.body;
+app.post('/schedules/create', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { userId, serverId, name, cron, action, payload } = req.body;
     const targetUserId = userId || req.userId;
-    const server = req.server; // From ensureServerAccess
-
-    const requestingUser = await User.findOne({ userId: req.originalUserId }); // User performing the action
-    const permissions = server.users.get(req.originalUserId) || {};
+    const user = await User.findOne({ userId: req.userId });
+    const server = req.server;
+    const redirectBase = `/schedules?serverId=${serverId}&userId=${targetUserId}`;
 
-    // Check if the user has permission to edit startup settings, or is owner/admin
-    if (!req.isServerOwner && !requestingUser.isAdmin && !permissions.editStartup) {
-        return res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('غير مصرح لك بإعادة تشغيل السيرفر (يتطلب إذن تعديل بدء التشغيل)')}`);
+    if (!canManageSchedules(req, user, server)) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بإدارة المهام المجدولة')}`);
     }
-
-    // Initialize logs for this server if they don't exist yet
-    initializeServerLogs(targetUserId, serverId);
-
-    const { filesDir } = getServerStoragePaths(targetUserId, serverId);
-    const serverSpecificTempDir = filesDir; // no cleanup
-
-    if (runningProcesses[targetUserId]?.[serverId]) {
-        const stopMsg = formatConsoleOutput('[معلومات] إيقاف السيرفر لإعادة التشغيل...');
-        consoleLogs[`${targetUserId}-${serverId}`].push(stopMsg);
-        trimLogs(consoleLogs[`${targetUserId}-${serverId}`]);
-        wss.clients.forEach(client => {
-            if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                client.send(stopMsg);
-            }
-        });
-
-        runningProcesses[targetUserId][serverId].kill();
-        delete runningProcesses[targetUserId][serverId];
-        
-        // Short delay to allow process to terminate before removing directory
-        await new Promise(resolve => setTimeout(resolve, 1000)); 
-        // لا نقوم بإزالة ملفات السيرفر عند إعادة التشغيل
-    } else {
-        // If server wasn't running, still good to ensure temp dir is clean for a fresh start
-        // لا نقوم بإزالة ملفات السيرفر حتى إن لم يكن يعمل
+    if (!name || !name.trim()) {
+        return res.redirect(`${redirectBase}&error=${encodeURIComponent('اسم المهمة مطلوب')}`);
+    }
+    if (!SCHEDULE_ACTIONS[action]) {
+        return res.redirect(`${redirectBase}&error=${encodeURIComponent('نوع المهمة غير معروف')}`);
+    }
+    if (!canRunScheduleAction(user, server, action)) {
+        return res.redirect(`${redirectBase}&error=${encodeURIComponent('ليس لديك صلاحية تنفيذ هذا النوع من المهام يدوياً')}`);
+    }
+    const trimmedPayload = typeof payload === 'string' ? payload.trim() : '';
+    if ((action === 'command' || action === 'script') && !trimmedPayload) {
+        return res.redirect(`${redirectBase}&error=${encodeURIComponent('يجب إدخال الأمر أو السكربت')}`);
+    }
+    try {
+        parseCronExpression(cron || '');
+    } catch (err) {
+        return res.redirect(`${redirectBase}&error=${encodeURIComponent(err.message)}`);
     }
 
-    // Clear logs on restart as well
     try {
-        const logKey = `${targetUserId}-${serverId}`;
-        consoleLogs[logKey] = [];
-        clearConsoleLogs(targetUserId, serverId);
-        wss.clients.forEach(client => {
-            if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                client.send('__CLEAR_CONSOLE__');
-            }
+        const schedule = new Schedule({
+            id: uuidv4(),
+            serverId,
+            name: name.trim(),
+            cron: cron.trim(),
+            action,
+            payload: action === 'command' || action === 'script' ? trimmedPayload : '',
+            enabled: true,
+            createdBy: req.userId
         });
-    } catch (e) { /* ignore */ }
+        await schedule.save();
+        logServerEvent('إضافة مهمة مجدولة', { userId: req.userId, serverId, scheduleId: schedule.id, cron: schedule.cron, action });
+        res.redirect(`${redirectBase}&success=${encodeURIComponent('تمت إضافة المهمة بنجاح')}`);
+    } catch (err) {
+        console.error('Error creating schedule:', err);
+        res.redirect(`${redirectBase}&error=${encodeURIComponent('خطأ أثناء إضافة المهمة')}`);
+    }
+});
 
-    const restartingMsg = formatConsoleOutput('[معلومات] جاري إعادة تشغيل السيرفر مع الإعدادات المحدثة...');
-    consoleLogs[`${targetUserId}-${serverId}`].push(restartingMsg);
-    trimLogs(consoleLogs[`${targetUserId}-${serverId}`]);
-    wss.clients.forEach(client => {
-        if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-            client.send(restartingMsg);
-        }
-    });
+app.post('/schedules/toggle', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { userId, serverId, scheduleId } = req.body;
+    const targetUserId = userId || req.userId;
+    const user = await User.findOne({ userId: req.userId });
+    const redirectBase = `/schedules?serverId=${serverId}&userId=${targetUserId}`;
 
-    const globalTempDir = tempDir; // not used anymore for runtime, kept for signature
+    if (!canManageSchedules(req, user, req.server)) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بإدارة المهام المجدولة')}`);
+    }
+    const schedule = await Schedule.findOne({ id: scheduleId, serverId });
+    if (!schedule) {
+        return res.redirect(`${redirectBase}&error=${encodeURIComponent('المهمة غير موجودة')}`);
+    }
+    schedule.enabled = !schedule.enabled;
+    await schedule.save();
+    logServerEvent('تعديل مهمة مجدولة', { userId: req.userId, serverId, scheduleId, enabled: schedule.enabled });
+    res.redirect(`${redirectBase}&success=${encodeURIComponent(schedule.enabled ? 'تم تفعيل المهمة' : 'تم تعطيل المهمة')}`);
+});
 
-    // Call startServerInBackground to handle the actual start with current settings
-    startServerInBackground(
-        serverId,
-        targetUserId,
-        server, // The Mongoose server object, which includes startupSettings
-        globalTempDir,
-        consoleLogs,
-        runningProcesses,
-        serverStartTime,
-        wss,
-        formatConsoleOutput,
-        trimLogs,
-        decodeFilePathKey,
-        logServerEvent
-    ).catch(err => {
-        console.error(`Error during startServerInBackground from restart for server ${serverId}, user ${targetUserId}:`, err);
-        const errorMsg = formatConsoleOutput(`خطأ فادح أثناء عملية إعادة التشغيل: ${err.message}`);
-        consoleLogs[`${targetUserId}-${serverId}`].push(errorMsg);
-        trimLogs(consoleLogs[`${targetUserId}-${serverId}`]);
-        wss.clients.forEach(client => {
-            if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                client.send(errorMsg);
-            }
-        });
-    });
+app.post('/schedules/delete', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { userId, serverId, scheduleId } = req.body;
+    const targetUserId = userId || req.userId;
+    const user = await User.findOne({ userId: req.userId });
+    const redirectBase = `/schedules?serverId=${serverId}&userId=${targetUserId}`;
 
-    logServerEvent('إعادة تشغيل سيرفر', { userId: req.originalUserId, serverId });
-    res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&success=${encodeURIComponent('جاري إعادة تشغيل السيرفر... تحقق من الكونسول لمتابعة العملية')}`);
+    if (!canManageSchedules(req, user, req.server)) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بإدارة المهام المجدولة')}`);
+    }
+    const schedule = await Schedule.findOne({ id: scheduleId, serverId });
+    if (!schedule) {
+        return res.redirect(`${redirectBase}&error=${encodeURIComponent('المهمة غير موجودة')}`);
+    }
+    await Schedule.deleteOne({ id: scheduleId });
+    logServerEvent('حذف مهمة مجدولة', { userId: req.userId, serverId, scheduleId });
+    res.redirect(`${redirectBase}&success=${encodeURIComponent('تم حذف المهمة')}`);
 });
 
-// إضافة دالة للحصول على عنوان IP
-const getServerIP = () => {
-    const interfaces = os.networkInterfaces();
-    for (const name of Object.keys(interfaces)) {
-        for (const iface of interfaces[name]) {
-            // تجاهل عناوين IPv6 والعناوين الداخلية
-            if (iface.family === 'IPv4' && !iface.internal) {
-                return iface.address;
-            }
-        }
+app.post('/schedules/run', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { userId, serverId, scheduleId } = req.body;
+    const targetUserId = userId || req.userId;
+    const user = await User.findOne({ userId: req.userId });
+    const redirectBase = `/schedules?serverId=${serverId}&userId=${targetUserId}`;
+
+    if (!canManageSchedules(req, user, req.server)) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بإدارة المهام المجدولة')}`);
     }
-    return '69.30.219.180'; // عنوان افتراضي إذا لم يتم العثور على عنوان
-};
+    const schedule = await Schedule.findOne({ id: scheduleId, serverId });
+    if (!schedule) {
+        return res.redirect(`${redirectBase}&error=${encodeURIComponent('المهمة غير موجودة')}`);
+    }
+    if (!canRunScheduleAction(user, req.server, schedule.action)) {
+        return res.redirect(`${redirectBase}&error=${encodeURIComponent('ليس لديك صلاحية تنفيذ هذا النوع من المهام يدوياً')}`);
+    }
+    runScheduledTask(schedule, 'manual', req.userId).catch(err => console.error(`Error running schedule ${scheduleId}:`, err));
+    res.redirect(`${redirectBase}&success=${encodeURIComponent('تم بدء تنفيذ المهمة. تابع النتيجة في الكونسول')}`);
+});
 
-app.get('/startup', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+const canManageAlerts = (req, user) => req.isServerOwner || user.isAdmin;
+
+app.get('/alerts', ensureLoggedIn, ensureServerAccess, async (req, res) => {
     const { serverId, userId: targetUserId } = req.query;
     const userId = targetUserId || req.userId;
     const user = await User.findOne({ userId: req.userId });
     const server = req.server;
 
-    const permissions = server.users.get(req.userId) || {};
-    if (!req.isServerOwner && !user.isAdmin && !permissions.viewStartup) {
-        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بمشاهدة إعدادات بدء التشغيل')}`);
+    if (!canManageAlerts(req, user)) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بإدارة التنبيهات')}`);
     }
-
-    const currentMainFile = server.startupSettings.get('mainFile') || 'index.js';
-    const currentPackages = server.startupSettings.get('packages') || '';
-    const currentPort = server.startupSettings.get('port') || '3000';
-    const serverIP = getServerIP(); // استخدام الدالة الجديدة للحصول على IP
-
-    const queryParams = new URLSearchParams({ serverId });
-    if (targetUserId) queryParams.append('userId', targetUserId);
+    const rules = await AlertRule.find({ serverId }).lean();
+    const notifications = getNotifications(server.ownerId, { serverId, limit: 10 });
+    const describeWebhook = (rule) => {
+        try {
+            return new URL(decryptSecret(rule.webhookUrl)).host;
+        } catch (err) {
+            return 'رابط غير صالح';
+        }
+    };
 
     // --- Fetch impersonated username --- Start
     let impersonatedUsername = null;
@@ -4753,91 +9053,275 @@ app.get('/startup', ensureLoggedIn, ensureServerAccess, async (req, res) => {
     // --- Fetch impersonated username --- End
 
     res.send(baseTemplate(`
-        <h1 class="text-3xl font-bold mb-6"><i class="fas fa-play-circle mr-2 icon"></i>إعدادات بدء تشغيل ${server.name}</h1>
-        
-        <div class="card max-w-lg mx-auto mb-6">
-            <div class="p-4 bg-slate-800 rounded-lg">
-                <h2 class="text-xl font-semibold mb-2 text-white"><i class="fas fa-globe mr-2"></i>عنوان السيرفر</h2>
-                <div class="flex items-center space-x-2">
-                    <code class="text-green-400 text-lg">${serverIP}:${currentPort}</code>
-                    <button onclick="copyToClipboard('${serverIP}:${currentPort}')" class="btn btn-sm btn-ghost">
-                        <i class="fas fa-copy"></i>
-                    </button>
+        <h1 class="text-3xl font-bold mb-6"><i class="fas fa-bell mr-2 icon"></i>تنبيهات ${server.name}</h1>
+
+        <div class="card max-w-4xl mx-auto mb-6">
+            <h2 class="text-xl font-semibold mb-4">القواعد الحالية</h2>
+            ${rules.length === 0 ? `
+                <p class="text-slate-400"><i class="fas fa-exclamation-circle mr-2 icon"></i>لا توجد قواعد تنبيه بعد</p>
+            ` : `
+                <div class="space-y-3">
+                    ${rules.map(rule => `
+                        <div class="p-4 bg-slate-700 rounded-lg ${rule.enabled ? '' : 'opacity-60'}">
+                            <div class="flex items-center justify-between">
+                                <div>
+                                    <p class="font-semibold">${escapeHtml(rule.name)} <span class="text-xs text-slate-400">(${ALERT_TYPES[rule.type] || rule.type})</span></p>
+                                    <p class="text-sm font-mono text-purple-300" dir="ltr">${escapeHtml(describeAlertRule(rule))}</p>
+                                    <p class="text-xs text-slate-400">${ALERT_CHANNELS[rule.channel] || rule.channel}${rule.channel !== 'panel' ? ` - ${escapeHtml(describeWebhook(rule))}` : ''} - فترة التهدئة: ${rule.cooldownMinutes} دقيقة</p>
+                                    ${rule.lastFiredAt ? `<p class="text-xs text-slate-400">آخر تنبيه: ${new Date(rule.lastFiredAt).toLocaleString('ar-EG')}</p>` : ''}
+                                    ${rule.lastError ? `<p class="text-xs text-red-400">فشل الإرسال: ${escapeHtml(rule.lastError)}</p>` : ''}
+                                </div>
+                                <div class="flex gap-2">
+                                    <form action="/alerts/test" method="POST">
+                                        <input type="hidden" name="userId" value="${userId}">
+                                        <input type="hidden" name="serverId" value="${serverId}">
+                                        <input type="hidden" name="ruleId" value="${rule.id}">
+                                        <button type="submit" class="btn btn-info" title="إرسال تنبيه تجريبي"><i class="fas fa-paper-plane"></i></button>
+                                    </form>
+                                    <form action="/alerts/toggle" method="POST">
+                                        <input type="hidden" name="userId" value="${userId}">
+                                        <input type="hidden" name="serverId" value="${serverId}">
+                                        <input type="hidden" name="ruleId" value="${rule.id}">
+                                        <button type="submit" class="btn ${rule.enabled ? 'btn-warning' : 'btn-success'}" title="${rule.enabled ? 'تعطيل' : 'تفعيل'}"><i class="fas ${rule.enabled ? 'fa-pause' : 'fa-check'}"></i></button>
+                                    </form>
+                                    <form action="/alerts/delete" method="POST" onsubmit="return confirm('هل أنت متأكد من حذف هذه القاعدة؟');">
+                                        <input type="hidden" name="userId" value="${userId}">
+                                        <input type="hidden" name="serverId" value="${serverId}">
+                                        <input type="hidden" name="ruleId" value="${rule.id}">
+                                        <button type="submit" class="btn btn-danger" title="حذف"><i class="fas fa-trash"></i></button>
+                                    </form>
+                                </div>
+                            </div>
+                        </div>
+                    `).join('')}
                 </div>
-                <p class="text-slate-400 text-sm mt-2">استخدم هذا العنوان للوصول إلى موقعك</p>
-            </div>
+            `}
+            <p class="text-xs text-slate-400 mt-4">تُفحص مخرجات السيرفر (stdout/stderr) أثناء تشغيله. بعد كل تنبيه تتوقف القاعدة عن الإرسال طوال فترة التهدئة، ويتم تسجيل كل تنبيه في سجل الأحداث.</p>
         </div>
 
-        <div class="card max-w-lg mx-auto">
-            ${(req.isServerOwner || user.isAdmin || permissions.editStartup) ? `
-                <form action="/update-startup" method="POST">
-                    <input type="hidden" name="userId" value="${userId}">
-                    <input type="hidden" name="serverId" value="${serverId}">
-                    
-                    <label class="block text-sm mb-2">ملف التشغيل الرئيسي</label>
-                    <input type="text" name="mainFile" class="form-input" value="${currentMainFile}" placeholder="مثال: index.js, bot.js" required>
-                    <p class="text-xs text-slate-400 mb-4">اسم ملف JavaScript الرئيسي الذي سيتم تشغيله (مثل index.js أو server.js).</p>
-
-                    <label class="block text-sm mb-2">المنفذ (Port)</label>
-                    <input type="number" name="port" class="form-input" value="${currentPort}" placeholder="مثال: 3000" required>
-                    <p class="text-xs text-slate-400 mb-4">المنفذ الذي سيعمل عليه التطبيق (مثل 3000 أو 8080).</p>
-
-                    <label class="block text-sm mb-2">الحزم الإضافية للتثبيت</label>
-                    <input type="text" name="packages" class="form-input" value="${currentPackages}" placeholder="مثال: express discord.js moment">
-                    <p class="text-xs text-slate-400 mb-4">أسماء الحزم مفصولة بمسافات (مثل express axios). سيتم تثبيتها باستخدام npm install.</p>
+        <div class="card max-w-4xl mx-auto mb-6">
+            <h2 class="text-xl font-semibold mb-4">إضافة قاعدة</h2>
+            <form action="/alerts/create" method="POST">
+                <input type="hidden" name="userId" value="${userId}">
+                <input type="hidden" name="serverId" value="${serverId}">
+                <label class="block text-sm mb-2">الاسم</label>
+                <input type="text" name="name" class="form-input" placeholder="مثال: أخطاء قاعدة البيانات" required>
+                <label class="block text-sm mb-2">نوع القاعدة</label>
+                <select name="type" id="alert-type" class="form-input" onchange="updateAlertFields()">
+                    ${Object.entries(ALERT_TYPES).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+                </select>
+                <div data-alert-type="match">
+                    <label class="block text-sm mb-2">التعبير النمطي</label>
+                    <input type="text" name="pattern" class="form-input font-mono" dir="ltr" placeholder="ECONNREFUSED|FATAL" maxlength="${MAX_USER_PATTERN_LENGTH}">
+                </div>
+                <div data-alert-type="errorRate" class="grid grid-cols-2 gap-4">
+                    <div>
+                        <label class="block text-sm mb-2">عدد أسطر الأخطاء</label>
+                        <input type="number" name="threshold" class="form-input" value="10" min="1" max="10000">
+                    </div>
+                    <div>
+                        <label class="block text-sm mb-2">خلال (دقيقة)</label>
+                        <input type="number" name="windowMinutes" class="form-input" value="5" min="1" max="1440">
+                    </div>
+                </div>
+                <div data-alert-type="silence">
+                    <label class="block text-sm mb-2">بدون مخرجات لمدة (دقيقة)</label>
+                    <input type="number" name="silenceMinutes" class="form-input" value="30" min="1" max="10080">
+                </div>
+                <label class="block text-sm mb-2">طريقة الإشعار</label>
+                <select name="channel" id="alert-channel" class="form-input" onchange="updateAlertFields()">
+                    ${Object.entries(ALERT_CHANNELS).map(([channel, label]) => `<option value="${channel}">${label}</option>`).join('')}
+                </select>
+                <div id="alert-webhook">
+                    <label class="block text-sm mb-2">رابط الـ Webhook</label>
+                    <input type="url" name="webhookUrl" class="form-input font-mono" dir="ltr" placeholder="https://discord.com/api/webhooks/...">
+                    <p class="text-xs text-slate-400 mb-4">يتم حفظ الرابط مشفراً.</p>
+                </div>
+                <label class="block text-sm mb-2">فترة التهدئة (دقيقة)</label>
+                <input type="number" name="cooldownMinutes" class="form-input" value="10" min="0" max="1440">
+                <button type="submit" class="btn btn-success w-full mt-4"><i class="fas fa-plus mr-2 icon"></i>إضافة القاعدة</button>
+            </form>
+        </div>
 
-                    <button type="submit" class="mt-4 btn btn-success w-full"><i class="fas fa-save mr-2 icon"></i>حفظ إعدادات بدء التشغيل</button>
-                </form>
+        <div class="card max-w-4xl mx-auto">
+            <h2 class="text-xl font-semibold mb-4">آخر الإشعارات داخل اللوحة</h2>
+            ${notifications.length === 0 ? `
+                <p class="text-slate-400">لا توجد إشعارات</p>
             ` : `
-                <div class="p-4">
-                    <p class="text-red-500"><i class="fas fa-lock mr-2"></i>غير مصرح لك بتعديل إعدادات بدء التشغيل</p>
+                <div class="space-y-2">
+                    ${notifications.map(notification => `
+                        <div class="p-3 bg-slate-700 rounded-lg">
+                            <p class="font-semibold text-sm">${escapeHtml(notification.title)} <span class="text-xs text-slate-400">${new Date(notification.createdAt).toLocaleString('ar-EG')}</span></p>
+                            <p class="text-xs text-slate-300 font-mono" dir="ltr">${escapeHtml(notification.message)}</p>
+                        </div>
+                    `).join('')}
                 </div>
             `}
         </div>
 
         <script>
-            function copyToClipboard(text) {
-                navigator.clipboard.writeText(text).then(() => {
-                    // يمكنك إضافة إشعار نجاح النسخ هنا
-                    alert('تم نسخ العنوان بنجاح!');
-                }).catch(err => {
-                    console.error('فشل نسخ العنوان:', err);
+            function updateAlertFields() {
+                const type = document.getElementById('alert-type').value;
+                document.querySelectorAll('[data-alert-type]').forEach(section => {
+                    section.style.display = section.dataset.alertType === type ? '' : 'none';
                 });
+                document.getElementById('alert-webhook').style.display = document.getElementById('alert-channel').value === 'panel' ? 'none' : '';
             }
+            updateAlertFields();
         </script>
-    `, 'startup', user, true, serverId, server.name, userId, server, req, impersonatedUsername));
+    `, 'التنبيهات', user, true, serverId, server.name, targetUserId, server, req, impersonatedUsername));
 });
 
-app.post('/update-startup', ensureLoggedIn, ensureServerAccess, async (req, res) => {
-    const { userId, serverId, mainFile, packages, port } = req.body;
+app.post('/alerts/create', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { userId, serverId, name, type, pattern, channel, webhookUrl } = req.body;
     const targetUserId = userId || req.userId;
     const user = await User.findOne({ userId: req.userId });
-    const server = req.server;
+    const redirectBase = `/alerts?serverId=${serverId}&userId=${targetUserId}`;
+    const readNumber = (value, min, max) => {
+        const number = parseInt(value, 10);
+        return Number.isInteger(number) && number >= min && number <= max ? number : null;
+    };
 
-    const permissions = server.users.get(req.userId) || {};
-    if (!req.isServerOwner && !user.isAdmin && !permissions.editStartup) {
-        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بتعديل إعدادات بدء التشغيل')}`);
+    if (!canManageAlerts(req, user)) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بإدارة التنبيهات')}`);
     }
-
-    if (!mainFile || typeof mainFile !== 'string' || mainFile.trim() === '') {
-        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('اسم ملف التشغيل الرئيسي غير صالح')}`);
+    if (!name || !name.trim()) {
+        return res.redirect(`${redirectBase}&error=${encodeURIComponent('اسم القاعدة مطلوب')}`);
     }
-
-    if (!port || isNaN(port) || port < 1 || port > 65535) {
-        return res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('المنفذ غير صالح. يجب أن يكون رقم بين 1 و 65535')}`);
+    if (!ALERT_TYPES[type]) {
+        return res.redirect(`${redirectBase}&error=${encodeURIComponent('نوع القاعدة غير معروف')}`);
+    }
+    if (!ALERT_CHANNELS[channel]) {
+        return res.redirect(`${redirectBase}&error=${encodeURIComponent('طريقة الإشعار غير معروفة')}`);
+    }
+    const rule = new AlertRule({
+        id: uuidv4(),
+        serverId,
+        name: name.trim(),
+        type,
+        channel,
+        cooldownMinutes: readNumber(req.body.cooldownMinutes, 0, 1440),
+        enabled: true,
+        createdBy: req.userId
+    });
+    if (rule.cooldownMinutes === null) {
+        return res.redirect(`${redirectBase}&error=${encodeURIComponent('فترة التهدئة يجب أن تكون بين 0 و 1440 دقيقة')}`);
+    }
+    if (type === 'match') {
+        rule.pattern = typeof pattern === 'string' ? pattern.trim() : '';
+        if (!rule.pattern) {
+            return res.redirect(`${redirectBase}&error=${encodeURIComponent('يجب إدخال تعبير نمطي')}`);
+        }
+        try {
+            compileUserPattern(rule.pattern, 'i');
+        } catch (err) {
+            return res.redirect(`${redirectBase}&error=${encodeURIComponent(`تعبير نمطي غير صالح: ${err.message}`)}`);
+        }
+    } else if (type === 'errorRate') {
+        rule.threshold = readNumber(req.body.threshold, 1, 10000);
+        rule.windowMinutes = readNumber(req.body.windowMinutes, 1, 1440);
+        if (rule.threshold === null || rule.windowMinutes === null) {
+            return res.redirect(`${redirectBase}&error=${encodeURIComponent('عدد الأخطاء أو مدة الفترة غير صالحة')}`);
+        }
+    } else {
+        rule.silenceMinutes = readNumber(req.body.silenceMinutes, 1, 10080);
+        if (rule.silenceMinutes === null) {
+            return res.redirect(`${redirectBase}&error=${encodeURIComponent('مدة عدم وجود مخرجات غير صالحة')}`);
+        }
+    }
+    if (channel !== 'panel') {
+        let url = null;
+        try {
+            url = new URL(String(webhookUrl || '').trim());
+        } catch (err) { /* handled below */ }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            return res.redirect(`${redirectBase}&error=${encodeURIComponent('رابط الـ Webhook غير صالح')}`);
+        }
+        try {
+            await assertPublicWebhookUrl(url.toString());
+        } catch (err) {
+            return res.redirect(`${redirectBase}&error=${encodeURIComponent(err.message)}`);
+        }
+        rule.webhookUrl = encryptSecret(url.toString());
     }
 
     try {
-        server.startupSettings.set('mainFile', mainFile.trim());
-        server.startupSettings.set('packages', packages ? packages.trim() : '');
-        server.startupSettings.set('port', port.trim());
-        await server.save();
-        logServerEvent('تعديل إعدادات بدء التشغيل', { userId: req.userId, serverId, mainFile: mainFile.trim(), packages: packages ? packages.trim() : '', port: port.trim() });
-        res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&success=${encodeURIComponent('تم تحديث إعدادات بدء التشغيل بنجاح')}`);
+        await rule.save();
+        await refreshAlertWatch(targetUserId, serverId, req.server);
+        logServerEvent('إضافة قاعدة تنبيه', { userId: req.userId, serverId, ruleId: rule.id, type, channel });
+        res.redirect(`${redirectBase}&success=${encodeURIComponent('تمت إضافة القاعدة بنجاح')}`);
     } catch (err) {
-        console.error('Error updating startup settings:', err);
-        res.redirect(`/startup?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('خطأ أثناء تحديث إعدادات بدء التشغيل')}`);
+        console.error('Error creating alert rule:', err);
+        res.redirect(`${redirectBase}&error=${encodeURIComponent('خطأ أثناء إضافة القاعدة')}`);
+    }
+});
+
+app.post('/alerts/toggle', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { userId, serverId, ruleId } = req.body;
+    const targetUserId = userId || req.userId;
+    const user = await User.findOne({ userId: req.userId });
+    const redirectBase = `/alerts?serverId=${serverId}&userId=${targetUserId}`;
+
+    if (!canManageAlerts(req, user)) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بإدارة التنبيهات')}`);
+    }
+    const rule = await AlertRule.findOne({ id: ruleId, serverId });
+    if (!rule) {
+        return res.redirect(`${redirectBase}&error=${encodeURIComponent('القاعدة غير موجودة')}`);
+    }
+    rule.enabled = !rule.enabled;
+    await rule.save();
+    await refreshAlertWatch(targetUserId, serverId, req.server);
+    logServerEvent('تعديل قاعدة تنبيه', { userId: req.userId, serverId, ruleId, enabled: rule.enabled });
+    res.redirect(`${redirectBase}&success=${encodeURIComponent(rule.enabled ? 'تم تفعيل القاعدة' : 'تم تعطيل القاعدة')}`);
+});
+
+app.post('/alerts/delete', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { userId, serverId, ruleId } = req.body;
+    const targetUserId = userId || req.userId;
+    const user = await User.findOne({ userId: req.userId });
+    const redirectBase = `/alerts?serverId=${serverId}&userId=${targetUserId}`;
+
+    if (!canManageAlerts(req, user)) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بإدارة التنبيهات')}`);
+    }
+    const rule = await AlertRule.findOne({ id: ruleId, serverId });
+    if (!rule) {
+        return res.redirect(`${redirectBase}&error=${encodeURIComponent('القاعدة غير موجودة')}`);
+    }
+    await AlertRule.deleteOne({ id: ruleId });
+    delete alertCooldowns[ruleId];
+    await refreshAlertWatch(targetUserId, serverId, req.server);
+    logServerEvent('حذف قاعدة تنبيه', { userId: req.userId, serverId, ruleId });
+    res.redirect(`${redirectBase}&success=${encodeURIComponent('تم حذف القاعدة')}`);
+});
+
+// Sends a sample alert right away, ignoring the cooldown
+app.post('/alerts/test', ensureLoggedIn, ensureServerAccess, async (req, res) => {
+    const { userId, serverId, ruleId } = req.body;
+    const targetUserId = userId || req.userId;
+    const user = await User.findOne({ userId: req.userId });
+    const redirectBase = `/alerts?serverId=${serverId}&userId=${targetUserId}`;
+
+    if (!canManageAlerts(req, user)) {
+        return res.redirect(`/?error=${encodeURIComponent('غير مصرح لك بإدارة التنبيهات')}`);
+    }
+    const rule = await AlertRule.findOne({ id: ruleId, serverId });
+    if (!rule) {
+        return res.redirect(`${redirectBase}&error=${encodeURIComponent('القاعدة غير موجودة')}`);
     }
+    const error = await fireAlert(req.server.ownerId, serverId, req.server.name, rule, 'هذا تنبيه تجريبي أُرسل من لوحة التحكم', { test: true });
+    if (error) {
+        return res.redirect(`${redirectBase}&error=${encodeURIComponent(`فشل إرسال التنبيه التجريبي: ${error}`)}`);
+    }
+    res.redirect(`${redirectBase}&success=${encodeURIComponent('تم إرسال التنبيه التجريبي')}`);
+});
+
+// In-panel notifications not shown yet, polled by every page (cheap when there are none,
+// see takeUnseenNotifications). Only the signed-in user's own notifications, so an admin
+// viewing as someone else doesn't mark theirs as seen.
+app.get('/api/notifications', ensureLoggedIn, (req, res) => {
+    res.json({ notifications: takeUnseenNotifications(req.originalUserId).map(({ title, message, createdAt }) => ({ title, message, createdAt })) });
 });
 
 // Add the /kill-server route here
@@ -4854,39 +9338,27 @@ app.post('/kill-server', ensureLoggedIn, ensureServerAccess, async (req, res) =>
         return res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&error=${encodeURIComponent('غير مصرح لك بإيقاف السيرفر قسراً')}`);
     }
 
-    const logKey = `${targetUserId}-${serverId}`;
     initializeServerLogs(targetUserId, serverId); // Ensure logs array exists
 
     const serverProcess = runningProcesses[targetUserId]?.[serverId];
+    resetRestartTracker(targetUserId, serverId);
 
     if (serverProcess) {
-        const killMsg = formatConsoleOutput('🛑 [هام] تم طلب إيقاف قسري للسيرفر (Kill)...');
-        consoleLogs[logKey].push(killMsg);
-        trimLogs(consoleLogs[logKey]);
-        wss.clients.forEach(client => {
-            if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                client.send(killMsg);
-            }
-        });
+        serverProcess.stopRequested = true;
+        pushConsoleMessage(targetUserId, serverId, '🛑 [هام] تم طلب إيقاف قسري للسيرفر (Kill)...');
 
         try {
-            // Use SIGKILL for immediate termination
-            serverProcess.kill('SIGKILL'); 
+            // Use SIGKILL on the whole process group for immediate termination
+            killProcessGroup(serverProcess, 'SIGKILL');
         } catch (killError) {
             console.error(`Error sending SIGKILL to process for server ${serverId}:`, killError);
             // Log error to user console even if kill signal failed (process might have already exited)
-            const killErrorMsg = formatConsoleOutput(`تحذير: حدث خطأ أثناء محاولة إرسال إشارة الإيقاف القسري: ${killError.message}`);
-            consoleLogs[logKey].push(killErrorMsg);
-            trimLogs(consoleLogs[logKey]);
-        wss.clients.forEach(client => {
-            if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                    client.send(killErrorMsg);
-                }
-            });
+            pushConsoleMessage(targetUserId, serverId, `تحذير: حدث خطأ أثناء محاولة إرسال إشارة الإيقاف القسري: ${killError.message}`);
         }
 
         // Remove from running processes immediately after sending kill signal
         delete runningProcesses[targetUserId]?.[serverId]; // Use optional chaining
+        setProcessState(targetUserId, serverId, false, null);
         
         // Attempt to clean up temp directory asynchronously
         const { baseDir } = getServerStoragePaths(targetUserId, serverId);
@@ -4894,29 +9366,16 @@ app.post('/kill-server', ensureLoggedIn, ensureServerAccess, async (req, res) =>
         fs.remove(serverDir).catch(err => {
             console.error(`Error removing temp dir after kill for server ${serverId}: ${serverDir}`, err);
             // Log warning about cleanup failure (optional)
-            const cleanupWarnMsg = formatConsoleOutput(`تحذير: فشل حذف المجلد المؤقت (${path.basename(serverDir)}) تلقائياً بعد الإيقاف القسري.`); // Show only last part of dir
-            consoleLogs[logKey].push(cleanupWarnMsg);
-            trimLogs(consoleLogs[logKey]);
-        wss.clients.forEach(client => {
-            if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                    client.send(cleanupWarnMsg);
-            }
+            pushConsoleMessage(targetUserId, serverId, `تحذير: فشل حذف المجلد المؤقت (${path.basename(serverDir)}) تلقائياً بعد الإيقاف القسري.`); // Show only last part of dir
         });
-    });
 
         logServerEvent('إيقاف قسري للسيرفر (Kill)', { userId: req.originalUserId, serverId });
         res.redirect(`/server?serverId=${serverId}&userId=${targetUserId}&success=${encodeURIComponent('تم إرسال إشارة الإيقاف القسري بنجاح.')}`);
 
     } else {
-        // Process not found, maybe already stopped or never started
-        const notRunningMsg = formatConsoleOutput('ℹ️ السيرفر لم يكن يعمل لمحاولة الإيقاف القسري.');
-        consoleLogs[logKey].push(notRunningMsg);
-        trimLogs(consoleLogs[logKey]);
-        wss.clients.forEach(client => {
-            if (client.userId === targetUserId && client.serverId === serverId && client.readyState === client.OPEN) {
-                client.send(notRunningMsg);
-            }
-        });
+        // Process not found, maybe already stopped or never started (or waiting for an automatic restart)
+        setProcessState(targetUserId, serverId, false, null);
+        pushConsoleMessage(targetUserId, serverId, 'ℹ️ السيرفر لم يكن يعمل لمحاولة الإيقاف القسري.');
         
         // Still attempt cleanup in case temp dir was left behind
         const { baseDir } = getServerStoragePaths(targetUserId, serverId);
@@ -5042,8 +9501,59 @@ app.post('/admin/impersonate', ensureLoggedIn, ensureAdmin, async (req, res) =>
     }
 });
 
+// Children do not survive a panel restart, so reconcile the persisted process state on boot:
+// servers flagged autoStart are relaunched, everything else is marked stopped
+let panelShuttingDown = false;
+const SHUTDOWN_GRACE_MS = 10000;
+
+// Detached servers don't receive the panel's signals; stop them explicitly. Their
+// persisted state stays "running" (see the close handler) so they resume on boot.
+const stopAllServersForShutdown = async () => {
+    const running = [];
+    for (const [userId, processes] of Object.entries(runningProcesses)) {
+        for (const [serverId, serverProcess] of Object.entries(processes)) {
+            if (serverProcess) running.push([userId, serverId, serverProcess]);
+        }
+    }
+    // Waiting for closed lets each postStop hook run before the panel exits
+    const stops = running.map(([userId, serverId, serverProcess]) => Server.findOne({ id: serverId })
+        .then(server => stopServerProcess(userId, serverId, server))
+        .then(() => serverProcess.closed));
+    await Promise.race([Promise.all(stops), new Promise(resolve => setTimeout(resolve, SHUTDOWN_GRACE_MS))]);
+    running.forEach(([, , serverProcess]) => killProcessGroup(serverProcess, 'SIGKILL'));
+};
+
+const resumeServersAfterBoot = async () => {
+    for (const state of getAllProcessStates()) {
+        if (!state.isRunning && state.status !== 'restarting') continue;
+        const { userId, serverId } = state;
+        try {
+            await killLeftoverProcess(state);
+            const server = await Server.findOne({ id: serverId });
+            if (!server) {
+                clearProcessState(userId, serverId);
+                continue;
+            }
+            setProcessState(userId, serverId, false, null);
+            if (server.isSuspended || !server.startupSettings.get('autoStart')) continue;
+
+            pushConsoleMessage(userId, serverId, '[معلومات] تمت إعادة تشغيل اللوحة، جاري تشغيل السيرفر تلقائياً...');
+            logServerEvent('تشغيل تلقائي بعد إعادة تشغيل اللوحة', { userId, serverId });
+            // One at a time so a reboot doesn't run every install in parallel
+            await startServerInBackground(serverId, userId, server, tempDir, consoleLogs, runningProcesses, serverStartTime, wss, formatConsoleOutput, trimLogs, decodeFilePathKey, logServerEvent, { keepLogs: true });
+        } catch (err) {
+            console.error(`Error resuming server ${serverId}:`, err);
+        }
+    }
+};
+
+resumeServersAfterBoot().catch(err => console.error('Error resuming servers after boot:', err));
+
 // Add cleanup handler for process exit
 process.on('SIGINT', async () => {
+    panelShuttingDown = true;
+    await stopAllServersForShutdown().catch(err => console.error('Error stopping servers:', err));
+    await flushLogWriters();
     console.log('\nCleaning up temporary directories before exit...');
     try {
         const tempDir = path.join(__dirname, 'temp');
@@ -5058,6 +9568,9 @@ process.on('SIGINT', async () => {
 });
 
 process.on('SIGTERM', async () => {
+    panelShuttingDown = true;
+    await stopAllServersForShutdown().catch(err => console.error('Error stopping servers:', err));
+    await flushLogWriters();
     console.log('\nCleaning up temporary directories before exit...');
     try {
         const tempDir = path.join(__dirname, 'temp');
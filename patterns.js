@@ -0,0 +1,19 @@
+import { RE2 } from 're2-wasm';
+
+// Regexes typed by users (alert rules, health log checks, log search) run on the
+// panel's only thread against server output. They are compiled with RE2, whose
+// matching time is linear in the input, so no pattern can backtrack catastrophically.
+// RE2 has no backreferences or lookarounds; such patterns are refused as invalid.
+export const MAX_USER_PATTERN_LENGTH = 200;
+
+// Returns an object with test(); throws an Error with a user-facing message when the
+// pattern is too long or not valid RE2 syntax
+export function compileUserPattern(source, flags = '') {
+    if (source.length > MAX_USER_PATTERN_LENGTH) throw new Error(`التعبير أطول من ${MAX_USER_PATTERN_LENGTH} حرفاً`);
+    try {
+        // RE2 only runs in unicode mode
+        return new RE2(source, flags.includes('u') ? flags : `${flags}u`);
+    } catch (err) {
+        throw new Error(err.message.replace(/^Invalid regular expression: \/.*\/\w*: /s, ''));
+    }
+}
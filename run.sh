@@ -7,12 +7,17 @@ try {
   console.error("❌ Failed to chmod cloudflared:", err);
 }
 
-const cloudflared = spawn("./cloudflared", [
-  "tunnel",
-  "run",
-  "--token",
-  "eyJhIjoiN2YyMjUzNmU4YTk1ZGI4ZDcxM2U2ZTRmYWU4ZDUzMzIiLCJ0IjoiZmU3YzIxZWYtNWIzOS00MTE4LTg3OGYtNjUyZjZjOTQyZWNkIiwicyI6Ik1XTTFNVFUyWm1RdFpERmhaUzAwWXpBd0xXSmlOalV0T0dSbU5EaGtaRFZqTkdNeCJ9" 
-]);
+// The tunnel token must come from the environment, never from this file
+const tunnelToken = process.env.CLOUDFLARE_TUNNEL_TOKEN;
+if (!tunnelToken) {
+  console.error("❌ CLOUDFLARE_TUNNEL_TOKEN is not set");
+  process.exit(1);
+}
+
+// cloudflared reads TUNNEL_TOKEN itself; passing --token would expose it in /proc/<pid>/cmdline
+const cloudflared = spawn("./cloudflared", ["tunnel", "run"], {
+  env: { ...process.env, TUNNEL_TOKEN: tunnelToken }
+});
 
 
 const bot = spawn("node", ["index.js"], {
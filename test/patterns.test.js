@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileUserPattern, MAX_USER_PATTERN_LENGTH } from '../patterns.js';
+
+// Each of these backtracks for tens of seconds on a short input with a backtracking engine
+const CATASTROPHIC = [
+    ['(a|a)+$', 'a'.repeat(29) + '!'],
+    ['(\\w|\\d)+$', '1'.repeat(29) + '!'],
+    ['(a+)+$', 'a'.repeat(29) + '!'],
+    ['(\\w*\\s?)*$', 'word '.repeat(20) + '!'],
+    ['^(([a-z])+.)+[A-Z]([a-z])+$', 'aaaaaaaaaaaaaaaaaaaaaaaaaaaa!']
+];
+
+test('matches like a regular expression', () => {
+    assert.equal(compileUserPattern('ready on port \\d+').test('ready on port 3000'), true);
+    assert.equal(compileUserPattern('ECONNREFUSED|FATAL').test('all good'), false);
+    assert.equal(compileUserPattern('error', 'i').test('An ERROR here'), true);
+    assert.equal(compileUserPattern('error').test('An ERROR here'), false);
+});
+
+test('test() has no state between calls', () => {
+    const pattern = compileUserPattern('tick', 'i');
+    assert.equal(pattern.test('tick 1'), true);
+    assert.equal(pattern.test('tick 2'), true);
+});
+
+test('patterns that backtrack catastrophically finish in linear time', () => {
+    for (const [source, input] of CATASTROPHIC) {
+        const pattern = compileUserPattern(source, 'i');
+        const started = Date.now();
+        pattern.test(input);
+        pattern.test(input.repeat(100));
+        assert.ok(Date.now() - started < 1000, `${source} took ${Date.now() - started}ms`);
+    }
+});
+
+test('refuses backreferences and lookarounds', () => {
+    for (const source of ['(a)\\1', '(?<x>a)\\k<x>', 'a(?=b)', '(?<!a)b']) {
+        assert.throws(() => compileUserPattern(source), Error, source);
+    }
+});
+
+test('refuses invalid and overlong patterns', () => {
+    assert.throws(() => compileUserPattern('(unclosed'));
+    assert.throws(() => compileUserPattern('a'.repeat(MAX_USER_PATTERN_LENGTH + 1)), /200/);
+    assert.doesNotThrow(() => compileUserPattern('a'.repeat(MAX_USER_PATTERN_LENGTH)));
+});